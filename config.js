@@ -10,13 +10,156 @@ module.exports = {
     listenPort: 3000
   },
 
+  // Access token (JWT) authentication for WebSocket connections
+  // Clients pass the token as ?token=... on the WebSocket URL. Claims:
+  // sub (user id), name (display name), rooms (array of room ids or '*'), role
+  auth: {
+    enabled: process.env.AUTH_ENABLED === 'true', // Off for the local POC
+    
+    // 'HS256' (shared secret) or 'RS256' (public key of the token issuer)
+    algorithm: process.env.JWT_ALGORITHM || 'HS256',
+    secret: process.env.JWT_SECRET || '',
+    publicKeyFile: process.env.JWT_PUBLIC_KEY_FILE || '',
+    
+    // Optional expected 'iss' and 'aud' claims
+    issuer: process.env.JWT_ISSUER || undefined,
+    audience: process.env.JWT_AUDIENCE || undefined
+  },
+
+  // Room policies
+  room: {
+    // Number of camera videos forwarded to each peer, picked from the most
+    // recent speakers (0 = forward everyone). Can be changed per room and per peer.
+    lastN: 0,
+    
+    // Hold new peers in a lobby until a host admits them (hosts can change it per room)
+    lobby: process.env.ROOM_LOBBY === 'true',
+    
+    // Join with the microphone muted and locked until a host asks to unmute
+    // (hosts can change it per room)
+    muteOnJoin: process.env.ROOM_MUTE_ON_JOIN === 'true',
+    
+    // Room-wide chat messages kept for peers joining later
+    chatHistorySize: 100,
+    
+    // Without authentication, bans apply to the banned peer's browser (an id
+    // it keeps in local storage). Banning the IP address instead also refuses
+    // everyone else behind it (same NAT, office, localhost), so it is opt-in.
+    banByAddress: process.env.ROOM_BAN_BY_ADDRESS === 'true',
+    
+    // Secret used to sign invite links (random per run when empty,
+    // which invalidates links on restart)
+    inviteSecret: process.env.INVITE_SECRET || '',
+    
+    // Default and maximum invite lifetime (seconds)
+    inviteTtl: 24 * 60 * 60,
+    maxInviteTtl: 30 * 24 * 60 * 60,
+    
+    // How long a room set up through the admin API (password, lobby) is kept
+    // while nobody is in it (ms). Other rooms close as soon as they are empty.
+    emptyRoomTimeout: 10 * 60 * 1000
+  },
+
+  // Data channel limits (SCTP over the WebRTC transports)
+  dataChannels: {
+    // Fastest a single data channel may send (bps); channels sending more
+    // than 1.5x this over a check interval are closed so media keeps flowing
+    maxBitrate: 2000000,
+    
+    // How often data channel throughput is checked (ms)
+    checkInterval: 1000
+  },
+
+  // File transfer between participants (over data channels)
+  fileTransfer: {
+    // Largest file accepted (bytes)
+    maxFileSize: 100 * 1024 * 1024,
+    
+    // Total size of all files sent in a room during its lifetime (bytes)
+    maxRoomBytes: 1024 * 1024 * 1024,
+    
+    // Size of the data channel messages files are sent in (bytes)
+    chunkSize: 16 * 1024
+  },
+
+  // Room recording (started and stopped by hosts)
+  // Every audio/video track is sent as plain RTP to its own recorder process,
+  // which reads an SDP description on stdin and writes the file given as {file}
+  recording: {
+    // Where recordings are written, one directory per recording
+    directory: process.env.RECORDING_DIR || './recordings',
+    
+    // Recorder command line (streams are copied, not transcoded)
+    command: [
+      process.env.FFMPEG_PATH || 'ffmpeg',
+      '-loglevel', 'warning',
+      '-protocol_whitelist', 'pipe,udp,rtp',
+      '-fflags', '+genpts',
+      '-f', 'sdp',
+      '-i', 'pipe:0',
+      '-c', 'copy',
+      '-y', '{file}'
+    ],
+    
+    // Local address and UDP ports the recorders listen on (two per track)
+    listenIp: '127.0.0.1',
+    minPort: 20000,
+    maxPort: 20999,
+    
+    // Wait before sending media to a new recorder, so it's listening (ms)
+    startDelay: 1000,
+    
+    // Kill a recorder that hasn't finished its file after being stopped (ms)
+    stopTimeout: 5000
+  },
+
+  // Raw RTP captures of single producers (admin API, for debugging media)
+  capture: {
+    // Where pcap/rtpdump files are written
+    directory: process.env.CAPTURE_DIR || './captures',
+    
+    // Longest capture (seconds) and largest file (bytes)
+    maxDuration: 300,
+    maxBytes: 100 * 1024 * 1024,
+    
+    // How long stopped captures stay listed by the API (seconds)
+    keepStoppedFor: 3600
+  },
+
+  // WHIP ingest (POST /whip/:roomId) for OBS and other WHIP encoders
+  whip: {
+    // Remove a publisher whose connection has been lost for this long (ms)
+    disconnectTimeout: 30000
+  },
+
+  // Plain RTP ingests created through the admin API (intro videos, hold music, ...)
+  rtpIngest: {
+    // Address the ingest ports listen on (127.0.0.1 accepts local senders only)
+    listenIp: { ip: '127.0.0.1', announcedIp: undefined },
+    
+    // Codec and payload type expected when the request doesn't give them
+    audio: { codec: 'opus', payloadType: 100 },
+    video: { codec: 'VP8', payloadType: 101 }
+  },
+
+  // Admin REST API (/api/...), called with 'Authorization: Bearer <adminKey>'
+  // Disabled when no key is set
+  api: {
+    adminKey: process.env.ADMIN_API_KEY || ''
+  },
+
   // mediasoup Worker settings
   // Workers are mediasoup processes that handle media routing
   mediasoup: {
     // Number of worker processes to spawn
     // Each worker runs in a separate CPU core for better performance
+    // Every room gets its own router on the least-loaded worker
     numWorkers: 1, // For local POC, 1 is enough
     
+    // Maximum peers placed on one router before a room spreads to another
+    // worker; producers are piped between the room's routers with pipeToRouter()
+    maxPeersPerRouter: 50,
+    
     worker: {
       // RTC ports range for WebRTC connections
       // Each transport will use a port from this range
@@ -54,6 +197,16 @@ module.exports = {
             'x-google-start-bitrate': 1000
           }
         },
+        {
+          // Used with SVC (scalabilityMode) by browsers that support it
+          kind: 'video',
+          mimeType: 'video/VP9',
+          clockRate: 90000,
+          parameters: {
+            'profile-id': 2,
+            'x-google-start-bitrate': 1000
+          }
+        },
         {
           kind: 'video',
           mimeType: 'video/H264',
@@ -67,6 +220,20 @@ module.exports = {
       ]
     },
 
+    // AudioLevelObserver settings (one per room)
+    // Reports the loudest audio producers for speaking indicators
+    audioLevelObserver: {
+      maxEntries: 3,    // Number of loudest producers reported
+      threshold: -70,   // Minimum volume (dBvo, -127 to 0) to be reported
+      interval: 800     // Reporting interval (ms)
+    },
+
+    // ActiveSpeakerObserver settings (one per room)
+    // Reports the dominant speaker for the speaker-focused layout
+    activeSpeakerObserver: {
+      interval: 300     // Detection interval (ms)
+    },
+
     // WebRTC Transport settings
     // These are the settings for the WebRTC transports (send and receive)
     webRtcTransport: {
@@ -94,7 +261,10 @@ module.exports = {
       
       // Minimum and maximum outgoing bitrate
       minimumAvailableOutgoingBitrate: 600000,
-      maxIncomingBitrate: 1500000
+      maxIncomingBitrate: 1500000,
+      
+      // Largest data channel message accepted over SCTP (bytes)
+      maxSctpMessageSize: 262144
     }
   }
 };
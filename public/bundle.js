@@ -12488,23 +12488,84 @@
   var mediasoupClient = __toESM(require_lib5());
   var state = {
     socket: null,
+    authRequired: false,
+    // Server requires an access token to connect
+    authToken: null,
+    // Access token (JWT) from the URL or the login step
     peerId: null,
     roomId: null,
+    inviteToken: null,
+    // Room invite from the page URL (?invite=...), lets us skip the password
+    clientId: null,
+    // Random id of this browser, kept in local storage (what bans apply to without auth)
+    role: null,
+    // Our role in the room: 'host', 'moderator', 'participant' or 'viewer'
+    removedFromRoom: false,
+    // A moderator removed us; reconnect once the server closes the socket
+    passwordProtected: false,
+    lobbyEnabled: false,
+    muteOnJoin: false,
+    // New peers join with their microphone host-locked
+    banScope: "browser",
+    // What a ban covers: 'account', 'address' or 'browser'
+    audioLocked: false,
+    // A host muted our microphone; we can't unmute until asked
+    recording: false,
+    // The room is being recorded
+    lobbyPeers: /* @__PURE__ */ new Map(),
+    // Peers waiting in the lobby (shown to hosts), by peer id
+    inLobby: false,
+    // We are waiting for a host to admit us
+    displayName: null,
+    // Our name as accepted by the server
+    metadata: {},
+    // Our peer metadata (avatar URL, ...)
     device: null,
     sendTransport: null,
     recvTransport: null,
     producers: /* @__PURE__ */ new Map(),
-    // Local producers (camera, mic)
+    // Local producers (camera, mic, screen)
     consumers: /* @__PURE__ */ new Map(),
     // Remote consumers
+    dataProducers: /* @__PURE__ */ new Map(),
+    // Our data channels, by label
+    dataConsumers: /* @__PURE__ */ new Map(),
+    // Remote peers' data channels, by data consumer id
+    dataMessageHandlers: /* @__PURE__ */ new Map(),
+    // Handlers for incoming data, by channel label
+    fileTransfers: /* @__PURE__ */ new Map(),
+    // Files we are sending or receiving, by transfer id
     remotePeers: /* @__PURE__ */ new Map(),
     // Remote peer information
+    spotlightPeerId: null,
+    // Remote peer shown in the large tile (gets the high layer)
+    pinnedPeerId: null,
+    // Peer spotlighted by the user; otherwise the active speaker is
+    activeSpeakerPeerId: null,
+    // Dominant speaker reported by the server
+    forwardedPeerIds: null,
+    // Peers whose camera the server forwards to us (null = everyone)
     isVideoEnabled: true,
     isAudioEnabled: true,
     localStream: null,
-    pendingConsumers: []
+    unreadChatMessages: 0,
+    // Chat messages received while the chat panel is closed
+    pendingConsumers: [],
     // Producers to consume after recv transport is ready
+    nextRequestId: 1,
+    pendingRequests: /* @__PURE__ */ new Map()
+    // Requests awaiting a server reply, by request id
   };
+  var REQUEST_TIMEOUT = 1e4;
+  var SIMULCAST_ENCODINGS = [
+    { rid: "r0", scaleResolutionDownBy: 4, maxBitrate: 15e4 },
+    { rid: "r1", scaleResolutionDownBy: 2, maxBitrate: 5e5 },
+    { rid: "r2", scaleResolutionDownBy: 1, maxBitrate: 12e5 }
+  ];
+  var SVC_ENCODINGS = [
+    { scalabilityMode: "L3T3_KEY", maxBitrate: 12e5 }
+  ];
+  var MAX_SPATIAL_LAYER = 2;
   var DEBUG = true;
   function log(...args) {
     if (DEBUG) {
@@ -12514,9 +12575,55 @@
   document.addEventListener("DOMContentLoaded", async () => {
     log("Application starting...");
     setupEventListeners();
+    const params = new URLSearchParams(window.location.search);
+    if (params.get("room")) {
+      document.getElementById("roomIdInput").value = params.get("room");
+    }
+    state.inviteToken = params.get("invite");
+    try {
+      const response = await fetch("/auth/status");
+      state.authRequired = (await response.json()).required;
+    } catch (error) {
+      console.error("Error checking auth status:", error);
+    }
+    state.authToken = getAuthToken();
+    if (state.authRequired && !state.authToken) {
+      showLoginSection();
+      return;
+    }
     connectToServer();
   });
+  function getAuthToken() {
+    const urlToken = new URLSearchParams(window.location.search).get("token");
+    if (urlToken) {
+      sessionStorage.setItem("authToken", urlToken);
+      return urlToken;
+    }
+    return sessionStorage.getItem("authToken");
+  }
+  function showLoginSection(errorMessage) {
+    document.getElementById("loginSection").style.display = "block";
+    document.getElementById("joinSection").style.display = "none";
+    document.getElementById("loginError").textContent = errorMessage || "";
+    document.getElementById("tokenInput").focus();
+  }
+  function handleLogin() {
+    const tokenInput = document.getElementById("tokenInput");
+    const token = tokenInput.value.trim();
+    if (!token) {
+      showNotification("Please enter your access token", "warning");
+      tokenInput.focus();
+      return;
+    }
+    sessionStorage.setItem("authToken", token);
+    state.authToken = token;
+    tokenInput.value = "";
+    document.getElementById("loginSection").style.display = "none";
+    document.getElementById("joinSection").style.display = "block";
+    connectToServer();
+  }
   function setupEventListeners() {
+    document.getElementById("loginBtn").addEventListener("click", handleLogin);
     document.getElementById("joinBtn").addEventListener("click", handleJoinRoom);
     document.getElementById("roomIdInput").addEventListener("keypress", (e) => {
       if (e.key === "Enter") {
@@ -12526,6 +12633,32 @@
     document.getElementById("toggleVideoBtn").addEventListener("click", toggleVideo);
     document.getElementById("toggleAudioBtn").addEventListener("click", toggleAudio);
     document.getElementById("leaveRoomBtn").addEventListener("click", leaveRoom);
+    document.getElementById("renameBtn").addEventListener("click", changeDisplayName);
+    document.getElementById("shareScreenBtn").addEventListener("click", toggleScreenShare);
+    document.getElementById("inviteBtn").addEventListener("click", createInviteLink);
+    document.getElementById("passwordBtn").addEventListener("click", changeRoomPassword);
+    document.getElementById("lobbyBtn").addEventListener("click", toggleLobby);
+    document.getElementById("muteAllBtn").addEventListener("click", muteAll);
+    document.getElementById("muteOnJoinBtn").addEventListener("click", toggleMuteOnJoin);
+    document.getElementById("recordBtn").addEventListener("click", toggleRecording);
+    document.getElementById("chatBtn").addEventListener("click", toggleChat);
+    document.getElementById("chatForm").addEventListener("submit", sendChatMessage);
+    document.getElementById("attachFileBtn").addEventListener("click", () => {
+      document.getElementById("fileInput").click();
+    });
+    document.getElementById("fileInput").addEventListener("change", (e) => {
+      sendFiles(e.target.files, document.getElementById("chatRecipient").value || void 0);
+      e.target.value = "";
+    });
+    const chatPanel = document.getElementById("chatPanel");
+    chatPanel.addEventListener("dragover", allowFileDrop);
+    chatPanel.addEventListener("dragleave", () => chatPanel.classList.remove("drop-target"));
+    chatPanel.addEventListener("drop", (e) => {
+      e.preventDefault();
+      chatPanel.classList.remove("drop-target");
+      sendFiles(e.dataTransfer.files, document.getElementById("chatRecipient").value || void 0);
+    });
+    document.getElementById("leaveLobbyBtn").addEventListener("click", leaveLobby);
     document.getElementById("toggleDebugBtn").addEventListener("click", () => {
       const debugSection = document.getElementById("debugSection");
       debugSection.style.display = debugSection.style.display === "none" ? "block" : "none";
@@ -12536,16 +12669,32 @@
     log("Connecting to server...");
     showLoading("Connecting to server...");
     const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
-    const wsUrl = `${protocol}//${window.location.host}`;
+    const tokenQuery = state.authToken ? `?token=${encodeURIComponent(state.authToken)}` : "";
+    const wsUrl = `${protocol}//${window.location.host}/${tokenQuery}`;
+    let opened = false;
     state.socket = new WebSocket(wsUrl);
     state.socket.onopen = () => {
+      opened = true;
       log("WebSocket connected");
       updateConnectionStatus(true);
       hideLoading();
     };
     state.socket.onclose = () => {
       log("WebSocket disconnected");
+      rejectPendingRequests(new Error("WebSocket disconnected"));
       updateConnectionStatus(false);
+      if (state.removedFromRoom) {
+        state.removedFromRoom = false;
+        connectToServer();
+        return;
+      }
+      if (!opened && state.authRequired) {
+        sessionStorage.removeItem("authToken");
+        state.authToken = null;
+        hideLoading();
+        showLoginSection("Your access token was rejected. Please sign in again.");
+        return;
+      }
       showNotification("Disconnected from server", "error");
     };
     state.socket.onerror = (error) => {
@@ -12555,6 +12704,10 @@
     };
     state.socket.onmessage = (event) => {
       const message = JSON.parse(event.data);
+      if (message.id !== void 0 && state.pendingRequests.has(message.id)) {
+        settlePendingRequest(message);
+        return;
+      }
       routeServerMessage(message);
     };
   }
@@ -12567,35 +12720,129 @@
           state.peerId = payload.peerId;
           log("Assigned peer ID:", state.peerId);
           break;
-        case "routerRtpCapabilities":
-          await initializeDeviceWithCapabilities(payload);
+        case "newPeer":
+          trackNewPeerJoined(payload);
+          break;
+        case "newProducer":
+          await requestToConsumeNewProducer(payload);
+          break;
+        case "peerLeft":
+          cleanupDisconnectedPeer(payload);
+          break;
+        case "peerInfoUpdated":
+          applyRemotePeerInfo(payload);
+          break;
+        case "producerClosed":
+          removeClosedRemoteProducer(payload);
+          break;
+        case "newDataProducer":
+          await requestToConsumeNewDataProducer(payload);
+          break;
+        case "dataProducerClosed":
+        case "dataConsumerClosed":
+          removeRemoteDataConsumers(payload.dataProducerId);
+          break;
+        case "producerPaused":
+          setRemoteProducerPaused(payload, true);
+          break;
+        case "producerResumed":
+          setRemoteProducerPaused(payload, false);
+          break;
+        case "consumerClosed":
+          removeRemoteConsumer(payload.consumerId);
+          break;
+        case "consumerProducerPaused":
+          setConsumerProducerPaused(payload, true);
+          break;
+        case "consumerProducerResumed":
+          setConsumerProducerPaused(payload, false);
+          break;
+        case "activeSpeaker":
+          await setActiveSpeaker(payload.peerId);
+          break;
+        case "audioLevels":
+          updateSpeakingIndicators(payload.levels);
+          break;
+        case "lastNUpdated":
+          applyLastNSelection(payload);
+          break;
+        case "roomLastNSet":
+          log("Room last N set to:", payload.lastN);
+          break;
+        case "roomPasswordChanged":
+          setRoomPasswordProtected(payload.passwordProtected);
+          showNotification(payload.passwordProtected ? "Room password set" : "Room password removed", "info");
+          break;
+        case "peerRoleChanged":
+          await applyPeerRole(payload);
+          break;
+        case "removedFromRoom":
+          state.removedFromRoom = true;
+          leaveRoom();
+          showNotification(payload.reason === "banned" ? "You were banned from the room" : "You were removed from the room", "error");
           break;
         case "roomJoined":
-          await setupLocalMediaAndTransports(payload);
+          await enterRoom(payload);
           break;
-        case "newPeer":
-          trackNewPeerJoined(payload);
+        case "lobbyDenied":
+          exitLobby();
+          showNotification(payload.reason || "The host did not let you in", "error");
           break;
-        case "transportCreated":
-          await configureTransportAndProduce(payload);
+        case "lobbyRequest":
+          addLobbyRequest(payload);
           break;
-        case "transportConnected":
-          log("Transport connected");
+        case "lobbyRequestClosed":
+          removeLobbyRequest(payload.peerId);
           break;
-        case "produced":
-          confirmProducerCreated(payload);
+        case "lobbyEnabledChanged":
+          setLobbyEnabled(payload.lobbyEnabled);
           break;
-        case "newProducer":
-          await requestToConsumeNewProducer(payload);
+        case "muteOnJoinChanged":
+          setMuteOnJoin(payload.muteOnJoin);
           break;
-        case "consumed":
-          await startReceivingRemoteMedia(payload);
+        case "recordingStarted":
+          setRecording(true);
+          showNotification("This meeting is being recorded", "info");
           break;
-        case "consumerResumed":
-          log("Consumer resumed");
+        case "recordingStopped":
+          setRecording(false);
+          showNotification("Recording stopped", "info");
           break;
-        case "peerLeft":
-          cleanupDisconnectedPeer(payload);
+        case "audioLockChanged":
+          state.audioLocked = payload.locked;
+          if (payload.locked) {
+            showNotification("A host muted everyone. You can unmute when they ask you to.", "warning");
+          }
+          break;
+        case "unmuteRequested":
+          await answerUnmuteRequest(payload);
+          break;
+        case "chatMessage":
+          addChatMessage(payload);
+          break;
+        case "fileTransferOffered":
+          addIncomingFileTransfer(payload);
+          break;
+        case "fileTransferReady":
+          startSendingFile(payload.transferId);
+          break;
+        case "fileTransferPaused":
+          setIncomingFileTransferPaused(payload);
+          break;
+        case "fileTransferReceived":
+          log(`Peer ${payload.peerId} ${payload.ok ? "received" : "did not receive"} file transfer ${payload.transferId}`);
+          break;
+        case "fileTransferEnded":
+          finishFileTransfer(payload);
+          break;
+        case "consumerLayersChanged":
+          log(`Consumer ${payload.consumerId} layers changed:`, payload.layers);
+          break;
+        case "peerRestarting":
+          clearRestartingPeerMedia(payload);
+          break;
+        case "routerRestarted":
+          await rebuildMediaAfterRouterRestart(payload);
           break;
         case "error":
           console.error("Server error:", payload.message);
@@ -12610,14 +12857,44 @@
       showNotification("Error processing server message", "error");
     }
   }
-  function sendMessage(type, payload = {}) {
-    if (state.socket && state.socket.readyState === WebSocket.OPEN) {
-      state.socket.send(JSON.stringify({ type, payload }));
-      log(`Sent '${type}' message:`, payload);
+  function request(type, payload = {}) {
+    return new Promise((resolve, reject) => {
+      if (!state.socket || state.socket.readyState !== WebSocket.OPEN) {
+        reject(new Error("WebSocket not connected"));
+        return;
+      }
+      const id = state.nextRequestId++;
+      const timeout = setTimeout(() => {
+        state.pendingRequests.delete(id);
+        reject(new Error(`Request '${type}' timed out`));
+      }, REQUEST_TIMEOUT);
+      state.pendingRequests.set(id, { type, resolve, reject, timeout });
+      state.socket.send(JSON.stringify({ id, type, payload }));
+      log(`Sent '${type}' request #${id}:`, payload);
+    });
+  }
+  function settlePendingRequest(message) {
+    const { id, type, payload } = message;
+    const pendingRequest = state.pendingRequests.get(id);
+    state.pendingRequests.delete(id);
+    clearTimeout(pendingRequest.timeout);
+    if (type === "error") {
+      log(`Request '${pendingRequest.type}' #${id} failed:`, payload.message);
+      const error = new Error(payload.message);
+      error.code = payload.code;
+      pendingRequest.reject(error);
     } else {
-      console.error("WebSocket not connected");
+      log(`Received '${type}' reply to #${id}:`, payload);
+      pendingRequest.resolve(payload);
     }
   }
+  function rejectPendingRequests(error) {
+    state.pendingRequests.forEach(({ reject, timeout }) => {
+      clearTimeout(timeout);
+      reject(error);
+    });
+    state.pendingRequests.clear();
+  }
   async function handleJoinRoom() {
     const roomIdInput = document.getElementById("roomIdInput");
     const roomId = roomIdInput.value.trim();
@@ -12627,14 +12904,444 @@
       return;
     }
     state.roomId = roomId;
+    const displayName = document.getElementById("displayNameInput").value.trim();
     try {
       showLoading("Joining room...");
-      sendMessage("getRouterRtpCapabilities");
+      const capabilities = await request("getRouterRtpCapabilities", { roomId });
+      await initializeDeviceWithCapabilities(capabilities);
+      const roomInfo = await requestJoinRoom(roomId, displayName);
+      if (roomInfo.inLobby) {
+        showLobbyWaiting(roomInfo);
+        return;
+      }
+      await enterRoom(roomInfo);
     } catch (error) {
       console.error("Error joining room:", error);
-      showNotification("Failed to join room", "error");
+      showNotification(`Failed to join room: ${error.message}`, "error");
       hideLoading();
     }
+    updateDebugInfo();
+  }
+  async function enterRoom(roomInfo) {
+    hideLobbyWaiting();
+    const lastN = parseInt(new URLSearchParams(window.location.search).get("lastN"), 10);
+    if (Number.isInteger(lastN) && lastN >= 0) {
+      await request("setLastN", { lastN });
+    }
+    await setupLocalMediaAndTransports(roomInfo);
+  }
+  function releaseLocalMedia() {
+    if (state.localStream) {
+      state.localStream.getTracks().forEach((track) => track.stop());
+      state.localStream = null;
+    }
+  }
+  function showLobbyWaiting(lobbyInfo) {
+    state.inLobby = true;
+    hideLoading();
+    document.getElementById("lobbyRoomName").textContent = lobbyInfo.roomId;
+    document.getElementById("joinSection").style.display = "none";
+    document.getElementById("lobbySection").style.display = "block";
+  }
+  function hideLobbyWaiting() {
+    state.inLobby = false;
+    document.getElementById("lobbySection").style.display = "none";
+  }
+  function exitLobby() {
+    hideLobbyWaiting();
+    releaseLocalMedia();
+    state.roomId = null;
+    state.device = null;
+    document.getElementById("joinSection").style.display = "block";
+  }
+  async function leaveLobby() {
+    try {
+      await request("leaveLobby");
+    } catch (error) {
+      console.error("Error leaving lobby:", error);
+    }
+    exitLobby();
+  }
+  function addLobbyRequest(peerInfo) {
+    if (state.lobbyPeers.has(peerInfo.peerId))
+      return;
+    const item = document.createElement("li");
+    item.className = "lobby-request";
+    const name = document.createElement("span");
+    name.className = "lobby-request-name";
+    name.textContent = peerInfo.displayName;
+    const admitBtn = document.createElement("button");
+    admitBtn.className = "btn btn-primary btn-small";
+    admitBtn.textContent = "Admit";
+    admitBtn.addEventListener("click", () => respondToLobbyRequest(peerInfo.peerId, "admitPeer"));
+    const denyBtn = document.createElement("button");
+    denyBtn.className = "btn btn-secondary btn-small";
+    denyBtn.textContent = "Deny";
+    denyBtn.addEventListener("click", () => respondToLobbyRequest(peerInfo.peerId, "denyPeer"));
+    item.append(name, admitBtn, denyBtn);
+    document.getElementById("lobbyList").appendChild(item);
+    state.lobbyPeers.set(peerInfo.peerId, { ...peerInfo, element: item });
+    updateLobbyPanel();
+    showNotification(`${peerInfo.displayName} is waiting in the lobby`, "info");
+  }
+  function removeLobbyRequest(peerId) {
+    const lobbyPeer = state.lobbyPeers.get(peerId);
+    if (!lobbyPeer)
+      return;
+    lobbyPeer.element.remove();
+    state.lobbyPeers.delete(peerId);
+    updateLobbyPanel();
+  }
+  function updateLobbyPanel() {
+    document.getElementById("lobbyPanel").style.display = state.lobbyPeers.size > 0 ? "block" : "none";
+  }
+  async function respondToLobbyRequest(peerId, type) {
+    try {
+      await request(type, { peerId });
+    } catch (error) {
+      console.error(`Error handling lobby request (${type}):`, error);
+      showNotification(`Failed: ${error.message}`, "error");
+    }
+  }
+  async function toggleLobby() {
+    try {
+      const { lobbyEnabled } = await request("setLobbyEnabled", { enabled: !state.lobbyEnabled });
+      setLobbyEnabled(lobbyEnabled);
+      showNotification(lobbyEnabled ? "Lobby enabled" : "Lobby disabled", "success");
+    } catch (error) {
+      console.error("Error toggling lobby:", error);
+      showNotification(`Failed to change lobby: ${error.message}`, "error");
+    }
+  }
+  function setLobbyEnabled(lobbyEnabled) {
+    state.lobbyEnabled = lobbyEnabled;
+    const btn = document.getElementById("lobbyBtn");
+    btn.querySelector(".label").textContent = lobbyEnabled ? "Lobby On" : "Lobby Off";
+    btn.classList.toggle("active", lobbyEnabled);
+  }
+  async function muteAll() {
+    if (!window.confirm("Mute everyone? They can unmute once you ask them to."))
+      return;
+    try {
+      await request("muteAll");
+      showNotification("Everyone muted", "success");
+    } catch (error) {
+      console.error("Error muting everyone:", error);
+      showNotification(`Failed to mute everyone: ${error.message}`, "error");
+    }
+  }
+  async function toggleMuteOnJoin() {
+    try {
+      const { muteOnJoin } = await request("setMuteOnJoin", { enabled: !state.muteOnJoin });
+      setMuteOnJoin(muteOnJoin);
+    } catch (error) {
+      console.error("Error changing mute on join:", error);
+      showNotification(`Failed to change mute on join: ${error.message}`, "error");
+    }
+  }
+  function setMuteOnJoin(muteOnJoin) {
+    state.muteOnJoin = muteOnJoin;
+    document.getElementById("muteOnJoinBtn").classList.toggle("active", muteOnJoin);
+  }
+  async function toggleRecording() {
+    const btn = document.getElementById("recordBtn");
+    btn.disabled = true;
+    try {
+      if (state.recording) {
+        const { files } = await request("stopRecording");
+        setRecording(false);
+        showNotification(`Recording saved (${files.length} file${files.length === 1 ? "" : "s"})`, "success");
+      } else {
+        await request("startRecording");
+        setRecording(true);
+        showNotification("Recording started", "success");
+      }
+    } catch (error) {
+      console.error("Error toggling recording:", error);
+      showNotification(`Failed to ${state.recording ? "stop" : "start"} recording: ${error.message}`, "error");
+    } finally {
+      btn.disabled = false;
+    }
+  }
+  function setRecording(recording) {
+    state.recording = recording;
+    document.getElementById("recordingIndicator").style.display = recording ? "" : "none";
+    const btn = document.getElementById("recordBtn");
+    btn.querySelector(".label").textContent = recording ? "Stop Recording" : "Record";
+    btn.classList.toggle("active", recording);
+  }
+  async function answerUnmuteRequest(payload) {
+    if (state.isAudioEnabled)
+      return;
+    const name = payload.displayName || "A host";
+    if (window.confirm(`${name} is asking you to unmute. Turn on your microphone?`)) {
+      await toggleAudio();
+    }
+  }
+  function applyAudioLock(audioProducer) {
+    if (!state.audioLocked)
+      return;
+    setLocalProducerPaused(audioProducer, true, false);
+    state.isAudioEnabled = false;
+    updateAudioButton(false);
+    showNotification("You joined muted. You can unmute when a host asks you to.", "info");
+  }
+  async function requestJoinRoom(roomId, displayName) {
+    let password;
+    for (; ; ) {
+      try {
+        return await request("joinRoom", {
+          roomId,
+          displayName,
+          metadata: getLocalMetadata(),
+          clientId: getClientId(),
+          invite: state.inviteToken || void 0,
+          password
+        });
+      } catch (error) {
+        if (error.code !== "passwordRequired" && error.code !== "invalidPassword") {
+          throw error;
+        }
+        hideLoading();
+        const message = error.code === "invalidPassword" ? "Wrong password, try again:" : `Room "${roomId}" is password protected. Enter the password:`;
+        password = window.prompt(message);
+        if (password === null) {
+          throw new Error("Password is required");
+        }
+        showLoading("Joining room...");
+      }
+    }
+  }
+  async function createInviteLink() {
+    try {
+      const invite = await request("createInvite");
+      const params = new URLSearchParams({ room: invite.roomId, invite: invite.token });
+      const url = `${window.location.origin}${window.location.pathname}?${params}`;
+      try {
+        await navigator.clipboard.writeText(url);
+        showNotification(`Invite link copied (valid until ${new Date(invite.expiresAt).toLocaleString()})`, "success");
+      } catch (clipboardError) {
+        window.prompt("Copy this invite link:", url);
+      }
+    } catch (error) {
+      console.error("Error creating invite:", error);
+      showNotification(`Failed to create invite: ${error.message}`, "error");
+    }
+  }
+  async function changeRoomPassword() {
+    const password = window.prompt("Enter a new room password (leave empty to remove it)", "");
+    if (password === null)
+      return;
+    try {
+      const { passwordProtected } = await request("setRoomPassword", { password });
+      setRoomPasswordProtected(passwordProtected);
+      showNotification(passwordProtected ? "Room password set" : "Room password removed", "success");
+    } catch (error) {
+      console.error("Error setting room password:", error);
+      showNotification(`Failed to set password: ${error.message}`, "error");
+    }
+  }
+  function setLocalRole(role) {
+    state.role = role;
+    const isHost = role === "host";
+    document.getElementById("passwordBtn").style.display = isHost ? "" : "none";
+    document.getElementById("lobbyBtn").style.display = isHost ? "" : "none";
+    document.getElementById("muteAllBtn").style.display = isHost ? "" : "none";
+    document.getElementById("muteOnJoinBtn").style.display = isHost ? "" : "none";
+    document.getElementById("recordBtn").style.display = isHost ? "" : "none";
+    ["toggleVideoBtn", "toggleAudioBtn", "shareScreenBtn"].forEach((id) => {
+      document.getElementById(id).style.display = role === "viewer" ? "none" : "";
+    });
+    const videoGrid = document.getElementById("videoGrid");
+    videoGrid.classList.toggle("can-moderate", isHost || role === "moderator");
+    videoGrid.classList.toggle("is-host", isHost);
+    state.remotePeers.forEach((remotePeer) => updateRemotePeerTile(remotePeer));
+  }
+  async function applyPeerRole(payload) {
+    const { peerId, role } = payload;
+    if (peerId !== state.peerId) {
+      const remotePeer = state.remotePeers.get(peerId);
+      if (remotePeer) {
+        remotePeer.role = role;
+        updateRemotePeerTile(remotePeer);
+      }
+      return;
+    }
+    const previousRole = state.role;
+    setLocalRole(role);
+    showNotification(`You are now a ${role}`, "info");
+    if (role === "viewer") {
+      releaseLocalMedia();
+    } else if (previousRole === "viewer") {
+      await startPublishing();
+    }
+  }
+  async function startPublishing() {
+    try {
+      await getUserMedia();
+      if (state.sendTransport) {
+        await produceMedia();
+      } else {
+        await createTransport("send");
+      }
+      state.isVideoEnabled = true;
+      state.isAudioEnabled = true;
+      updateVideoButton(true);
+      updateAudioButton(true);
+    } catch (error) {
+      console.error("Error starting to publish:", error);
+      showNotification(`Failed to start camera: ${error.message}`, "error");
+    }
+    hideLoading();
+  }
+  function canModeratePeer(remotePeer) {
+    if (state.role === "host")
+      return true;
+    return state.role === "moderator" && (remotePeer.role === "participant" || remotePeer.role === "viewer");
+  }
+  function describeBanScope() {
+    switch (state.banScope) {
+      case "account":
+        return "They can't rejoin with the same account until the room closes.";
+      case "address":
+        return "Nobody from their IP address (e.g. their whole network) can join until the room closes.";
+      default:
+        return "They can't rejoin from the same browser until the room closes.";
+    }
+  }
+  async function moderatePeer(peerId, action) {
+    const remotePeer = state.remotePeers.get(peerId);
+    const name = remotePeer ? remotePeer.displayName : "this participant";
+    try {
+      switch (action) {
+        case "muteAudio":
+          await request("mutePeer", { peerId, kind: "audio" });
+          break;
+        case "askToUnmute":
+          await request("askToUnmute", { peerId });
+          showNotification(`Asked ${name} to unmute`, "info");
+          break;
+        case "muteVideo":
+          await request("mutePeer", { peerId, kind: "video" });
+          break;
+        case "stopMedia":
+          if (!window.confirm(`Stop all media from ${name}?`))
+            return;
+          await request("closePeerProducers", { peerId });
+          break;
+        case "kick":
+          if (!window.confirm(`Remove ${name} from the room?`))
+            return;
+          await request("kickPeer", { peerId });
+          break;
+        case "ban":
+          if (!window.confirm(`Ban ${name} from the room? ${describeBanScope()}`))
+            return;
+          await request("banPeer", { peerId });
+          break;
+      }
+    } catch (error) {
+      console.error(`Error running moderator action '${action}':`, error);
+      showNotification(`Failed: ${error.message}`, "error");
+    }
+  }
+  async function changePeerRole(peerId, role) {
+    try {
+      await request("setPeerRole", { peerId, role });
+    } catch (error) {
+      console.error("Error changing role:", error);
+      showNotification(`Failed to change role: ${error.message}`, "error");
+      const remotePeer = state.remotePeers.get(peerId);
+      if (remotePeer) {
+        updateRemotePeerTile(remotePeer);
+      }
+    }
+  }
+  function findLocalProducer(producerId) {
+    return Array.from(state.producers).find(([, producer]) => producer.id === producerId);
+  }
+  function setLocalProducerPausedByServer(payload, paused) {
+    const entry = findLocalProducer(payload.producerId);
+    if (!entry)
+      return;
+    const [key, producer] = entry;
+    setLocalProducerPaused(producer, paused, false);
+    if (key === "video") {
+      state.isVideoEnabled = !paused;
+      updateVideoButton(state.isVideoEnabled);
+    } else if (key === "audio") {
+      state.isAudioEnabled = !paused;
+      updateAudioButton(state.isAudioEnabled);
+    }
+    if (paused) {
+      showNotification(`A moderator turned off your ${payload.source}`, "warning");
+    }
+  }
+  function closeLocalProducerByServer(payload) {
+    const entry = findLocalProducer(payload.producerId);
+    if (!entry)
+      return;
+    const [key, producer] = entry;
+    producer.close();
+    state.producers.delete(key);
+    if (key === "screen") {
+      updateScreenShareButton(false);
+    } else if (key === "video") {
+      state.isVideoEnabled = false;
+      updateVideoButton(false);
+    } else if (key === "audio") {
+      state.isAudioEnabled = false;
+      updateAudioButton(false);
+    }
+    showNotification(`A moderator stopped your ${payload.source}`, "warning");
+  }
+  function setRoomPasswordProtected(passwordProtected) {
+    state.passwordProtected = passwordProtected;
+    document.getElementById("roomLock").style.display = passwordProtected ? "" : "none";
+  }
+  function getLocalMetadata() {
+    const params = new URLSearchParams(window.location.search);
+    const metadata = {};
+    if (params.get("avatarUrl")) {
+      metadata.avatarUrl = params.get("avatarUrl");
+    }
+    return metadata;
+  }
+  function getClientId() {
+    if (state.clientId) {
+      return state.clientId;
+    }
+    try {
+      state.clientId = window.localStorage.getItem("clientId");
+    } catch (error) {
+    }
+    if (!state.clientId) {
+      const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+      state.clientId = Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+      try {
+        window.localStorage.setItem("clientId", state.clientId);
+      } catch (error) {
+      }
+    }
+    return state.clientId;
+  }
+  async function changeDisplayName() {
+    const displayName = window.prompt("Enter your new name", state.displayName || "");
+    if (displayName === null || !displayName.trim())
+      return;
+    try {
+      const info = await request("updatePeerInfo", { displayName: displayName.trim() });
+      setLocalPeerInfo(info);
+      showNotification("Name updated", "success");
+    } catch (error) {
+      console.error("Error updating name:", error);
+      showNotification(`Failed to update name: ${error.message}`, "error");
+    }
+  }
+  function setLocalPeerInfo(info) {
+    state.displayName = info.displayName;
+    state.metadata = info.metadata || {};
+    document.querySelector("#localVideoContainer .participant-name").textContent = `${state.displayName} (You)`;
   }
   window.quickJoin = function(roomId) {
     document.getElementById("roomIdInput").value = roomId;
@@ -12650,8 +13357,6 @@
       audio: state.device.canProduce("audio"),
       video: state.device.canProduce("video")
     });
-    await getUserMedia();
-    sendMessage("joinRoom", { roomId: state.roomId });
   }
   async function getUserMedia() {
     showLoading("Accessing camera and microphone...");
@@ -12678,109 +13383,164 @@
     }
   }
   async function setupLocalMediaAndTransports(payload) {
-    const { roomId, peers, existingProducers } = payload;
+    const { roomId, self, peers, existingProducers } = payload;
     log("Joined room:", roomId, "with peers:", peers);
     log("Existing producers:", existingProducers);
     showLoading("Setting up media connection...");
+    setLocalPeerInfo(self);
+    peers.forEach((peerInfo) => applyRemotePeerInfo(peerInfo));
+    setLocalRole(self.role);
+    setRoomPasswordProtected(payload.passwordProtected);
+    setLobbyEnabled(payload.lobbyEnabled);
+    setMuteOnJoin(payload.muteOnJoin);
+    state.banScope = payload.banScope || "browser";
+    setRecording(!!payload.recording);
+    state.audioLocked = payload.audioLocked;
+    showChatHistory(payload.chatHistory || []);
+    (payload.lobby || []).forEach((peerInfo) => addLobbyRequest(peerInfo));
+    state.activeSpeakerPeerId = payload.activeSpeakerPeerId || null;
+    await updateSpotlight();
     document.getElementById("currentRoomName").textContent = roomId;
     updatePeerCount(peers.length + 1);
     document.getElementById("joinSection").style.display = "none";
     document.getElementById("conferenceSection").style.display = "block";
     state.pendingConsumers = existingProducers || [];
-    sendMessage("createTransport", { direction: "send" });
+    if (self.role === "viewer") {
+      await createTransport("recv");
+      return;
+    }
+    await getUserMedia();
+    await createTransport("send");
+  }
+  async function createTransport(direction) {
+    const transportInfo = await request("createTransport", {
+      direction,
+      sctpCapabilities: state.device.sctpCapabilities
+      // Enables data channels
+    });
+    await configureTransportAndProduce(transportInfo);
   }
   async function configureTransportAndProduce(payload) {
-    const { transportId, iceParameters, iceCandidates, dtlsParameters, direction } = payload;
+    const { transportId, iceParameters, iceCandidates, dtlsParameters, sctpParameters, direction } = payload;
     log(`${direction} transport created:`, transportId);
     if (direction === "send") {
       state.sendTransport = state.device.createSendTransport({
         id: transportId,
         iceParameters,
         iceCandidates,
-        dtlsParameters
+        dtlsParameters,
+        sctpParameters
       });
       state.sendTransport.on("connect", async ({ dtlsParameters: dtlsParameters2 }, callback, errback) => {
         try {
           log("Send transport connecting...");
-          sendMessage("connectTransport", {
+          await request("connectTransport", {
             transportId: state.sendTransport.id,
             dtlsParameters: dtlsParameters2
           });
+          log("Send transport connected");
           callback();
         } catch (error) {
+          console.error("Error connecting send transport:", error);
+          showNotification(`Failed to connect send transport: ${error.message}`, "error");
           errback(error);
         }
       });
-      state.sendTransport.on("produce", async ({ kind, rtpParameters }, callback, errback) => {
+      watchTransportConnectionState(state.sendTransport, "send");
+      state.sendTransport.on("produce", async ({ kind, rtpParameters, appData }, callback, errback) => {
         try {
           log(`Producing ${kind}...`);
-          const producePromise = new Promise((resolve) => {
-            const originalHandler = state.socket.onmessage;
-            state.socket.onmessage = (event) => {
-              const message = JSON.parse(event.data);
-              if (message.type === "produced" && message.payload.kind === kind) {
-                resolve(message.payload.producerId);
-                state.socket.onmessage = originalHandler;
-              } else {
-                originalHandler(event);
-              }
-            };
-          });
-          sendMessage("produce", {
+          const producedInfo = await request("produce", {
             transportId: state.sendTransport.id,
             kind,
-            rtpParameters
+            rtpParameters,
+            appData
+          });
+          confirmProducerCreated(producedInfo);
+          callback({ id: producedInfo.producerId });
+        } catch (error) {
+          errback(error);
+        }
+      });
+      state.sendTransport.on("producedata", async ({ sctpStreamParameters, label, protocol, appData }, callback, errback) => {
+        try {
+          const { dataProducerId } = await request("produceData", {
+            transportId: state.sendTransport.id,
+            sctpStreamParameters,
+            label,
+            protocol,
+            appData
           });
-          const producerId = await producePromise;
-          callback({ id: producerId });
+          callback({ id: dataProducerId });
         } catch (error) {
           errback(error);
         }
       });
       await produceMedia();
-      sendMessage("createTransport", { direction: "recv" });
+      if (!state.recvTransport) {
+        await createTransport("recv");
+      }
     } else if (direction === "recv") {
       state.recvTransport = state.device.createRecvTransport({
         id: transportId,
         iceParameters,
         iceCandidates,
-        dtlsParameters
+        dtlsParameters,
+        sctpParameters
       });
       state.recvTransport.on("connect", async ({ dtlsParameters: dtlsParameters2 }, callback, errback) => {
         try {
           log("Recv transport connecting...");
-          sendMessage("connectTransport", {
+          await request("connectTransport", {
             transportId: state.recvTransport.id,
             dtlsParameters: dtlsParameters2
           });
+          log("Recv transport connected");
           callback();
         } catch (error) {
+          console.error("Error connecting recv transport:", error);
+          showNotification(`Failed to connect recv transport: ${error.message}`, "error");
           errback(error);
         }
       });
+      watchTransportConnectionState(state.recvTransport, "recv");
       if (state.pendingConsumers && state.pendingConsumers.length > 0) {
         log("Consuming existing producers:", state.pendingConsumers.length);
-        state.pendingConsumers.forEach((peerInfo) => {
-          peerInfo.producers.forEach((producer) => {
-            log(`Requesting to consume ${producer.kind} from peer ${peerInfo.peerId}`);
-            sendMessage("consume", {
-              producerId: producer.producerId,
-              rtpCapabilities: state.device.rtpCapabilities
-            });
-          });
-        });
+        const pendingConsumers = state.pendingConsumers;
         state.pendingConsumers = [];
+        for (const peerInfo of pendingConsumers) {
+          for (const producer of peerInfo.producers) {
+            log(`Requesting to consume ${producer.kind} from peer ${peerInfo.peerId}`);
+            await consumeProducer(producer.producerId);
+          }
+          for (const dataProducer of peerInfo.dataProducers || []) {
+            await consumeDataProducer(dataProducer.dataProducerId);
+          }
+        }
       }
       hideLoading();
       showNotification("Successfully joined the room!", "success");
     }
   }
+  function watchTransportConnectionState(transport, direction) {
+    transport.on("connectionstatechange", (connectionState) => {
+      log(`${direction} transport connection state:`, connectionState);
+      if (connectionState === "failed") {
+        showNotification(`Media connection (${direction}) failed`, "error");
+      }
+    });
+  }
   async function produceMedia() {
     log("Starting to produce media...");
     const videoTrack = state.localStream.getVideoTracks()[0];
     const audioTrack = state.localStream.getAudioTracks()[0];
     if (videoTrack) {
-      const videoProducer = await state.sendTransport.produce({ track: videoTrack });
+      const videoProducer = await state.sendTransport.produce({
+        track: videoTrack,
+        ...getCameraEncodingOptions(),
+        codecOptions: { videoGoogleStartBitrate: 1e3 },
+        appData: { source: "camera" }
+      });
       state.producers.set("video", videoProducer);
       log("Video producer created:", videoProducer.id);
       videoProducer.on("trackended", () => {
@@ -12791,9 +13551,13 @@
       });
     }
     if (audioTrack) {
-      const audioProducer = await state.sendTransport.produce({ track: audioTrack });
+      const audioProducer = await state.sendTransport.produce({
+        track: audioTrack,
+        appData: { source: "microphone" }
+      });
       state.producers.set("audio", audioProducer);
       log("Audio producer created:", audioProducer.id);
+      applyAudioLock(audioProducer);
       audioProducer.on("trackended", () => {
         log("Audio track ended");
       });
@@ -12802,31 +13566,516 @@
       });
     }
   }
+  function getCameraEncodingOptions() {
+    const vp9Codec = state.device.rtpCapabilities.codecs.find((codec) => codec.mimeType.toLowerCase() === "video/vp9");
+    if (vp9Codec && state.device.handlerName.startsWith("Chrome")) {
+      log("Publishing camera with VP9 SVC");
+      return { codec: vp9Codec, encodings: SVC_ENCODINGS };
+    }
+    log("Publishing camera with simulcast");
+    return { encodings: SIMULCAST_ENCODINGS };
+  }
   function confirmProducerCreated(payload) {
-    const { producerId, kind } = payload;
-    log(`${kind} producer confirmed:`, producerId);
+    const { producerId, kind, source } = payload;
+    log(`${kind} (${source}) producer confirmed:`, producerId);
+  }
+  async function toggleScreenShare() {
+    if (state.producers.has("screen")) {
+      await stopScreenShare();
+    } else {
+      await startScreenShare();
+    }
+  }
+  async function startScreenShare() {
+    if (!state.sendTransport)
+      return;
+    let screenStream;
+    try {
+      screenStream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+    } catch (error) {
+      log("Screen share not started:", error.message);
+      return;
+    }
+    const screenTrack = screenStream.getVideoTracks()[0];
+    try {
+      const screenProducer = await state.sendTransport.produce({
+        track: screenTrack,
+        appData: { source: "screen" }
+      });
+      state.producers.set("screen", screenProducer);
+      log("Screen producer created:", screenProducer.id);
+      screenProducer.on("trackended", () => {
+        log("Screen track ended");
+        stopScreenShare();
+      });
+      screenProducer.on("transportclose", () => {
+        log("Screen producer transport closed");
+        state.producers.delete("screen");
+        updateScreenShareButton(false);
+      });
+      updateScreenShareButton(true);
+      showNotification("Screen sharing started", "success");
+    } catch (error) {
+      console.error("Error sharing screen:", error);
+      screenTrack.stop();
+      showNotification(`Failed to share screen: ${error.message}`, "error");
+    }
+  }
+  async function stopScreenShare() {
+    const screenProducer = state.producers.get("screen");
+    if (!screenProducer)
+      return;
+    state.producers.delete("screen");
+    screenProducer.close();
+    updateScreenShareButton(false);
+    try {
+      await request("closeProducer", { producerId: screenProducer.id });
+      showNotification("Screen sharing stopped", "info");
+    } catch (error) {
+      console.error("Error closing screen producer:", error);
+    }
   }
   function trackNewPeerJoined(payload) {
     const { peerId } = payload;
     log("New peer joined:", peerId);
-    state.remotePeers.set(peerId, {
-      id: peerId,
-      consumers: /* @__PURE__ */ new Map()
-    });
+    const remotePeer = applyRemotePeerInfo(payload);
     updatePeerCount(state.remotePeers.size + 1);
-    showNotification(`New participant joined`, "info");
+    updatePreferredLayers();
+    showNotification(`${remotePeer.displayName} joined`, "info");
+  }
+  function applyRemotePeerInfo(payload) {
+    const { peerId, displayName, metadata, role } = payload;
+    if (!state.remotePeers.has(peerId)) {
+      state.remotePeers.set(peerId, {
+        id: peerId,
+        consumers: /* @__PURE__ */ new Map(),
+        pausedSources: /* @__PURE__ */ new Set()
+        // Sources ('camera', 'microphone', ...) paused by the peer
+      });
+    }
+    const remotePeer = state.remotePeers.get(peerId);
+    remotePeer.displayName = displayName || `Participant ${peerId.slice(-4)}`;
+    remotePeer.metadata = metadata || {};
+    remotePeer.role = role || "participant";
+    updateRemotePeerTile(remotePeer);
+    updateChatRecipients();
+    return remotePeer;
   }
   async function requestToConsumeNewProducer(payload) {
-    const { peerId, producerId, kind } = payload;
-    log(`New ${kind} producer from peer ${peerId}:`, producerId);
-    sendMessage("consume", {
-      producerId,
-      rtpCapabilities: state.device.rtpCapabilities
+    const { peerId, producerId, kind, source } = payload;
+    log(`New ${kind} (${source}) producer from peer ${peerId}:`, producerId);
+    applyRemotePeerInfo(payload);
+    if (!state.recvTransport) {
+      state.pendingConsumers.push({ peerId, producers: [{ producerId, kind, source }] });
+      return;
+    }
+    await consumeProducer(producerId);
+  }
+  async function consumeProducer(producerId) {
+    try {
+      const consumerInfo = await request("consume", {
+        producerId,
+        rtpCapabilities: state.device.rtpCapabilities
+      });
+      await startReceivingRemoteMedia(consumerInfo);
+    } catch (error) {
+      console.error(`Error consuming producer ${producerId}:`, error);
+      showNotification(`Failed to receive media: ${error.message}`, "error");
+    }
+  }
+  async function requestToConsumeNewDataProducer(payload) {
+    const { peerId, dataProducerId, label, protocol } = payload;
+    log(`New data producer '${label}' from peer ${peerId}:`, dataProducerId);
+    applyRemotePeerInfo(payload);
+    if (!state.recvTransport) {
+      state.pendingConsumers.push({ peerId, producers: [], dataProducers: [{ dataProducerId, label, protocol }] });
+      return;
+    }
+    await consumeDataProducer(dataProducerId);
+  }
+  async function consumeDataProducer(dataProducerId) {
+    try {
+      const { dataConsumerId, producerPeerId, sctpStreamParameters, label, protocol, appData } = await request("consumeData", { dataProducerId });
+      const dataConsumer = await state.recvTransport.consumeData({
+        id: dataConsumerId,
+        dataProducerId,
+        sctpStreamParameters,
+        label,
+        protocol,
+        appData
+      });
+      state.dataConsumers.set(dataConsumer.id, { dataConsumer, dataProducerId, peerId: producerPeerId, label });
+      if (appData && appData.transferId) {
+        dataConsumer.binaryType = "arraybuffer";
+        dataConsumer.on("message", (data) => receiveFileChunk(appData.transferId, data));
+      }
+      dataConsumer.on("message", (data) => {
+        if (appData && appData.transferId)
+          return;
+        const handlers = state.dataMessageHandlers.get(label);
+        if (handlers) {
+          handlers.forEach((handler) => handler(data, producerPeerId));
+        }
+      });
+      dataConsumer.on("transportclose", () => {
+        state.dataConsumers.delete(dataConsumer.id);
+      });
+      log(`Consuming data channel '${label}' from peer ${producerPeerId}`);
+    } catch (error) {
+      console.error(`Error consuming data producer ${dataProducerId}:`, error);
+    }
+  }
+  function removeRemoteDataConsumers(dataProducerId) {
+    state.dataConsumers.forEach(({ dataConsumer, dataProducerId: consumedId }, dataConsumerId) => {
+      if (consumedId === dataProducerId) {
+        dataConsumer.close();
+        state.dataConsumers.delete(dataConsumerId);
+      }
+    });
+  }
+  async function openDataChannel(label, options = {}) {
+    if (state.dataProducers.has(label)) {
+      return state.dataProducers.get(label);
+    }
+    if (!state.sendTransport) {
+      throw new Error("Not connected to a room");
+    }
+    const dataProducer = await state.sendTransport.produceData({ label, ...options });
+    state.dataProducers.set(label, dataProducer);
+    dataProducer.on("transportclose", () => {
+      state.dataProducers.delete(label);
     });
+    log(`Data channel '${label}' opened:`, dataProducer.id);
+    return dataProducer;
+  }
+  async function sendData(label, data) {
+    const dataProducer = await openDataChannel(label);
+    if (dataProducer.readyState !== "open") {
+      await new Promise((resolve, reject) => {
+        dataProducer.once("open", resolve);
+        dataProducer.once("error", reject);
+      });
+    }
+    dataProducer.send(data);
+  }
+  async function closeDataChannel(label) {
+    const dataProducer = state.dataProducers.get(label);
+    if (!dataProducer)
+      return;
+    state.dataProducers.delete(label);
+    dataProducer.close();
+    try {
+      await request("closeDataProducer", { dataProducerId: dataProducer.id });
+    } catch (error) {
+      console.error(`Error closing data channel '${label}':`, error);
+    }
+  }
+  function onData(label, handler) {
+    if (!state.dataMessageHandlers.has(label)) {
+      state.dataMessageHandlers.set(label, /* @__PURE__ */ new Set());
+    }
+    state.dataMessageHandlers.get(label).add(handler);
+    return () => state.dataMessageHandlers.get(label).delete(handler);
+  }
+  window.dataChannels = {
+    open: openDataChannel,
+    send: sendData,
+    close: closeDataChannel,
+    onData
+  };
+  function allowFileDrop(e) {
+    if (!e.dataTransfer.types.includes("Files"))
+      return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    e.currentTarget.classList.add("drop-target");
+  }
+  function sendFiles(files, toPeerId) {
+    Array.from(files).forEach((file) => {
+      sendFile(file, toPeerId).catch((error) => {
+        console.error(`Error sending file ${file.name}:`, error);
+        showNotification(`Failed to send ${file.name}: ${error.message}`, "error");
+      });
+    });
+  }
+  async function sendFile(file, toPeerId) {
+    if (!state.sendTransport) {
+      throw new Error("Not connected to a room");
+    }
+    const data = await file.arrayBuffer();
+    const sha256 = await hashFile(data);
+    const { transferId, chunkSize, maxBitrate } = await request("startFileTransfer", {
+      name: file.name,
+      size: file.size,
+      mimeType: file.type,
+      sha256,
+      toPeerId
+    });
+    const transfer = {
+      transferId,
+      outgoing: true,
+      name: file.name,
+      size: file.size,
+      toPeerId,
+      data,
+      chunkSize,
+      maxBitrate,
+      dataProducer: null,
+      bytes: 0,
+      paused: false,
+      resume: null,
+      // Resolves the wait while paused
+      ended: false
+    };
+    state.fileTransfers.set(transferId, transfer);
+    addFileTransferItem(transfer);
+    transfer.dataProducer = await state.sendTransport.produceData({
+      ordered: true,
+      label: `file-${transferId}`,
+      protocol: "file",
+      appData: { transferId }
+    });
+    if (transfer.readyToSend) {
+      startSendingFile(transferId);
+    }
+  }
+  async function hashFile(data) {
+    const digest = await crypto.subtle.digest("SHA-256", data);
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+  }
+  async function startSendingFile(transferId) {
+    const transfer = state.fileTransfers.get(transferId);
+    if (!transfer || transfer.ended)
+      return;
+    if (!transfer.dataProducer) {
+      transfer.readyToSend = true;
+      return;
+    }
+    const { dataProducer, data, chunkSize } = transfer;
+    const bytesPerSecond = transfer.maxBitrate * 0.8 / 8;
+    const bufferLimit = chunkSize * 16;
+    dataProducer.bufferedAmountLowThreshold = chunkSize * 4;
+    try {
+      if (dataProducer.readyState !== "open") {
+        await new Promise((resolve, reject) => {
+          dataProducer.once("open", resolve);
+          dataProducer.once("error", reject);
+        });
+      }
+      let windowStart = Date.now();
+      let windowBytes = 0;
+      while (transfer.bytes < transfer.size && !transfer.ended) {
+        if (transfer.paused) {
+          await new Promise((resolve) => {
+            transfer.resume = resolve;
+          });
+          windowStart = Date.now();
+          windowBytes = 0;
+          continue;
+        }
+        if (dataProducer.bufferedAmount > bufferLimit) {
+          await new Promise((resolve) => dataProducer.once("bufferedamountlow", resolve));
+          continue;
+        }
+        const chunk = data.slice(transfer.bytes, transfer.bytes + chunkSize);
+        dataProducer.send(chunk);
+        transfer.bytes += chunk.byteLength;
+        windowBytes += chunk.byteLength;
+        updateFileTransferItem(transfer, transfer.bytes < transfer.size ? null : "Waiting for confirmation...");
+        const ahead = windowBytes / bytesPerSecond * 1e3 - (Date.now() - windowStart);
+        if (ahead > 0) {
+          await new Promise((resolve) => setTimeout(resolve, ahead));
+        }
+      }
+    } catch (error) {
+      console.error(`Error sending file ${transfer.name}:`, error);
+      await cancelFileTransfer(transferId);
+    }
+  }
+  async function toggleFileTransferPaused(transferId) {
+    const transfer = state.fileTransfers.get(transferId);
+    if (!transfer || transfer.ended)
+      return;
+    transfer.paused = !transfer.paused;
+    if (!transfer.paused && transfer.resume) {
+      transfer.resume();
+      transfer.resume = null;
+    }
+    updateFileTransferItem(transfer, transfer.paused ? "Paused" : null);
+    try {
+      await request("setFileTransferPaused", { transferId, paused: transfer.paused });
+    } catch (error) {
+      console.error("Error pausing file transfer:", error);
+    }
+  }
+  async function cancelFileTransfer(transferId) {
+    const transfer = state.fileTransfers.get(transferId);
+    if (!transfer || transfer.ended)
+      return;
+    if (!transfer.outgoing) {
+      transfer.ended = true;
+      transfer.chunks = [];
+      updateFileTransferItem(transfer, "Cancelled");
+      state.fileTransfers.delete(transferId);
+      await request("fileTransferReceived", { transferId, ok: false }).catch(() => {
+      });
+      return;
+    }
+    try {
+      await request("cancelFileTransfer", { transferId });
+    } catch (error) {
+      console.error("Error cancelling file transfer:", error);
+    }
+  }
+  function addIncomingFileTransfer(payload) {
+    const transfer = {
+      ...payload,
+      outgoing: false,
+      chunks: [],
+      bytes: 0,
+      ended: false
+    };
+    state.fileTransfers.set(payload.transferId, transfer);
+    addFileTransferItem(transfer);
+    if (document.getElementById("chatPanel").style.display === "none") {
+      setUnreadChatMessages(state.unreadChatMessages + 1);
+    }
+  }
+  async function receiveFileChunk(transferId, data) {
+    const transfer = state.fileTransfers.get(transferId);
+    if (!transfer || transfer.ended)
+      return;
+    transfer.chunks.push(data);
+    transfer.bytes += data.byteLength;
+    updateFileTransferItem(transfer);
+    if (transfer.bytes < transfer.size)
+      return;
+    transfer.ended = true;
+    const blob = new Blob(transfer.chunks, { type: transfer.mimeType || "application/octet-stream" });
+    transfer.chunks = [];
+    const ok = transfer.bytes === transfer.size && await hashFile(await blob.arrayBuffer()) === transfer.sha256;
+    if (ok) {
+      transfer.url = URL.createObjectURL(blob);
+      updateFileTransferItem(transfer, "Received");
+    } else {
+      updateFileTransferItem(transfer, "Failed: file is corrupted");
+    }
+    try {
+      await request("fileTransferReceived", { transferId, ok });
+    } catch (error) {
+      console.error("Error confirming file transfer:", error);
+    }
+  }
+  function setIncomingFileTransferPaused(payload) {
+    const transfer = state.fileTransfers.get(payload.transferId);
+    if (!transfer || transfer.ended)
+      return;
+    updateFileTransferItem(transfer, payload.paused ? "Paused by sender" : null);
+  }
+  function finishFileTransfer(payload) {
+    const { transferId, status, reason } = payload;
+    const transfer = state.fileTransfers.get(transferId);
+    if (!transfer)
+      return;
+    state.fileTransfers.delete(transferId);
+    if (transfer.outgoing) {
+      transfer.ended = true;
+      transfer.data = null;
+      if (transfer.resume)
+        transfer.resume();
+      if (transfer.dataProducer)
+        transfer.dataProducer.close();
+      updateFileTransferItem(transfer, status === "completed" ? "Sent" : `${capitalize(status)}${reason ? `: ${reason}` : ""}`);
+      return;
+    }
+    if (transfer.ended)
+      return;
+    transfer.ended = true;
+    transfer.chunks = [];
+    updateFileTransferItem(transfer, `${capitalize(status)}${reason ? `: ${reason}` : ""}`);
+  }
+  function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+  function formatFileSize(bytes) {
+    if (bytes < 1024)
+      return `${bytes} B`;
+    if (bytes < 1024 * 1024)
+      return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  function addFileTransferItem(transfer) {
+    const item = document.createElement("div");
+    item.className = "chat-message file-transfer";
+    item.classList.toggle("own", transfer.outgoing);
+    item.classList.toggle("direct", !!transfer.toPeerId);
+    item.dataset.transferId = transfer.transferId;
+    const header = document.createElement("div");
+    header.className = "chat-message-header";
+    const sender = document.createElement("span");
+    sender.className = "chat-sender";
+    if (transfer.outgoing) {
+      const recipient = transfer.toPeerId && state.remotePeers.get(transfer.toPeerId);
+      sender.textContent = transfer.toPeerId ? `You \u2192 ${recipient ? recipient.displayName : "participant"} (private)` : "You";
+    } else {
+      sender.textContent = transfer.toPeerId ? `${transfer.displayName} \u2192 You (private)` : transfer.displayName;
+    }
+    header.appendChild(sender);
+    const body = document.createElement("div");
+    body.className = "chat-text";
+    const name = document.createElement("div");
+    name.className = "file-name";
+    name.textContent = `\u{1F4CE} ${transfer.name} (${formatFileSize(transfer.size)})`;
+    const progress = document.createElement("progress");
+    progress.max = transfer.size;
+    progress.value = 0;
+    const status = document.createElement("div");
+    status.className = "file-status";
+    status.textContent = transfer.outgoing ? "Waiting for recipients..." : "Receiving...";
+    const actions = document.createElement("div");
+    actions.className = "file-actions";
+    if (transfer.outgoing) {
+      const pauseBtn = document.createElement("button");
+      pauseBtn.className = "btn btn-secondary btn-small file-pause";
+      pauseBtn.textContent = "Pause";
+      pauseBtn.addEventListener("click", () => toggleFileTransferPaused(transfer.transferId));
+      actions.appendChild(pauseBtn);
+    }
+    const cancelBtn = document.createElement("button");
+    cancelBtn.className = "btn btn-secondary btn-small file-cancel";
+    cancelBtn.textContent = "Cancel";
+    cancelBtn.addEventListener("click", () => cancelFileTransfer(transfer.transferId));
+    actions.appendChild(cancelBtn);
+    body.append(name, progress, status, actions);
+    item.append(header, body);
+    const chatMessages = document.getElementById("chatMessages");
+    chatMessages.appendChild(item);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+  function updateFileTransferItem(transfer, statusText = null) {
+    const item = document.querySelector(`.file-transfer[data-transfer-id="${transfer.transferId}"]`);
+    if (!item)
+      return;
+    item.querySelector("progress").value = transfer.bytes;
+    item.querySelector(".file-status").textContent = statusText || `${formatFileSize(transfer.bytes)} of ${formatFileSize(transfer.size)}`;
+    const pauseBtn = item.querySelector(".file-pause");
+    if (pauseBtn) {
+      pauseBtn.textContent = transfer.paused ? "Resume" : "Pause";
+    }
+    if (!transfer.ended)
+      return;
+    item.querySelector(".file-actions").replaceChildren();
+    if (transfer.url) {
+      const link = document.createElement("a");
+      link.href = transfer.url;
+      link.download = transfer.name;
+      link.textContent = "Download";
+      item.querySelector(".file-actions").appendChild(link);
+    }
   }
   async function startReceivingRemoteMedia(payload) {
-    const { consumerId, producerId, producerPeerId, kind, rtpParameters } = payload;
-    log(`Consuming ${kind} from peer ${producerPeerId}`);
+    const { consumerId, producerId, producerPeerId, kind, source, producerPaused, type, rtpParameters } = payload;
+    log(`Consuming ${kind} (${source}) from peer ${producerPeerId}`);
     const consumer = await state.recvTransport.consume({
       id: consumerId,
       producerId,
@@ -12837,29 +14086,265 @@
       consumer,
       producerId,
       producerPeerId,
-      kind
+      kind,
+      source,
+      type,
+      // 'simple', 'simulcast' or 'svc'
+      preferredSpatialLayer: null
     });
     if (!state.remotePeers.has(producerPeerId)) {
-      state.remotePeers.set(producerPeerId, {
-        id: producerPeerId,
-        consumers: /* @__PURE__ */ new Map()
-      });
+      applyRemotePeerInfo({ peerId: producerPeerId });
     }
     const remotePeer = state.remotePeers.get(producerPeerId);
-    remotePeer.consumers.set(kind, consumer);
-    addRemoteVideo(producerPeerId, consumer.track, kind);
-    sendMessage("resumeConsumer", { consumerId });
+    remotePeer.consumers.set(source, consumer);
+    if (source === "screen") {
+      addRemoteScreenShare(producerPeerId, consumer.track);
+    } else {
+      addRemoteVideo(producerPeerId, consumer.track, kind);
+    }
+    setRemoteProducerPaused({ peerId: producerPeerId, source }, producerPaused);
+    await request("resumeConsumer", { consumerId });
+    log("Consumer resumed:", consumerId);
+    await updatePreferredLayers();
     consumer.on("transportclose", () => {
       log(`Consumer transport closed for peer ${producerPeerId}`);
     });
   }
+  function removeClosedRemoteProducer(payload) {
+    const { peerId, producerId, source } = payload;
+    log(`Producer ${producerId} (${source}) of peer ${peerId} closed`);
+    if (peerId === state.peerId) {
+      closeLocalProducerByServer(payload);
+      return;
+    }
+    state.consumers.forEach((consumerData, consumerId) => {
+      if (consumerData.producerId === producerId) {
+        removeRemoteConsumer(consumerId);
+      }
+    });
+  }
+  function removeRemoteConsumer(consumerId) {
+    const consumerData = state.consumers.get(consumerId);
+    if (!consumerData)
+      return;
+    const { consumer, producerPeerId, source } = consumerData;
+    log(`Removing consumer ${consumerId} (${source}) of peer ${producerPeerId}`);
+    consumer.close();
+    state.consumers.delete(consumerId);
+    const remotePeer = state.remotePeers.get(producerPeerId);
+    if (remotePeer) {
+      remotePeer.consumers.delete(source);
+      remotePeer.pausedSources.delete(source);
+      updateRemoteMediaStatus(remotePeer);
+    }
+    if (source === "screen") {
+      removeRemoteScreenShare(producerPeerId);
+    } else {
+      const videoElement = document.getElementById(`video-${producerPeerId}`);
+      if (videoElement && videoElement.srcObject) {
+        videoElement.srcObject.removeTrack(consumer.track);
+      }
+    }
+  }
+  function setConsumerProducerPaused(payload, paused) {
+    const consumerData = state.consumers.get(payload.consumerId);
+    if (!consumerData)
+      return;
+    setRemoteProducerPaused({
+      peerId: consumerData.producerPeerId,
+      source: consumerData.source
+    }, paused);
+  }
+  function setRemoteProducerPaused(payload, paused) {
+    const { peerId, source } = payload;
+    if (peerId === state.peerId) {
+      setLocalProducerPausedByServer(payload, paused);
+      return;
+    }
+    const remotePeer = state.remotePeers.get(peerId);
+    if (!remotePeer)
+      return;
+    if (paused) {
+      remotePeer.pausedSources.add(source);
+    } else {
+      remotePeer.pausedSources.delete(source);
+    }
+    log(`Peer ${peerId} ${paused ? "paused" : "resumed"} ${source}`);
+    updateRemoteMediaStatus(remotePeer);
+  }
+  function updateRemoteMediaStatus(remotePeer) {
+    const videoContainer = document.getElementById(`peer-${remotePeer.id}`);
+    if (!videoContainer)
+      return;
+    const audioMuted = remotePeer.pausedSources.has("microphone");
+    const cameraPaused = remotePeer.pausedSources.has("camera");
+    const notForwarded = state.forwardedPeerIds !== null && !state.forwardedPeerIds.includes(remotePeer.id) && remotePeer.consumers.has("camera");
+    const videoOff = cameraPaused || notForwarded;
+    const status = [];
+    if (audioMuted)
+      status.push("\u{1F507} Muted");
+    if (cameraPaused)
+      status.push("\u{1F4F7} Off");
+    else if (notForwarded)
+      status.push("\u23F8 Video paused");
+    const statusEl = videoContainer.querySelector(".video-status");
+    statusEl.textContent = status.join(" ");
+    statusEl.style.display = status.length > 0 ? "" : "none";
+    videoContainer.classList.toggle("video-off", videoOff);
+  }
+  async function toggleSpotlight(peerId) {
+    state.pinnedPeerId = state.pinnedPeerId === peerId ? null : peerId;
+    await updateSpotlight();
+  }
+  async function setActiveSpeaker(peerId) {
+    log("Active speaker:", peerId);
+    document.querySelectorAll(".video-container.active-speaker").forEach((container) => container.classList.remove("active-speaker"));
+    const tile = getPeerTile(peerId);
+    if (tile) {
+      tile.classList.add("active-speaker");
+    }
+    state.activeSpeakerPeerId = peerId;
+    await updateSpotlight();
+  }
+  async function updateSpotlight() {
+    const activeSpeaker = state.activeSpeakerPeerId !== state.peerId ? state.activeSpeakerPeerId : null;
+    const spotlightPeerId = state.pinnedPeerId || activeSpeaker;
+    if (spotlightPeerId === state.spotlightPeerId)
+      return;
+    const previousPeerId = state.spotlightPeerId;
+    state.spotlightPeerId = spotlightPeerId;
+    [previousPeerId, spotlightPeerId].forEach((id) => {
+      const videoContainer = id && document.getElementById(`peer-${id}`);
+      if (videoContainer) {
+        videoContainer.classList.toggle("spotlight", id === spotlightPeerId);
+      }
+    });
+    await updatePreferredLayers();
+  }
+  function applyLastNSelection(payload) {
+    const { lastN, forwardedPeerIds } = payload;
+    log(`Last N (${lastN}) forwarded peers:`, forwardedPeerIds);
+    state.forwardedPeerIds = forwardedPeerIds;
+    state.remotePeers.forEach((remotePeer) => updateRemoteMediaStatus(remotePeer));
+  }
+  function updateSpeakingIndicators(levels) {
+    const speakingPeerIds = new Set(levels.map(({ peerId }) => peerId));
+    document.querySelectorAll(".video-container.speaking").forEach((container) => container.classList.remove("speaking"));
+    speakingPeerIds.forEach((peerId) => {
+      const tile = getPeerTile(peerId);
+      if (tile) {
+        tile.classList.add("speaking");
+      }
+    });
+  }
+  function getPeerTile(peerId) {
+    if (peerId === state.peerId) {
+      return document.getElementById("localVideoContainer");
+    }
+    return document.getElementById(`peer-${peerId}`);
+  }
+  function getPreferredSpatialLayer(consumerData) {
+    if (consumerData.source === "screen" || consumerData.producerPeerId === state.spotlightPeerId) {
+      return MAX_SPATIAL_LAYER;
+    }
+    if (state.spotlightPeerId) {
+      return 0;
+    }
+    const tileCount = state.remotePeers.size;
+    if (tileCount <= 2)
+      return MAX_SPATIAL_LAYER;
+    if (tileCount <= 5)
+      return 1;
+    return 0;
+  }
+  async function updatePreferredLayers() {
+    for (const [consumerId, consumerData] of state.consumers) {
+      if (consumerData.kind !== "video")
+        continue;
+      if (consumerData.type !== "simulcast" && consumerData.type !== "svc")
+        continue;
+      const spatialLayer = getPreferredSpatialLayer(consumerData);
+      if (spatialLayer === consumerData.preferredSpatialLayer)
+        continue;
+      consumerData.preferredSpatialLayer = spatialLayer;
+      try {
+        await request("setConsumerPreferredLayers", { consumerId, spatialLayer });
+        log(`Consumer ${consumerId} set to spatial layer ${spatialLayer}`);
+      } catch (error) {
+        console.error(`Error setting layers for consumer ${consumerId}:`, error);
+      }
+    }
+  }
   function cleanupDisconnectedPeer(payload) {
     const { peerId } = payload;
     log("Peer left:", peerId);
+    const remotePeer = state.remotePeers.get(peerId);
     removeRemoteVideo(peerId);
     state.remotePeers.delete(peerId);
+    updateChatRecipients();
+    if (state.pinnedPeerId === peerId) {
+      state.pinnedPeerId = null;
+    }
+    if (state.activeSpeakerPeerId === peerId) {
+      state.activeSpeakerPeerId = null;
+    }
     updatePeerCount(state.remotePeers.size + 1);
-    showNotification("A participant left", "info");
+    updateSpotlight();
+    updatePreferredLayers();
+    showNotification(`${remotePeer ? remotePeer.displayName : "A participant"} left`, "info");
+  }
+  function clearRestartingPeerMedia(payload) {
+    const { peerId } = payload;
+    log("Peer media restarting:", peerId);
+    state.consumers.forEach(({ consumer, producerPeerId }, consumerId) => {
+      if (producerPeerId === peerId) {
+        consumer.close();
+        state.consumers.delete(consumerId);
+      }
+    });
+    const remotePeer = state.remotePeers.get(peerId);
+    if (remotePeer) {
+      remotePeer.consumers.clear();
+    }
+    removeRemoteVideo(peerId);
+  }
+  async function rebuildMediaAfterRouterRestart(payload) {
+    const { existingProducers } = payload;
+    log("Router restarted, rebuilding media...");
+    showLoading("Reconnecting media...");
+    state.consumers.forEach(({ consumer }) => consumer.close());
+    state.consumers.clear();
+    state.producers.clear();
+    state.dataConsumers.clear();
+    const dataChannelLabels = Array.from(state.dataProducers.keys());
+    state.dataProducers.clear();
+    updateScreenShareButton(false);
+    if (state.sendTransport) {
+      state.sendTransport.close();
+      state.sendTransport = null;
+    }
+    if (state.recvTransport) {
+      state.recvTransport.close();
+      state.recvTransport = null;
+    }
+    state.remotePeers.forEach((peer) => {
+      peer.consumers.clear();
+      removeRemoteVideo(peer.id);
+    });
+    state.pendingConsumers = existingProducers || [];
+    if (state.role === "viewer") {
+      await createTransport("recv");
+      return;
+    }
+    await getUserMedia();
+    state.isVideoEnabled = true;
+    state.isAudioEnabled = true;
+    updateVideoButton(true);
+    updateAudioButton(true);
+    await createTransport("send");
+    for (const label of dataChannelLabels) {
+      await openDataChannel(label).catch((error) => console.error(`Error reopening data channel '${label}':`, error));
+    }
   }
   function addRemoteVideo(peerId, track, kind) {
     let videoContainer = document.getElementById(`peer-${peerId}`);
@@ -12869,12 +14354,61 @@
       videoContainer.className = "video-container";
       videoContainer.innerHTML = `
       <video id="video-${peerId}" autoplay playsinline></video>
+      <div class="video-placeholder">
+        <img class="placeholder-avatar" alt="" style="display: none;">
+        <span class="placeholder-initial"></span>
+      </div>
       <div class="video-overlay">
-        <span class="participant-name">Participant ${peerId.slice(-4)}</span>
+        <span class="participant-info">
+          <img class="participant-avatar" alt="" style="display: none;">
+          <span class="participant-name"></span>
+          <span class="participant-role"></span>
+        </span>
         <span class="video-status"></span>
       </div>
+      <div class="moderator-controls">
+        <button class="moderator-btn" data-action="muteAudio" title="Mute microphone">\u{1F507}</button>
+        <button class="moderator-btn" data-action="askToUnmute" title="Ask to unmute">\u270B</button>
+        <button class="moderator-btn" data-action="muteVideo" title="Turn off camera">\u{1F4F7}</button>
+        <button class="moderator-btn" data-action="stopMedia" title="Stop all media">\u23F9\uFE0F</button>
+        <button class="moderator-btn" data-action="kick" title="Remove from room">\u26D4</button>
+        <button class="moderator-btn host-only" data-action="ban" title="Ban from room. ${describeBanScope()}">\u{1F6AB}</button>
+        <select class="role-select host-only" title="Role">
+          <option value="host">Host</option>
+          <option value="moderator">Moderator</option>
+          <option value="participant">Participant</option>
+          <option value="viewer">Viewer</option>
+        </select>
+      </div>
     `;
       document.getElementById("videoGrid").appendChild(videoContainer);
+      const moderatorControls = videoContainer.querySelector(".moderator-controls");
+      moderatorControls.addEventListener("click", (e) => e.stopPropagation());
+      videoContainer.addEventListener("dragover", allowFileDrop);
+      videoContainer.addEventListener("dragleave", () => videoContainer.classList.remove("drop-target"));
+      videoContainer.addEventListener("drop", (e) => {
+        e.preventDefault();
+        videoContainer.classList.remove("drop-target");
+        sendFiles(e.dataTransfer.files, peerId);
+      });
+      moderatorControls.querySelectorAll(".moderator-btn").forEach((btn) => {
+        btn.addEventListener("click", () => moderatePeer(peerId, btn.dataset.action));
+      });
+      moderatorControls.querySelector(".role-select").addEventListener("change", (e) => {
+        changePeerRole(peerId, e.target.value);
+      });
+      videoContainer.addEventListener("click", () => toggleSpotlight(peerId));
+      if (peerId === state.spotlightPeerId) {
+        videoContainer.classList.add("spotlight");
+      }
+      if (peerId === state.activeSpeakerPeerId) {
+        videoContainer.classList.add("active-speaker");
+      }
+      const remotePeer = state.remotePeers.get(peerId);
+      if (remotePeer) {
+        updateRemotePeerTile(remotePeer);
+        updateRemoteMediaStatus(remotePeer);
+      }
     }
     const videoElement = document.getElementById(`video-${peerId}`);
     if (kind === "video") {
@@ -12891,46 +14425,212 @@
       log(`Added audio track for peer ${peerId}`);
     }
   }
+  function updateRemotePeerTile(remotePeer) {
+    const videoContainer = document.getElementById(`peer-${remotePeer.id}`);
+    if (!videoContainer)
+      return;
+    videoContainer.querySelector(".participant-name").textContent = remotePeer.displayName;
+    const roleLabels = { host: "Host", moderator: "Moderator", viewer: "Viewer" };
+    videoContainer.querySelector(".participant-role").textContent = roleLabels[remotePeer.role] || "";
+    videoContainer.querySelector(".role-select").value = remotePeer.role;
+    videoContainer.classList.toggle("protected", !canModeratePeer(remotePeer));
+    const screenContainer = document.getElementById(`screen-${remotePeer.id}`);
+    if (screenContainer) {
+      screenContainer.querySelector(".participant-name").textContent = `${remotePeer.displayName}'s screen`;
+    }
+    videoContainer.querySelector(".placeholder-initial").textContent = remotePeer.displayName.charAt(0).toUpperCase();
+    const { avatarUrl } = remotePeer.metadata;
+    const hasAvatar = typeof avatarUrl === "string" && /^https?:\/\//.test(avatarUrl);
+    videoContainer.querySelectorAll(".participant-avatar, .placeholder-avatar").forEach((avatar) => {
+      if (hasAvatar) {
+        avatar.src = avatarUrl;
+        avatar.style.display = "";
+      } else {
+        avatar.removeAttribute("src");
+        avatar.style.display = "none";
+      }
+    });
+    const placeholderInitial = videoContainer.querySelector(".placeholder-initial");
+    placeholderInitial.style.display = hasAvatar ? "none" : "";
+  }
+  function addRemoteScreenShare(peerId, track) {
+    let screenContainer = document.getElementById(`screen-${peerId}`);
+    if (!screenContainer) {
+      screenContainer = document.createElement("div");
+      screenContainer.id = `screen-${peerId}`;
+      screenContainer.className = "video-container screen-share";
+      screenContainer.innerHTML = `
+      <video autoplay playsinline muted></video>
+      <div class="video-overlay">
+        <span class="participant-name"></span>
+        <span class="video-status">Screen</span>
+      </div>
+    `;
+      const remotePeer = state.remotePeers.get(peerId);
+      screenContainer.querySelector(".participant-name").textContent = `${remotePeer ? remotePeer.displayName : "Participant"}'s screen`;
+      const videoGrid = document.getElementById("videoGrid");
+      videoGrid.insertBefore(screenContainer, videoGrid.firstChild);
+    }
+    screenContainer.querySelector("video").srcObject = new MediaStream([track]);
+    log(`Added screen share for peer ${peerId}`);
+  }
+  function removeRemoteScreenShare(peerId) {
+    const screenContainer = document.getElementById(`screen-${peerId}`);
+    if (screenContainer) {
+      screenContainer.remove();
+    }
+  }
   function removeRemoteVideo(peerId) {
     const videoContainer = document.getElementById(`peer-${peerId}`);
     if (videoContainer) {
       videoContainer.remove();
     }
+    removeRemoteScreenShare(peerId);
+  }
+  function toggleChat() {
+    const chatPanel = document.getElementById("chatPanel");
+    const open = chatPanel.style.display === "none";
+    chatPanel.style.display = open ? "flex" : "none";
+    if (open) {
+      setUnreadChatMessages(0);
+      document.getElementById("chatInput").focus();
+    }
+  }
+  async function sendChatMessage(e) {
+    e.preventDefault();
+    const chatInput = document.getElementById("chatInput");
+    const text = chatInput.value.trim();
+    if (!text)
+      return;
+    const toPeerId = document.getElementById("chatRecipient").value || void 0;
+    try {
+      const message = await request("chatMessage", { text, toPeerId });
+      chatInput.value = "";
+      addChatMessage(message);
+    } catch (error) {
+      console.error("Error sending chat message:", error);
+      showNotification(`Failed to send message: ${error.message}`, "error");
+    }
   }
-  function toggleVideo() {
+  function showChatHistory(messages) {
+    document.getElementById("chatMessages").replaceChildren();
+    messages.forEach((message) => addChatMessage(message, false));
+    setUnreadChatMessages(0);
+  }
+  function addChatMessage(message, countUnread = true) {
+    const { peerId, displayName, text, timestamp, toPeerId } = message;
+    const isOwn = peerId === state.peerId;
+    const item = document.createElement("div");
+    item.className = "chat-message";
+    item.classList.toggle("own", isOwn);
+    item.classList.toggle("direct", !!toPeerId);
+    const header = document.createElement("div");
+    header.className = "chat-message-header";
+    const sender = document.createElement("span");
+    sender.className = "chat-sender";
+    if (toPeerId) {
+      const recipient = state.remotePeers.get(toPeerId);
+      sender.textContent = isOwn ? `You \u2192 ${recipient ? recipient.displayName : "participant"} (private)` : `${displayName} \u2192 You (private)`;
+    } else {
+      sender.textContent = isOwn ? "You" : displayName;
+    }
+    const time = document.createElement("span");
+    time.className = "chat-time";
+    time.textContent = new Date(timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    const body = document.createElement("div");
+    body.className = "chat-text";
+    body.textContent = text;
+    header.append(sender, time);
+    item.append(header, body);
+    const chatMessages = document.getElementById("chatMessages");
+    chatMessages.appendChild(item);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    if (countUnread && !isOwn && document.getElementById("chatPanel").style.display === "none") {
+      setUnreadChatMessages(state.unreadChatMessages + 1);
+    }
+  }
+  function setUnreadChatMessages(count) {
+    state.unreadChatMessages = count;
+    document.querySelector("#chatBtn .label").textContent = count > 0 ? `Chat (${count})` : "Chat";
+  }
+  function updateChatRecipients() {
+    const select = document.getElementById("chatRecipient");
+    const selected = select.value;
+    const everyone = document.createElement("option");
+    everyone.value = "";
+    everyone.textContent = "Everyone";
+    const options = Array.from(state.remotePeers.values()).map((remotePeer) => {
+      const option = document.createElement("option");
+      option.value = remotePeer.id;
+      option.textContent = remotePeer.displayName;
+      return option;
+    });
+    select.replaceChildren(everyone, ...options);
+    select.value = state.remotePeers.has(selected) ? selected : "";
+  }
+  async function toggleVideo() {
     const videoProducer = state.producers.get("video");
     if (!videoProducer)
       return;
     state.isVideoEnabled = !state.isVideoEnabled;
-    if (state.isVideoEnabled) {
-      videoProducer.resume();
-      updateVideoButton(true);
-    } else {
-      videoProducer.pause();
-      updateVideoButton(false);
+    updateVideoButton(state.isVideoEnabled);
+    try {
+      await setLocalProducerPaused(videoProducer, !state.isVideoEnabled);
+      log("Video toggled:", state.isVideoEnabled);
+    } catch (error) {
+      console.error("Error toggling video:", error);
+      showNotification(`Failed to toggle video: ${error.message}`, "error");
+      state.isVideoEnabled = !state.isVideoEnabled;
+      updateVideoButton(state.isVideoEnabled);
+      setLocalProducerPaused(videoProducer, !state.isVideoEnabled, false);
     }
-    log("Video toggled:", state.isVideoEnabled);
   }
-  function toggleAudio() {
+  async function toggleAudio() {
     const audioProducer = state.producers.get("audio");
     if (!audioProducer)
       return;
+    if (!state.isAudioEnabled && state.audioLocked) {
+      showNotification("A host muted you. You can unmute when they ask you to.", "warning");
+      return;
+    }
     state.isAudioEnabled = !state.isAudioEnabled;
-    if (state.isAudioEnabled) {
-      audioProducer.resume();
-      updateAudioButton(true);
+    updateAudioButton(state.isAudioEnabled);
+    try {
+      await setLocalProducerPaused(audioProducer, !state.isAudioEnabled);
+      log("Audio toggled:", state.isAudioEnabled);
+    } catch (error) {
+      console.error("Error toggling audio:", error);
+      showNotification(`Failed to toggle audio: ${error.message}`, "error");
+      state.isAudioEnabled = !state.isAudioEnabled;
+      updateAudioButton(state.isAudioEnabled);
+      setLocalProducerPaused(audioProducer, !state.isAudioEnabled, false);
+    }
+  }
+  async function setLocalProducerPaused(producer, paused, notifyServer = true) {
+    if (paused) {
+      producer.pause();
     } else {
-      audioProducer.pause();
-      updateAudioButton(false);
+      producer.resume();
+    }
+    if (notifyServer) {
+      await request(paused ? "pauseProducer" : "resumeProducer", { producerId: producer.id });
     }
-    log("Audio toggled:", state.isAudioEnabled);
   }
   function leaveRoom() {
     log("Leaving room...");
     state.producers.forEach((producer) => producer.close());
     state.producers.clear();
+    updateScreenShareButton(false);
     state.consumers.forEach(({ consumer }) => consumer.close());
     state.consumers.clear();
+    state.dataProducers.clear();
+    state.dataConsumers.clear();
+    state.fileTransfers.forEach((transfer) => {
+      transfer.ended = true;
+      if (transfer.resume)
+        transfer.resume();
+    });
+    state.fileTransfers.clear();
     if (state.sendTransport) {
       state.sendTransport.close();
       state.sendTransport = null;
@@ -12939,16 +14639,26 @@
       state.recvTransport.close();
       state.recvTransport = null;
     }
-    if (state.localStream) {
-      state.localStream.getTracks().forEach((track) => track.stop());
-      state.localStream = null;
-    }
+    releaseLocalMedia();
     state.remotePeers.forEach((peer) => {
       removeRemoteVideo(peer.id);
     });
     state.remotePeers.clear();
+    state.spotlightPeerId = null;
+    state.pinnedPeerId = null;
+    state.activeSpeakerPeerId = null;
+    state.forwardedPeerIds = null;
+    document.getElementById("localVideoContainer").classList.remove("speaking", "active-speaker");
     state.roomId = null;
+    setLocalRole(null);
+    state.audioLocked = false;
+    showChatHistory([]);
+    updateChatRecipients();
+    document.getElementById("chatPanel").style.display = "none";
+    state.passwordProtected = false;
+    state.lobbyPeers.forEach((lobbyPeer, peerId) => removeLobbyRequest(peerId));
     state.device = null;
+    document.querySelector("#localVideoContainer .participant-name").textContent = "You";
     document.getElementById("conferenceSection").style.display = "none";
     document.getElementById("joinSection").style.display = "block";
     document.getElementById("roomIdInput").value = "";
@@ -12983,6 +14693,17 @@
       label.textContent = "Video Off";
     }
   }
+  function updateScreenShareButton(sharing) {
+    const btn = document.getElementById("shareScreenBtn");
+    const label = btn.querySelector(".label");
+    if (sharing) {
+      btn.classList.add("active");
+      label.textContent = "Stop Sharing";
+    } else {
+      btn.classList.remove("active");
+      label.textContent = "Share Screen";
+    }
+  }
   function updateAudioButton(enabled) {
     const btn = document.getElementById("toggleAudioBtn");
     const label = btn.querySelector(".label");
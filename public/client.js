@@ -9,20 +9,66 @@ import * as mediasoupClient from 'mediasoup-client';
 // State Management
 const state = {
   socket: null,
+  authRequired: false, // Server requires an access token to connect
+  authToken: null,     // Access token (JWT) from the URL or the login step
   peerId: null,
   roomId: null,
+  inviteToken: null, // Room invite from the page URL (?invite=...), lets us skip the password
+  clientId: null,    // Random id of this browser, kept in local storage (what bans apply to without auth)
+  role: null,        // Our role in the room: 'host', 'moderator', 'participant' or 'viewer'
+  removedFromRoom: false, // A moderator removed us; reconnect once the server closes the socket
+  passwordProtected: false,
+  lobbyEnabled: false,
+  muteOnJoin: false,     // New peers join with their microphone host-locked
+  banScope: 'browser',   // What a ban covers: 'account', 'address' or 'browser'
+  audioLocked: false,    // A host muted our microphone; we can't unmute until asked
+  recording: false,      // The room is being recorded
+  lobbyPeers: new Map(), // Peers waiting in the lobby (shown to hosts), by peer id
+  inLobby: false,        // We are waiting for a host to admit us
+  displayName: null, // Our name as accepted by the server
+  metadata: {},      // Our peer metadata (avatar URL, ...)
   device: null,
   sendTransport: null,
   recvTransport: null,
-  producers: new Map(), // Local producers (camera, mic)
+  producers: new Map(), // Local producers (camera, mic, screen)
   consumers: new Map(), // Remote consumers
+  dataProducers: new Map(), // Our data channels, by label
+  dataConsumers: new Map(), // Remote peers' data channels, by data consumer id
+  dataMessageHandlers: new Map(), // Handlers for incoming data, by channel label
+  fileTransfers: new Map(), // Files we are sending or receiving, by transfer id
   remotePeers: new Map(), // Remote peer information
+  spotlightPeerId: null, // Remote peer shown in the large tile (gets the high layer)
+  pinnedPeerId: null, // Peer spotlighted by the user; otherwise the active speaker is
+  activeSpeakerPeerId: null, // Dominant speaker reported by the server
+  forwardedPeerIds: null, // Peers whose camera the server forwards to us (null = everyone)
   isVideoEnabled: true,
   isAudioEnabled: true,
   localStream: null,
-  pendingConsumers: [] // Producers to consume after recv transport is ready
+  unreadChatMessages: 0, // Chat messages received while the chat panel is closed
+  pendingConsumers: [], // Producers to consume after recv transport is ready
+  nextRequestId: 1,
+  pendingRequests: new Map() // Requests awaiting a server reply, by request id
 };
 
+// How long to wait for the server to answer a request
+const REQUEST_TIMEOUT = 10000;
+
+// Camera is published as three simulcast encodings (low to high) so each
+// receiver can pull the layer matching its tile size
+const SIMULCAST_ENCODINGS = [
+  { rid: 'r0', scaleResolutionDownBy: 4, maxBitrate: 150000 },
+  { rid: 'r1', scaleResolutionDownBy: 2, maxBitrate: 500000 },
+  { rid: 'r2', scaleResolutionDownBy: 1, maxBitrate: 1200000 }
+];
+
+// With VP9 a single SVC encoding carries the same three spatial layers
+const SVC_ENCODINGS = [
+  { scalabilityMode: 'L3T3_KEY', maxBitrate: 1200000 }
+];
+
+// Highest spatial layer of the encodings above
+const MAX_SPATIAL_LAYER = 2;
+
 // Debug logging
 const DEBUG = true;
 function log(...args) {
@@ -40,14 +86,87 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Setup event listeners
   setupEventListeners();
   
+  // Invite links open the page with the room (and an invite) filled in
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('room')) {
+    document.getElementById('roomIdInput').value = params.get('room');
+  }
+  state.inviteToken = params.get('invite');
+  
+  // Get an access token first if the server requires one
+  try {
+    const response = await fetch('/auth/status');
+    state.authRequired = (await response.json()).required;
+  } catch (error) {
+    console.error('Error checking auth status:', error);
+  }
+  
+  state.authToken = getAuthToken();
+  
+  if (state.authRequired && !state.authToken) {
+    showLoginSection();
+    return;
+  }
+  
   // Connect to WebSocket server
   connectToServer();
 });
 
+/**
+ * Access token from the page URL (?token=...) or from an earlier login
+ * A token from the URL is kept for the browser session
+ */
+function getAuthToken() {
+  const urlToken = new URLSearchParams(window.location.search).get('token');
+  
+  if (urlToken) {
+    sessionStorage.setItem('authToken', urlToken);
+    return urlToken;
+  }
+  
+  return sessionStorage.getItem('authToken');
+}
+
+/**
+ * Show the login step asking for an access token
+ */
+function showLoginSection(errorMessage) {
+  document.getElementById('loginSection').style.display = 'block';
+  document.getElementById('joinSection').style.display = 'none';
+  document.getElementById('loginError').textContent = errorMessage || '';
+  document.getElementById('tokenInput').focus();
+}
+
+/**
+ * Handle sign in button click: keep the token and connect with it
+ */
+function handleLogin() {
+  const tokenInput = document.getElementById('tokenInput');
+  const token = tokenInput.value.trim();
+  
+  if (!token) {
+    showNotification('Please enter your access token', 'warning');
+    tokenInput.focus();
+    return;
+  }
+  
+  sessionStorage.setItem('authToken', token);
+  state.authToken = token;
+  tokenInput.value = '';
+  
+  document.getElementById('loginSection').style.display = 'none';
+  document.getElementById('joinSection').style.display = 'block';
+  
+  connectToServer();
+}
+
 /**
  * Setup DOM event listeners
  */
 function setupEventListeners() {
+  // Login button (only used when the server requires an access token)
+  document.getElementById('loginBtn').addEventListener('click', handleLogin);
+  
   // Join button
   document.getElementById('joinBtn').addEventListener('click', handleJoinRoom);
   
@@ -62,6 +181,34 @@ function setupEventListeners() {
   document.getElementById('toggleVideoBtn').addEventListener('click', toggleVideo);
   document.getElementById('toggleAudioBtn').addEventListener('click', toggleAudio);
   document.getElementById('leaveRoomBtn').addEventListener('click', leaveRoom);
+  document.getElementById('renameBtn').addEventListener('click', changeDisplayName);
+  document.getElementById('shareScreenBtn').addEventListener('click', toggleScreenShare);
+  document.getElementById('inviteBtn').addEventListener('click', createInviteLink);
+  document.getElementById('passwordBtn').addEventListener('click', changeRoomPassword);
+  document.getElementById('lobbyBtn').addEventListener('click', toggleLobby);
+  document.getElementById('muteAllBtn').addEventListener('click', muteAll);
+  document.getElementById('muteOnJoinBtn').addEventListener('click', toggleMuteOnJoin);
+  document.getElementById('recordBtn').addEventListener('click', toggleRecording);
+  document.getElementById('chatBtn').addEventListener('click', toggleChat);
+  document.getElementById('chatForm').addEventListener('submit', sendChatMessage);
+  document.getElementById('attachFileBtn').addEventListener('click', () => {
+    document.getElementById('fileInput').click();
+  });
+  document.getElementById('fileInput').addEventListener('change', (e) => {
+    sendFiles(e.target.files, document.getElementById('chatRecipient').value || undefined);
+    e.target.value = '';
+  });
+  
+  // Files dropped on the chat go to the selected recipient (or everyone)
+  const chatPanel = document.getElementById('chatPanel');
+  chatPanel.addEventListener('dragover', allowFileDrop);
+  chatPanel.addEventListener('dragleave', () => chatPanel.classList.remove('drop-target'));
+  chatPanel.addEventListener('drop', (e) => {
+    e.preventDefault();
+    chatPanel.classList.remove('drop-target');
+    sendFiles(e.dataTransfer.files, document.getElementById('chatRecipient').value || undefined);
+  });
+  document.getElementById('leaveLobbyBtn').addEventListener('click', leaveLobby);
   
   // Debug toggle
   document.getElementById('toggleDebugBtn').addEventListener('click', () => {
@@ -79,11 +226,14 @@ function connectToServer() {
   showLoading('Connecting to server...');
   
   const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-  const wsUrl = `${protocol}//${window.location.host}`;
+  const tokenQuery = state.authToken ? `?token=${encodeURIComponent(state.authToken)}` : '';
+  const wsUrl = `${protocol}//${window.location.host}/${tokenQuery}`;
   
+  let opened = false;
   state.socket = new WebSocket(wsUrl);
   
   state.socket.onopen = () => {
+    opened = true;
     log('WebSocket connected');
     updateConnectionStatus(true);
     hideLoading();
@@ -91,7 +241,25 @@ function connectToServer() {
   
   state.socket.onclose = () => {
     log('WebSocket disconnected');
+    rejectPendingRequests(new Error('WebSocket disconnected'));
     updateConnectionStatus(false);
+    
+    // The server closes the socket of removed peers; get a fresh connection
+    if (state.removedFromRoom) {
+      state.removedFromRoom = false;
+      connectToServer();
+      return;
+    }
+    
+    // Server refuses the upgrade when the token is missing, invalid or expired
+    if (!opened && state.authRequired) {
+      sessionStorage.removeItem('authToken');
+      state.authToken = null;
+      hideLoading();
+      showLoginSection('Your access token was rejected. Please sign in again.');
+      return;
+    }
+    
     showNotification('Disconnected from server', 'error');
   };
   
@@ -103,6 +271,13 @@ function connectToServer() {
   
   state.socket.onmessage = (event) => {
     const message = JSON.parse(event.data);
+    
+    // Replies to our requests carry the request id
+    if (message.id !== undefined && state.pendingRequests.has(message.id)) {
+      settlePendingRequest(message);
+      return;
+    }
+    
     routeServerMessage(message);
   };
 }
@@ -122,44 +297,167 @@ async function routeServerMessage(message) {
         log('Assigned peer ID:', state.peerId);
         break;
         
-      case 'routerRtpCapabilities':
-        await initializeDeviceWithCapabilities(payload);
+      case 'newPeer':
+        trackNewPeerJoined(payload);
+        break;
+        
+      case 'newProducer':
+        await requestToConsumeNewProducer(payload);
+        break;
+        
+      case 'peerLeft':
+        cleanupDisconnectedPeer(payload);
+        break;
+        
+      case 'peerInfoUpdated':
+        applyRemotePeerInfo(payload);
+        break;
+        
+      case 'producerClosed':
+        removeClosedRemoteProducer(payload);
+        break;
+        
+      case 'newDataProducer':
+        await requestToConsumeNewDataProducer(payload);
+        break;
+        
+      case 'dataProducerClosed':
+      case 'dataConsumerClosed':
+        removeRemoteDataConsumers(payload.dataProducerId);
+        break;
+        
+      case 'producerPaused':
+        setRemoteProducerPaused(payload, true);
+        break;
+        
+      case 'producerResumed':
+        setRemoteProducerPaused(payload, false);
+        break;
+        
+      case 'consumerClosed':
+        removeRemoteConsumer(payload.consumerId);
+        break;
+        
+      case 'consumerProducerPaused':
+        setConsumerProducerPaused(payload, true);
+        break;
+        
+      case 'consumerProducerResumed':
+        setConsumerProducerPaused(payload, false);
+        break;
+        
+      case 'activeSpeaker':
+        await setActiveSpeaker(payload.peerId);
+        break;
+        
+      case 'audioLevels':
+        updateSpeakingIndicators(payload.levels);
+        break;
+        
+      case 'lastNUpdated':
+        applyLastNSelection(payload);
+        break;
+        
+      case 'roomLastNSet':
+        log('Room last N set to:', payload.lastN);
+        break;
+        
+      case 'roomPasswordChanged':
+        setRoomPasswordProtected(payload.passwordProtected);
+        showNotification(payload.passwordProtected ? 'Room password set' : 'Room password removed', 'info');
+        break;
+        
+      case 'peerRoleChanged':
+        await applyPeerRole(payload);
+        break;
+        
+      case 'removedFromRoom':
+        state.removedFromRoom = true;
+        leaveRoom();
+        showNotification(payload.reason === 'banned' ? 'You were banned from the room' : 'You were removed from the room', 'error');
         break;
         
       case 'roomJoined':
-        await setupLocalMediaAndTransports(payload);
+        // Sent when a host admits us from the lobby
+        await enterRoom(payload);
         break;
         
-      case 'newPeer':
-        trackNewPeerJoined(payload);
+      case 'lobbyDenied':
+        exitLobby();
+        showNotification(payload.reason || 'The host did not let you in', 'error');
         break;
         
-      case 'transportCreated':
-        await configureTransportAndProduce(payload);
+      case 'lobbyRequest':
+        addLobbyRequest(payload);
         break;
         
-      case 'transportConnected':
-        log('Transport connected');
+      case 'lobbyRequestClosed':
+        removeLobbyRequest(payload.peerId);
         break;
         
-      case 'produced':
-        confirmProducerCreated(payload);
+      case 'lobbyEnabledChanged':
+        setLobbyEnabled(payload.lobbyEnabled);
         break;
         
-      case 'newProducer':
-        await requestToConsumeNewProducer(payload);
+      case 'muteOnJoinChanged':
+        setMuteOnJoin(payload.muteOnJoin);
         break;
         
-      case 'consumed':
-        await startReceivingRemoteMedia(payload);
+      case 'recordingStarted':
+        setRecording(true);
+        showNotification('This meeting is being recorded', 'info');
         break;
         
-      case 'consumerResumed':
-        log('Consumer resumed');
+      case 'recordingStopped':
+        setRecording(false);
+        showNotification('Recording stopped', 'info');
         break;
         
-      case 'peerLeft':
-        cleanupDisconnectedPeer(payload);
+      case 'audioLockChanged':
+        state.audioLocked = payload.locked;
+        if (payload.locked) {
+          showNotification('A host muted everyone. You can unmute when they ask you to.', 'warning');
+        }
+        break;
+        
+      case 'unmuteRequested':
+        await answerUnmuteRequest(payload);
+        break;
+        
+      case 'chatMessage':
+        addChatMessage(payload);
+        break;
+        
+      case 'fileTransferOffered':
+        addIncomingFileTransfer(payload);
+        break;
+        
+      case 'fileTransferReady':
+        startSendingFile(payload.transferId);
+        break;
+        
+      case 'fileTransferPaused':
+        setIncomingFileTransferPaused(payload);
+        break;
+        
+      case 'fileTransferReceived':
+        log(`Peer ${payload.peerId} ${payload.ok ? 'received' : 'did not receive'} file transfer ${payload.transferId}`);
+        break;
+        
+      case 'fileTransferEnded':
+        finishFileTransfer(payload);
+        break;
+        
+      case 'consumerLayersChanged':
+        log(`Consumer ${payload.consumerId} layers changed:`, payload.layers);
+        break;
+        
+      case 'peerRestarting':
+        clearRestartingPeerMedia(payload);
+        break;
+        
+      case 'routerRestarted':
+        await rebuildMediaAfterRouterRestart(payload);
         break;
         
       case 'error':
@@ -179,17 +477,64 @@ async function routeServerMessage(message) {
 }
 
 /**
- * Send message to server
+ * Send a request to the server and wait for its reply
+ * Every request carries an id that the server echoes in its reply, so
+ * concurrent requests of the same type can't be confused
+ * @returns {Promise<Object>} Reply payload; rejects on an error reply or timeout
+ */
+function request(type, payload = {}) {
+  return new Promise((resolve, reject) => {
+    if (!state.socket || state.socket.readyState !== WebSocket.OPEN) {
+      reject(new Error('WebSocket not connected'));
+      return;
+    }
+    
+    const id = state.nextRequestId++;
+    
+    const timeout = setTimeout(() => {
+      state.pendingRequests.delete(id);
+      reject(new Error(`Request '${type}' timed out`));
+    }, REQUEST_TIMEOUT);
+    
+    state.pendingRequests.set(id, { type, resolve, reject, timeout });
+    
+    state.socket.send(JSON.stringify({ id, type, payload }));
+    log(`Sent '${type}' request #${id}:`, payload);
+  });
+}
+
+/**
+ * Resolve or reject the pending request a server reply belongs to
  */
-function sendMessage(type, payload = {}) {
-  if (state.socket && state.socket.readyState === WebSocket.OPEN) {
-    state.socket.send(JSON.stringify({ type, payload }));
-    log(`Sent '${type}' message:`, payload);
+function settlePendingRequest(message) {
+  const { id, type, payload } = message;
+  const pendingRequest = state.pendingRequests.get(id);
+  
+  state.pendingRequests.delete(id);
+  clearTimeout(pendingRequest.timeout);
+  
+  if (type === 'error') {
+    log(`Request '${pendingRequest.type}' #${id} failed:`, payload.message);
+    const error = new Error(payload.message);
+    error.code = payload.code;
+    pendingRequest.reject(error);
   } else {
-    console.error('WebSocket not connected');
+    log(`Received '${type}' reply to #${id}:`, payload);
+    pendingRequest.resolve(payload);
   }
 }
 
+/**
+ * Reject every request still waiting for a reply (e.g. when the socket closes)
+ */
+function rejectPendingRequests(error) {
+  state.pendingRequests.forEach(({ reject, timeout }) => {
+    clearTimeout(timeout);
+    reject(error);
+  });
+  state.pendingRequests.clear();
+}
+
 /**
  * Handle join room button click
  */
@@ -205,359 +550,2021 @@ async function handleJoinRoom() {
   
   state.roomId = roomId;
   
+  const displayName = document.getElementById('displayNameInput').value.trim();
+  
   try {
     showLoading('Joining room...');
     
     // Step 1: Get router RTP capabilities
-    sendMessage('getRouterRtpCapabilities');
+    const capabilities = await request('getRouterRtpCapabilities', { roomId });
+    
+    // Step 2: Load device (camera and microphone are only requested once we
+    // are in the room, as viewers don't need them)
+    await initializeDeviceWithCapabilities(capabilities);
+    
+    // Step 3: Join room (asks for the password if the room has one)
+    const roomInfo = await requestJoinRoom(roomId, displayName);
+    
+    // Rooms with a lobby make us wait until a host lets us in ('roomJoined' then follows)
+    if (roomInfo.inLobby) {
+      showLobbyWaiting(roomInfo);
+      return;
+    }
+    
+    await enterRoom(roomInfo);
     
   } catch (error) {
     console.error('Error joining room:', error);
-    showNotification('Failed to join room', 'error');
+    showNotification(`Failed to join room: ${error.message}`, 'error');
     hideLoading();
   }
+  
+  updateDebugInfo();
 }
 
 /**
- * Quick join function (called from HTML)
+ * Start the call once we are in the room
  */
-window.quickJoin = function(roomId) {
-  document.getElementById('roomIdInput').value = roomId;
-  handleJoinRoom();
-};
+async function enterRoom(roomInfo) {
+  hideLobbyWaiting();
+  
+  // Optional own limit of camera videos received (?lastN=4), e.g. on mobile
+  const lastN = parseInt(new URLSearchParams(window.location.search).get('lastN'), 10);
+  if (Number.isInteger(lastN) && lastN >= 0) {
+    await request('setLastN', { lastN });
+  }
+  
+  await setupLocalMediaAndTransports(roomInfo);
+}
 
 /**
- * Initialize mediasoup Device with router capabilities from server
- * Device needs to know what codecs the server supports
+ * Stop our camera and microphone
  */
-async function initializeDeviceWithCapabilities(payload) {
-  const { rtpCapabilities } = payload;
+function releaseLocalMedia() {
+  if (state.localStream) {
+    state.localStream.getTracks().forEach(track => track.stop());
+    state.localStream = null;
+  }
+}
+
+/**
+ * Show the waiting screen while we are in the lobby
+ */
+function showLobbyWaiting(lobbyInfo) {
+  state.inLobby = true;
+  hideLoading();
   
-  log('Received router RTP capabilities');
-  showLoading('Initializing device...');
+  document.getElementById('lobbyRoomName').textContent = lobbyInfo.roomId;
+  document.getElementById('joinSection').style.display = 'none';
+  document.getElementById('lobbySection').style.display = 'block';
+}
+
+function hideLobbyWaiting() {
+  state.inLobby = false;
+  document.getElementById('lobbySection').style.display = 'none';
+}
+
+/**
+ * Back to the join form after leaving or being turned away from the lobby
+ */
+function exitLobby() {
+  hideLobbyWaiting();
+  releaseLocalMedia();
+  state.roomId = null;
+  state.device = null;
+  document.getElementById('joinSection').style.display = 'block';
+}
+
+/**
+ * Stop waiting in the lobby
+ */
+async function leaveLobby() {
+  try {
+    await request('leaveLobby');
+  } catch (error) {
+    console.error('Error leaving lobby:', error);
+  }
+  exitLobby();
+}
+
+/**
+ * Show a lobby request to the host with admit/deny buttons
+ */
+function addLobbyRequest(peerInfo) {
+  if (state.lobbyPeers.has(peerInfo.peerId)) return;
   
-  // Create mediasoup Device
-  state.device = new mediasoupClient.Device();
+  const item = document.createElement('li');
+  item.className = 'lobby-request';
   
-  // Load device with router capabilities
-  await state.device.load({ routerRtpCapabilities: rtpCapabilities });
+  const name = document.createElement('span');
+  name.className = 'lobby-request-name';
+  name.textContent = peerInfo.displayName;
   
-  log('Device loaded, can produce:', {
-    audio: state.device.canProduce('audio'),
-    video: state.device.canProduce('video')
-  });
+  const admitBtn = document.createElement('button');
+  admitBtn.className = 'btn btn-primary btn-small';
+  admitBtn.textContent = 'Admit';
+  admitBtn.addEventListener('click', () => respondToLobbyRequest(peerInfo.peerId, 'admitPeer'));
   
-  // Step 2: Get user media (camera and microphone)
-  await getUserMedia();
+  const denyBtn = document.createElement('button');
+  denyBtn.className = 'btn btn-secondary btn-small';
+  denyBtn.textContent = 'Deny';
+  denyBtn.addEventListener('click', () => respondToLobbyRequest(peerInfo.peerId, 'denyPeer'));
+  
+  item.append(name, admitBtn, denyBtn);
+  document.getElementById('lobbyList').appendChild(item);
+  
+  state.lobbyPeers.set(peerInfo.peerId, { ...peerInfo, element: item });
+  updateLobbyPanel();
   
-  // Step 3: Join room
-  sendMessage('joinRoom', { roomId: state.roomId });
+  showNotification(`${peerInfo.displayName} is waiting in the lobby`, 'info');
 }
 
 /**
- * Get user media (camera and microphone)
+ * Remove a lobby request (admitted, denied or gave up)
  */
-async function getUserMedia() {
-  showLoading('Accessing camera and microphone...');
+function removeLobbyRequest(peerId) {
+  const lobbyPeer = state.lobbyPeers.get(peerId);
+  if (!lobbyPeer) return;
   
+  lobbyPeer.element.remove();
+  state.lobbyPeers.delete(peerId);
+  updateLobbyPanel();
+}
+
+function updateLobbyPanel() {
+  document.getElementById('lobbyPanel').style.display = state.lobbyPeers.size > 0 ? 'block' : 'none';
+}
+
+/**
+ * Admit or deny a waiting peer
+ * @param {string} type - 'admitPeer' or 'denyPeer'
+ */
+async function respondToLobbyRequest(peerId, type) {
   try {
-    state.localStream = await navigator.mediaDevices.getUserMedia({
-      video: {
-        width: { ideal: 1280 },
-        height: { ideal: 720 },
-        frameRate: { ideal: 30 }
-      },
-      audio: {
-        echoCancellation: true,
-        noiseSuppression: true,
-        autoGainControl: true
-      }
-    });
-    
-    log('Got user media:', state.localStream.getTracks().map(t => t.kind));
-    
-    // Display local video
-    const localVideo = document.getElementById('localVideo');
-    localVideo.srcObject = state.localStream;
-    
+    await request(type, { peerId });
   } catch (error) {
-    console.error('Error getting user media:', error);
-    showNotification('Failed to access camera/microphone. Please grant permissions.', 'error');
-    throw error;
+    console.error(`Error handling lobby request (${type}):`, error);
+    showNotification(`Failed: ${error.message}`, 'error');
   }
 }
 
 /**
- * Setup local media and transports after successfully joining room
- * Creates send transport for camera/mic and prepares to consume existing producers
+ * Turn the room's lobby on or off (hosts only)
  */
-async function setupLocalMediaAndTransports(payload) {
-  const { roomId, peers, existingProducers } = payload;
-  
-  log('Joined room:', roomId, 'with peers:', peers);
-  log('Existing producers:', existingProducers);
-  showLoading('Setting up media connection...');
-  
-  // Update UI
-  document.getElementById('currentRoomName').textContent = roomId;
-  updatePeerCount(peers.length + 1); // +1 for self
-  
-  // Show conference section, hide join section
-  document.getElementById('joinSection').style.display = 'none';
-  document.getElementById('conferenceSection').style.display = 'block';
-  
-  // Store existing producers to consume later (after we create recv transport)
-  state.pendingConsumers = existingProducers || [];
+async function toggleLobby() {
+  try {
+    const { lobbyEnabled } = await request('setLobbyEnabled', { enabled: !state.lobbyEnabled });
+    setLobbyEnabled(lobbyEnabled);
+    showNotification(lobbyEnabled ? 'Lobby enabled' : 'Lobby disabled', 'success');
+  } catch (error) {
+    console.error('Error toggling lobby:', error);
+    showNotification(`Failed to change lobby: ${error.message}`, 'error');
+  }
+}
+
+function setLobbyEnabled(lobbyEnabled) {
+  state.lobbyEnabled = lobbyEnabled;
   
-  // Step 4: Create send transport
-  sendMessage('createTransport', { direction: 'send' });
+  const btn = document.getElementById('lobbyBtn');
+  btn.querySelector('.label').textContent = lobbyEnabled ? 'Lobby On' : 'Lobby Off';
+  btn.classList.toggle('active', lobbyEnabled);
 }
 
 /**
- * Configure WebRTC transport and start producing/consuming media
- * Sets up event handlers and initiates media flow
+ * Mute every microphone in the room except the hosts' (hosts only)
  */
-async function configureTransportAndProduce(payload) {
-  const { transportId, iceParameters, iceCandidates, dtlsParameters, direction } = payload;
-  
-  log(`${direction} transport created:`, transportId);
+async function muteAll() {
+  if (!window.confirm('Mute everyone? They can unmute once you ask them to.')) return;
   
-  if (direction === 'send') {
-    // Create send transport
-    state.sendTransport = state.device.createSendTransport({
-      id: transportId,
-      iceParameters,
-      iceCandidates,
-      dtlsParameters
-    });
-    
-    // Handle 'connect' event
-    state.sendTransport.on('connect', async ({ dtlsParameters }, callback, errback) => {
-      try {
-        log('Send transport connecting...');
-        sendMessage('connectTransport', {
-          transportId: state.sendTransport.id,
-          dtlsParameters
-        });
-        callback();
-      } catch (error) {
-        errback(error);
-      }
-    });
-    
-    // Handle 'produce' event
-    state.sendTransport.on('produce', async ({ kind, rtpParameters }, callback, errback) => {
-      try {
-        log(`Producing ${kind}...`);
-        
-        // Send produce request to server
-        const producePromise = new Promise((resolve) => {
-          // Store callback to call when server responds
-          const originalHandler = state.socket.onmessage;
-          state.socket.onmessage = (event) => {
-            const message = JSON.parse(event.data);
-            if (message.type === 'produced' && message.payload.kind === kind) {
-              resolve(message.payload.producerId);
-              state.socket.onmessage = originalHandler;
-            } else {
-              originalHandler(event);
-            }
-          };
-        });
-        
-        sendMessage('produce', {
-          transportId: state.sendTransport.id,
-          kind,
-          rtpParameters
-        });
-        
-        const producerId = await producePromise;
-        callback({ id: producerId });
-        
-      } catch (error) {
-        errback(error);
-      }
-    });
-    
-    // Step 5: Produce media (camera and microphone)
-    await produceMedia();
-    
-    // Step 6: Create recv transport for consuming
-    sendMessage('createTransport', { direction: 'recv' });
-    
-  } else if (direction === 'recv') {
-    // Create receive transport
-    state.recvTransport = state.device.createRecvTransport({
-      id: transportId,
-      iceParameters,
-      iceCandidates,
-      dtlsParameters
-    });
-    
-    // Handle 'connect' event
-    state.recvTransport.on('connect', async ({ dtlsParameters }, callback, errback) => {
-      try {
-        log('Recv transport connecting...');
-        sendMessage('connectTransport', {
-          transportId: state.recvTransport.id,
-          dtlsParameters
-        });
-        callback();
-      } catch (error) {
-        errback(error);
+  try {
+    await request('muteAll');
+    showNotification('Everyone muted', 'success');
+  } catch (error) {
+    console.error('Error muting everyone:', error);
+    showNotification(`Failed to mute everyone: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Turn "mute on join" on or off (hosts only)
+ */
+async function toggleMuteOnJoin() {
+  try {
+    const { muteOnJoin } = await request('setMuteOnJoin', { enabled: !state.muteOnJoin });
+    setMuteOnJoin(muteOnJoin);
+  } catch (error) {
+    console.error('Error changing mute on join:', error);
+    showNotification(`Failed to change mute on join: ${error.message}`, 'error');
+  }
+}
+
+function setMuteOnJoin(muteOnJoin) {
+  state.muteOnJoin = muteOnJoin;
+  document.getElementById('muteOnJoinBtn').classList.toggle('active', muteOnJoin);
+}
+
+/**
+ * Start or stop recording the room on the server (hosts only)
+ */
+async function toggleRecording() {
+  const btn = document.getElementById('recordBtn');
+  btn.disabled = true;
+  
+  try {
+    if (state.recording) {
+      const { files } = await request('stopRecording');
+      setRecording(false);
+      showNotification(`Recording saved (${files.length} file${files.length === 1 ? '' : 's'})`, 'success');
+    } else {
+      await request('startRecording');
+      setRecording(true);
+      showNotification('Recording started', 'success');
+    }
+  } catch (error) {
+    console.error('Error toggling recording:', error);
+    showNotification(`Failed to ${state.recording ? 'stop' : 'start'} recording: ${error.message}`, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Show whether the room is being recorded (everyone sees the indicator)
+ */
+function setRecording(recording) {
+  state.recording = recording;
+  
+  document.getElementById('recordingIndicator').style.display = recording ? '' : 'none';
+  
+  const btn = document.getElementById('recordBtn');
+  btn.querySelector('.label').textContent = recording ? 'Stop Recording' : 'Record';
+  btn.classList.toggle('active', recording);
+}
+
+/**
+ * A host or moderator asks us to unmute: we decide, the microphone is
+ * never turned on for us
+ */
+async function answerUnmuteRequest(payload) {
+  if (state.isAudioEnabled) return;
+  
+  const name = payload.displayName || 'A host';
+  if (window.confirm(`${name} is asking you to unmute. Turn on your microphone?`)) {
+    await toggleAudio();
+  }
+}
+
+/**
+ * Our microphone starts muted when the room muted it before we joined
+ */
+function applyAudioLock(audioProducer) {
+  if (!state.audioLocked) return;
+  
+  setLocalProducerPaused(audioProducer, true, false);
+  state.isAudioEnabled = false;
+  updateAudioButton(false);
+  showNotification('You joined muted. You can unmute when a host asks you to.', 'info');
+}
+
+/**
+ * Send joinRoom, prompting for the room password while the server asks for one
+ * @returns {Promise<Object>} roomJoined payload; rejects if the user cancels
+ */
+async function requestJoinRoom(roomId, displayName) {
+  let password;
+  
+  for (;;) {
+    try {
+      return await request('joinRoom', {
+        roomId,
+        displayName,
+        metadata: getLocalMetadata(),
+        clientId: getClientId(),
+        invite: state.inviteToken || undefined,
+        password
+      });
+    } catch (error) {
+      if (error.code !== 'passwordRequired' && error.code !== 'invalidPassword') {
+        throw error;
       }
-    });
-    
-    // Consume pending producers from existing peers
-    if (state.pendingConsumers && state.pendingConsumers.length > 0) {
-      log('Consuming existing producers:', state.pendingConsumers.length);
       
-      // Consume each existing producer
-      state.pendingConsumers.forEach(peerInfo => {
-        peerInfo.producers.forEach(producer => {
-          log(`Requesting to consume ${producer.kind} from peer ${peerInfo.peerId}`);
-          sendMessage('consume', {
-            producerId: producer.producerId,
-            rtpCapabilities: state.device.rtpCapabilities
-          });
-        });
-      });
+      hideLoading();
+      const message = error.code === 'invalidPassword'
+        ? 'Wrong password, try again:'
+        : `Room "${roomId}" is password protected. Enter the password:`;
+      password = window.prompt(message);
       
-      // Clear pending consumers
-      state.pendingConsumers = [];
+      if (password === null) {
+        throw new Error('Password is required');
+      }
+      showLoading('Joining room...');
     }
+  }
+}
+
+/**
+ * Create an invite link for the current room and copy it to the clipboard
+ */
+async function createInviteLink() {
+  try {
+    const invite = await request('createInvite');
     
-    hideLoading();
-    showNotification('Successfully joined the room!', 'success');
+    const params = new URLSearchParams({ room: invite.roomId, invite: invite.token });
+    const url = `${window.location.origin}${window.location.pathname}?${params}`;
+    
+    try {
+      await navigator.clipboard.writeText(url);
+      showNotification(`Invite link copied (valid until ${new Date(invite.expiresAt).toLocaleString()})`, 'success');
+    } catch (clipboardError) {
+      window.prompt('Copy this invite link:', url);
+    }
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    showNotification(`Failed to create invite: ${error.message}`, 'error');
   }
 }
 
 /**
- * Produce media (send camera and microphone to server)
+ * Set or remove the room password (hosts only)
  */
-async function produceMedia() {
-  log('Starting to produce media...');
+async function changeRoomPassword() {
+  const password = window.prompt('Enter a new room password (leave empty to remove it)', '');
+  if (password === null) return;
   
-  const videoTrack = state.localStream.getVideoTracks()[0];
-  const audioTrack = state.localStream.getAudioTracks()[0];
+  try {
+    const { passwordProtected } = await request('setRoomPassword', { password });
+    setRoomPasswordProtected(passwordProtected);
+    showNotification(passwordProtected ? 'Room password set' : 'Room password removed', 'success');
+  } catch (error) {
+    console.error('Error setting room password:', error);
+    showNotification(`Failed to set password: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show the controls our role allows: room management for hosts, moderator
+ * controls on remote tiles for hosts and moderators, no media for viewers
+ */
+function setLocalRole(role) {
+  state.role = role;
+  
+  const isHost = role === 'host';
+  document.getElementById('passwordBtn').style.display = isHost ? '' : 'none';
+  document.getElementById('lobbyBtn').style.display = isHost ? '' : 'none';
+  document.getElementById('muteAllBtn').style.display = isHost ? '' : 'none';
+  document.getElementById('muteOnJoinBtn').style.display = isHost ? '' : 'none';
+  document.getElementById('recordBtn').style.display = isHost ? '' : 'none';
+  
+  ['toggleVideoBtn', 'toggleAudioBtn', 'shareScreenBtn'].forEach(id => {
+    document.getElementById(id).style.display = role === 'viewer' ? 'none' : '';
+  });
   
-  // Produce video
-  if (videoTrack) {
-    const videoProducer = await state.sendTransport.produce({ track: videoTrack });
-    state.producers.set('video', videoProducer);
-    log('Video producer created:', videoProducer.id);
+  const videoGrid = document.getElementById('videoGrid');
+  videoGrid.classList.toggle('can-moderate', isHost || role === 'moderator');
+  videoGrid.classList.toggle('is-host', isHost);
+  
+  state.remotePeers.forEach(remotePeer => updateRemotePeerTile(remotePeer));
+}
+
+/**
+ * A peer's role changed (ours or someone else's)
+ */
+async function applyPeerRole(payload) {
+  const { peerId, role } = payload;
+  
+  if (peerId !== state.peerId) {
+    const remotePeer = state.remotePeers.get(peerId);
+    if (remotePeer) {
+      remotePeer.role = role;
+      updateRemotePeerTile(remotePeer);
+    }
+    return;
+  }
+  
+  const previousRole = state.role;
+  setLocalRole(role);
+  showNotification(`You are now a ${role}`, 'info');
+  
+  // The server closes a viewer's producers; turn the camera off too
+  if (role === 'viewer') {
+    releaseLocalMedia();
+  } else if (previousRole === 'viewer') {
+    await startPublishing();
+  }
+}
+
+/**
+ * Start sending camera and microphone (e.g. after being promoted from viewer)
+ */
+async function startPublishing() {
+  try {
+    await getUserMedia();
     
-    videoProducer.on('trackended', () => {
-      log('Video track ended');
-    });
+    if (state.sendTransport) {
+      await produceMedia();
+    } else {
+      await createTransport('send');
+    }
     
-    videoProducer.on('transportclose', () => {
-      log('Video producer transport closed');
-    });
+    state.isVideoEnabled = true;
+    state.isAudioEnabled = true;
+    updateVideoButton(true);
+    updateAudioButton(true);
+  } catch (error) {
+    console.error('Error starting to publish:', error);
+    showNotification(`Failed to start camera: ${error.message}`, 'error');
   }
   
-  // Produce audio
-  if (audioTrack) {
-    const audioProducer = await state.sendTransport.produce({ track: audioTrack });
-    state.producers.set('audio', audioProducer);
-    log('Audio producer created:', audioProducer.id);
+  hideLoading();
+}
+
+/**
+ * Whether our role lets us moderate a remote peer
+ * Hosts moderate anyone; moderators only participants and viewers
+ */
+function canModeratePeer(remotePeer) {
+  if (state.role === 'host') return true;
+  return state.role === 'moderator' && (remotePeer.role === 'participant' || remotePeer.role === 'viewer');
+}
+
+/**
+ * Say what a ban covers (it depends on how the server identifies peers)
+ */
+function describeBanScope() {
+  switch (state.banScope) {
+    case 'account':
+      return 'They can\'t rejoin with the same account until the room closes.';
+    case 'address':
+      return 'Nobody from their IP address (e.g. their whole network) can join until the room closes.';
+    default:
+      return 'They can\'t rejoin from the same browser until the room closes.';
+  }
+}
+
+/**
+ * Run a moderator action from a remote tile
+ * @param {string} action - 'muteAudio', 'askToUnmute', 'muteVideo', 'stopMedia', 'kick' or 'ban'
+ */
+async function moderatePeer(peerId, action) {
+  const remotePeer = state.remotePeers.get(peerId);
+  const name = remotePeer ? remotePeer.displayName : 'this participant';
+  
+  try {
+    switch (action) {
+      case 'muteAudio':
+        await request('mutePeer', { peerId, kind: 'audio' });
+        break;
+        
+      case 'askToUnmute':
+        await request('askToUnmute', { peerId });
+        showNotification(`Asked ${name} to unmute`, 'info');
+        break;
+        
+      case 'muteVideo':
+        await request('mutePeer', { peerId, kind: 'video' });
+        break;
+        
+      case 'stopMedia':
+        if (!window.confirm(`Stop all media from ${name}?`)) return;
+        await request('closePeerProducers', { peerId });
+        break;
+        
+      case 'kick':
+        if (!window.confirm(`Remove ${name} from the room?`)) return;
+        await request('kickPeer', { peerId });
+        break;
+        
+      case 'ban':
+        if (!window.confirm(`Ban ${name} from the room? ${describeBanScope()}`)) return;
+        await request('banPeer', { peerId });
+        break;
+    }
+  } catch (error) {
+    console.error(`Error running moderator action '${action}':`, error);
+    showNotification(`Failed: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Change a remote peer's role (hosts only)
+ */
+async function changePeerRole(peerId, role) {
+  try {
+    await request('setPeerRole', { peerId, role });
+  } catch (error) {
+    console.error('Error changing role:', error);
+    showNotification(`Failed to change role: ${error.message}`, 'error');
     
-    audioProducer.on('trackended', () => {
-      log('Audio track ended');
-    });
+    const remotePeer = state.remotePeers.get(peerId);
+    if (remotePeer) {
+      updateRemotePeerTile(remotePeer);
+    }
+  }
+}
+
+/**
+ * Find one of our producers by id
+ * @returns {Array|undefined} [key ('video', 'audio', 'screen'), producer]
+ */
+function findLocalProducer(producerId) {
+  return Array.from(state.producers).find(([, producer]) => producer.id === producerId);
+}
+
+/**
+ * A moderator paused (or the server resumed) one of our producers
+ */
+function setLocalProducerPausedByServer(payload, paused) {
+  const entry = findLocalProducer(payload.producerId);
+  if (!entry) return;
+  
+  const [key, producer] = entry;
+  setLocalProducerPaused(producer, paused, false);
+  
+  if (key === 'video') {
+    state.isVideoEnabled = !paused;
+    updateVideoButton(state.isVideoEnabled);
+  } else if (key === 'audio') {
+    state.isAudioEnabled = !paused;
+    updateAudioButton(state.isAudioEnabled);
+  }
+  
+  if (paused) {
+    showNotification(`A moderator turned off your ${payload.source}`, 'warning');
+  }
+}
+
+/**
+ * A moderator closed one of our producers
+ */
+function closeLocalProducerByServer(payload) {
+  const entry = findLocalProducer(payload.producerId);
+  if (!entry) return;
+  
+  const [key, producer] = entry;
+  producer.close();
+  state.producers.delete(key);
+  
+  if (key === 'screen') {
+    updateScreenShareButton(false);
+  } else if (key === 'video') {
+    state.isVideoEnabled = false;
+    updateVideoButton(false);
+  } else if (key === 'audio') {
+    state.isAudioEnabled = false;
+    updateAudioButton(false);
+  }
+  
+  showNotification(`A moderator stopped your ${payload.source}`, 'warning');
+}
+
+/**
+ * Show whether the room is password protected
+ */
+function setRoomPasswordProtected(passwordProtected) {
+  state.passwordProtected = passwordProtected;
+  document.getElementById('roomLock').style.display = passwordProtected ? '' : 'none';
+}
+
+/**
+ * Build our peer metadata
+ * Optional avatar URL can be passed in the page URL (?avatarUrl=...)
+ */
+function getLocalMetadata() {
+  const params = new URLSearchParams(window.location.search);
+  const metadata = {};
+  
+  if (params.get('avatarUrl')) {
+    metadata.avatarUrl = params.get('avatarUrl');
+  }
+  
+  return metadata;
+}
+
+/**
+ * Get the random id of this browser, created on first use
+ * Kept in local storage so it survives reloads (falls back to this page's
+ * lifetime when storage is unavailable)
+ */
+function getClientId() {
+  if (state.clientId) {
+    return state.clientId;
+  }
+  
+  try {
+    state.clientId = window.localStorage.getItem('clientId');
+  } catch (error) {
+    // Storage disabled (e.g. private browsing)
+  }
+  
+  if (!state.clientId) {
+    const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+    state.clientId = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
     
-    audioProducer.on('transportclose', () => {
-      log('Audio producer transport closed');
-    });
+    try {
+      window.localStorage.setItem('clientId', state.clientId);
+    } catch (error) {
+      // Storage disabled: the id lasts until the page is reloaded
+    }
+  }
+  
+  return state.clientId;
+}
+
+/**
+ * Change our display name mid-call
+ */
+async function changeDisplayName() {
+  const displayName = window.prompt('Enter your new name', state.displayName || '');
+  if (displayName === null || !displayName.trim()) return;
+  
+  try {
+    const info = await request('updatePeerInfo', { displayName: displayName.trim() });
+    setLocalPeerInfo(info);
+    showNotification('Name updated', 'success');
+  } catch (error) {
+    console.error('Error updating name:', error);
+    showNotification(`Failed to update name: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Store our peer info as returned by the server and show it on our tile
+ */
+function setLocalPeerInfo(info) {
+  state.displayName = info.displayName;
+  state.metadata = info.metadata || {};
+  
+  document.querySelector('#localVideoContainer .participant-name').textContent = `${state.displayName} (You)`;
+}
+
+/**
+ * Quick join function (called from HTML)
+ */
+window.quickJoin = function(roomId) {
+  document.getElementById('roomIdInput').value = roomId;
+  handleJoinRoom();
+};
+
+/**
+ * Initialize mediasoup Device with router capabilities from server
+ * Device needs to know what codecs the server supports
+ */
+async function initializeDeviceWithCapabilities(payload) {
+  const { rtpCapabilities } = payload;
+  
+  log('Received router RTP capabilities');
+  showLoading('Initializing device...');
+  
+  // Create mediasoup Device
+  state.device = new mediasoupClient.Device();
+  
+  // Load device with router capabilities
+  await state.device.load({ routerRtpCapabilities: rtpCapabilities });
+  
+  log('Device loaded, can produce:', {
+    audio: state.device.canProduce('audio'),
+    video: state.device.canProduce('video')
+  });
+}
+
+/**
+ * Get user media (camera and microphone)
+ */
+async function getUserMedia() {
+  showLoading('Accessing camera and microphone...');
+  
+  try {
+    state.localStream = await navigator.mediaDevices.getUserMedia({
+      video: {
+        width: { ideal: 1280 },
+        height: { ideal: 720 },
+        frameRate: { ideal: 30 }
+      },
+      audio: {
+        echoCancellation: true,
+        noiseSuppression: true,
+        autoGainControl: true
+      }
+    });
+    
+    log('Got user media:', state.localStream.getTracks().map(t => t.kind));
+    
+    // Display local video
+    const localVideo = document.getElementById('localVideo');
+    localVideo.srcObject = state.localStream;
+    
+  } catch (error) {
+    console.error('Error getting user media:', error);
+    showNotification('Failed to access camera/microphone. Please grant permissions.', 'error');
+    throw error;
+  }
+}
+
+/**
+ * Setup local media and transports after successfully joining room
+ * Creates send transport for camera/mic and prepares to consume existing producers
+ */
+async function setupLocalMediaAndTransports(payload) {
+  const { roomId, self, peers, existingProducers } = payload;
+  
+  log('Joined room:', roomId, 'with peers:', peers);
+  log('Existing producers:', existingProducers);
+  showLoading('Setting up media connection...');
+  
+  // Remember everyone already in the room (names are needed for their tiles)
+  setLocalPeerInfo(self);
+  peers.forEach(peerInfo => applyRemotePeerInfo(peerInfo));
+  setLocalRole(self.role);
+  setRoomPasswordProtected(payload.passwordProtected);
+  setLobbyEnabled(payload.lobbyEnabled);
+  setMuteOnJoin(payload.muteOnJoin);
+  state.banScope = payload.banScope || 'browser';
+  setRecording(!!payload.recording);
+  state.audioLocked = payload.audioLocked;
+  showChatHistory(payload.chatHistory || []);
+  (payload.lobby || []).forEach(peerInfo => addLobbyRequest(peerInfo));
+  state.activeSpeakerPeerId = payload.activeSpeakerPeerId || null;
+  await updateSpotlight();
+  
+  // Update UI
+  document.getElementById('currentRoomName').textContent = roomId;
+  updatePeerCount(peers.length + 1); // +1 for self
+  
+  // Show conference section, hide join section
+  document.getElementById('joinSection').style.display = 'none';
+  document.getElementById('conferenceSection').style.display = 'block';
+  
+  // Store existing producers to consume later (after we create recv transport)
+  state.pendingConsumers = existingProducers || [];
+  
+  // Viewers only receive media
+  if (self.role === 'viewer') {
+    await createTransport('recv');
+    return;
+  }
+  
+  // Step 4: Get camera and microphone, then create send transport
+  await getUserMedia();
+  await createTransport('send');
+}
+
+/**
+ * Ask the server for a transport in the given direction and set it up locally
+ * @param {string} direction - 'send' or 'recv'
+ */
+async function createTransport(direction) {
+  const transportInfo = await request('createTransport', {
+    direction,
+    sctpCapabilities: state.device.sctpCapabilities // Enables data channels
+  });
+  await configureTransportAndProduce(transportInfo);
+}
+
+/**
+ * Configure WebRTC transport and start producing/consuming media
+ * Sets up event handlers and initiates media flow
+ */
+async function configureTransportAndProduce(payload) {
+  const { transportId, iceParameters, iceCandidates, dtlsParameters, sctpParameters, direction } = payload;
+  
+  log(`${direction} transport created:`, transportId);
+  
+  if (direction === 'send') {
+    // Create send transport
+    state.sendTransport = state.device.createSendTransport({
+      id: transportId,
+      iceParameters,
+      iceCandidates,
+      dtlsParameters,
+      sctpParameters
+    });
+    
+    // Handle 'connect' event
+    // Only report success once the server confirmed the DTLS parameters
+    state.sendTransport.on('connect', async ({ dtlsParameters }, callback, errback) => {
+      try {
+        log('Send transport connecting...');
+        await request('connectTransport', {
+          transportId: state.sendTransport.id,
+          dtlsParameters
+        });
+        log('Send transport connected');
+        callback();
+      } catch (error) {
+        console.error('Error connecting send transport:', error);
+        showNotification(`Failed to connect send transport: ${error.message}`, 'error');
+        errback(error);
+      }
+    });
+    
+    watchTransportConnectionState(state.sendTransport, 'send');
+    
+    // Handle 'produce' event
+    state.sendTransport.on('produce', async ({ kind, rtpParameters, appData }, callback, errback) => {
+      try {
+        log(`Producing ${kind}...`);
+        
+        // Send produce request to server and hand the server's producer id to mediasoup-client
+        const producedInfo = await request('produce', {
+          transportId: state.sendTransport.id,
+          kind,
+          rtpParameters,
+          appData
+        });
+        
+        confirmProducerCreated(producedInfo);
+        callback({ id: producedInfo.producerId });
+        
+      } catch (error) {
+        errback(error);
+      }
+    });
+    
+    // Handle 'producedata' event (a data channel was opened)
+    state.sendTransport.on('producedata', async ({ sctpStreamParameters, label, protocol, appData }, callback, errback) => {
+      try {
+        const { dataProducerId } = await request('produceData', {
+          transportId: state.sendTransport.id,
+          sctpStreamParameters,
+          label,
+          protocol,
+          appData
+        });
+        
+        callback({ id: dataProducerId });
+        
+      } catch (error) {
+        errback(error);
+      }
+    });
+    
+    // Step 5: Produce media (camera and microphone)
+    await produceMedia();
+    
+    // Step 6: Create recv transport for consuming (unless we already have
+    // one, e.g. when a viewer starts publishing)
+    if (!state.recvTransport) {
+      await createTransport('recv');
+    }
+    
+  } else if (direction === 'recv') {
+    // Create receive transport
+    state.recvTransport = state.device.createRecvTransport({
+      id: transportId,
+      iceParameters,
+      iceCandidates,
+      dtlsParameters,
+      sctpParameters
+    });
+    
+    // Handle 'connect' event
+    // Only report success once the server confirmed the DTLS parameters
+    state.recvTransport.on('connect', async ({ dtlsParameters }, callback, errback) => {
+      try {
+        log('Recv transport connecting...');
+        await request('connectTransport', {
+          transportId: state.recvTransport.id,
+          dtlsParameters
+        });
+        log('Recv transport connected');
+        callback();
+      } catch (error) {
+        console.error('Error connecting recv transport:', error);
+        showNotification(`Failed to connect recv transport: ${error.message}`, 'error');
+        errback(error);
+      }
+    });
+    
+    watchTransportConnectionState(state.recvTransport, 'recv');
+    
+    // Consume pending producers from existing peers
+    if (state.pendingConsumers && state.pendingConsumers.length > 0) {
+      log('Consuming existing producers:', state.pendingConsumers.length);
+      
+      // Take the list so producers announced meanwhile aren't lost
+      const pendingConsumers = state.pendingConsumers;
+      state.pendingConsumers = [];
+      
+      // Consume each existing producer
+      for (const peerInfo of pendingConsumers) {
+        for (const producer of peerInfo.producers) {
+          log(`Requesting to consume ${producer.kind} from peer ${peerInfo.peerId}`);
+          await consumeProducer(producer.producerId);
+        }
+        
+        for (const dataProducer of peerInfo.dataProducers || []) {
+          await consumeDataProducer(dataProducer.dataProducerId);
+        }
+      }
+    }
+    
+    hideLoading();
+    showNotification('Successfully joined the room!', 'success');
+  }
+}
+
+/**
+ * Report transport connection failures (e.g. DTLS/ICE) to the user
+ * instead of silently showing black video
+ */
+function watchTransportConnectionState(transport, direction) {
+  transport.on('connectionstatechange', (connectionState) => {
+    log(`${direction} transport connection state:`, connectionState);
+    
+    if (connectionState === 'failed') {
+      showNotification(`Media connection (${direction}) failed`, 'error');
+    }
+  });
+}
+
+/**
+ * Produce media (send camera and microphone to server)
+ */
+async function produceMedia() {
+  log('Starting to produce media...');
+  
+  const videoTrack = state.localStream.getVideoTracks()[0];
+  const audioTrack = state.localStream.getAudioTracks()[0];
+  
+  // Produce video
+  if (videoTrack) {
+    const videoProducer = await state.sendTransport.produce({
+      track: videoTrack,
+      ...getCameraEncodingOptions(),
+      codecOptions: { videoGoogleStartBitrate: 1000 },
+      appData: { source: 'camera' }
+    });
+    state.producers.set('video', videoProducer);
+    log('Video producer created:', videoProducer.id);
+    
+    videoProducer.on('trackended', () => {
+      log('Video track ended');
+    });
+    
+    videoProducer.on('transportclose', () => {
+      log('Video producer transport closed');
+    });
+  }
+  
+  // Produce audio
+  if (audioTrack) {
+    const audioProducer = await state.sendTransport.produce({
+      track: audioTrack,
+      appData: { source: 'microphone' }
+    });
+    state.producers.set('audio', audioProducer);
+    log('Audio producer created:', audioProducer.id);
+    
+    applyAudioLock(audioProducer);
+    
+    audioProducer.on('trackended', () => {
+      log('Audio track ended');
+    });
+    
+    audioProducer.on('transportclose', () => {
+      log('Audio producer transport closed');
+    });
+  }
+}
+
+/**
+ * Pick how the camera is encoded
+ * VP9 SVC where the browser supports it (Chromium) and the router offers VP9,
+ * simulcast with the default codec everywhere else
+ */
+function getCameraEncodingOptions() {
+  const vp9Codec = state.device.rtpCapabilities.codecs
+    .find(codec => codec.mimeType.toLowerCase() === 'video/vp9');
+  
+  if (vp9Codec && state.device.handlerName.startsWith('Chrome')) {
+    log('Publishing camera with VP9 SVC');
+    return { codec: vp9Codec, encodings: SVC_ENCODINGS };
+  }
+  
+  log('Publishing camera with simulcast');
+  return { encodings: SIMULCAST_ENCODINGS };
+}
+
+/**
+ * Confirm producer was created successfully on server
+ * Server acknowledges it's receiving our media stream
+ */
+function confirmProducerCreated(payload) {
+  const { producerId, kind, source } = payload;
+  log(`${kind} (${source}) producer confirmed:`, producerId);
+}
+
+/**
+ * Start or stop sharing the screen
+ */
+async function toggleScreenShare() {
+  if (state.producers.has('screen')) {
+    await stopScreenShare();
+  } else {
+    await startScreenShare();
+  }
+}
+
+/**
+ * Share the screen as an additional video producer tagged with source 'screen'
+ */
+async function startScreenShare() {
+  if (!state.sendTransport) return;
+  
+  let screenStream;
+  try {
+    screenStream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+  } catch (error) {
+    // User cancelled the picker or sharing isn't allowed
+    log('Screen share not started:', error.message);
+    return;
+  }
+  
+  const screenTrack = screenStream.getVideoTracks()[0];
+  
+  try {
+    const screenProducer = await state.sendTransport.produce({
+      track: screenTrack,
+      appData: { source: 'screen' }
+    });
+    state.producers.set('screen', screenProducer);
+    log('Screen producer created:', screenProducer.id);
+    
+    // Browser's own "Stop sharing" button ends the track
+    screenProducer.on('trackended', () => {
+      log('Screen track ended');
+      stopScreenShare();
+    });
+    
+    screenProducer.on('transportclose', () => {
+      log('Screen producer transport closed');
+      state.producers.delete('screen');
+      updateScreenShareButton(false);
+    });
+    
+    updateScreenShareButton(true);
+    showNotification('Screen sharing started', 'success');
+  } catch (error) {
+    console.error('Error sharing screen:', error);
+    screenTrack.stop();
+    showNotification(`Failed to share screen: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Stop sharing the screen and close the producer on the server
+ */
+async function stopScreenShare() {
+  const screenProducer = state.producers.get('screen');
+  if (!screenProducer) return;
+  
+  state.producers.delete('screen');
+  screenProducer.close();
+  updateScreenShareButton(false);
+  
+  try {
+    await request('closeProducer', { producerId: screenProducer.id });
+    showNotification('Screen sharing stopped', 'info');
+  } catch (error) {
+    console.error('Error closing screen producer:', error);
+  }
+}
+
+/**
+ * Track new peer that joined the room
+ * Adds peer to local state for future producer consumption
+ */
+function trackNewPeerJoined(payload) {
+  const { peerId } = payload;
+  log('New peer joined:', peerId);
+  
+  const remotePeer = applyRemotePeerInfo(payload);
+  
+  updatePeerCount(state.remotePeers.size + 1);
+  updatePreferredLayers();
+  showNotification(`${remotePeer.displayName} joined`, 'info');
+}
+
+/**
+ * Store a remote peer's name and metadata, creating the peer entry if needed
+ * Updates the peer's tile when it already exists
+ */
+function applyRemotePeerInfo(payload) {
+  const { peerId, displayName, metadata, role } = payload;
+  
+  if (!state.remotePeers.has(peerId)) {
+    state.remotePeers.set(peerId, {
+      id: peerId,
+      consumers: new Map(),
+      pausedSources: new Set() // Sources ('camera', 'microphone', ...) paused by the peer
+    });
+  }
+  
+  const remotePeer = state.remotePeers.get(peerId);
+  remotePeer.displayName = displayName || `Participant ${peerId.slice(-4)}`;
+  remotePeer.metadata = metadata || {};
+  remotePeer.role = role || 'participant';
+  
+  updateRemotePeerTile(remotePeer);
+  updateChatRecipients();
+  
+  return remotePeer;
+}
+
+/**
+ * Request to consume newly available producer from another peer
+ * Triggered when another peer starts sharing their camera/mic
+ */
+async function requestToConsumeNewProducer(payload) {
+  const { peerId, producerId, kind, source } = payload;
+  log(`New ${kind} (${source}) producer from peer ${peerId}:`, producerId);
+  
+  applyRemotePeerInfo(payload);
+  
+  // Recv transport not ready yet (joining or reconnecting): consume it once it is
+  if (!state.recvTransport) {
+    state.pendingConsumers.push({ peerId, producers: [{ producerId, kind, source }] });
+    return;
+  }
+  
+  // Request to consume this producer
+  await consumeProducer(producerId);
+}
+
+/**
+ * Ask the server for a consumer of a remote producer and start playing it
+ * Failures are reported but don't stop consuming other producers
+ */
+async function consumeProducer(producerId) {
+  try {
+    const consumerInfo = await request('consume', {
+      producerId,
+      rtpCapabilities: state.device.rtpCapabilities
+    });
+    
+    await startReceivingRemoteMedia(consumerInfo);
+  } catch (error) {
+    console.error(`Error consuming producer ${producerId}:`, error);
+    showNotification(`Failed to receive media: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * New data channel from a remote peer: consume it (now or once the recv transport exists)
+ */
+async function requestToConsumeNewDataProducer(payload) {
+  const { peerId, dataProducerId, label, protocol } = payload;
+  log(`New data producer '${label}' from peer ${peerId}:`, dataProducerId);
+  
+  applyRemotePeerInfo(payload);
+  
+  if (!state.recvTransport) {
+    state.pendingConsumers.push({ peerId, producers: [], dataProducers: [{ dataProducerId, label, protocol }] });
+    return;
+  }
+  
+  await consumeDataProducer(dataProducerId);
+}
+
+/**
+ * Ask the server for a data consumer of a remote data channel and
+ * deliver its messages to the handlers registered for its label
+ */
+async function consumeDataProducer(dataProducerId) {
+  try {
+    const { dataConsumerId, producerPeerId, sctpStreamParameters, label, protocol, appData } =
+      await request('consumeData', { dataProducerId });
+    
+    const dataConsumer = await state.recvTransport.consumeData({
+      id: dataConsumerId,
+      dataProducerId,
+      sctpStreamParameters,
+      label,
+      protocol,
+      appData
+    });
+    
+    state.dataConsumers.set(dataConsumer.id, { dataConsumer, dataProducerId, peerId: producerPeerId, label });
+    
+    // Files come in as binary chunks for the transfer, not for the label's handlers
+    if (appData && appData.transferId) {
+      dataConsumer.binaryType = 'arraybuffer';
+      dataConsumer.on('message', (data) => receiveFileChunk(appData.transferId, data));
+    }
+    
+    dataConsumer.on('message', (data) => {
+      if (appData && appData.transferId) return;
+      
+      const handlers = state.dataMessageHandlers.get(label);
+      if (handlers) {
+        handlers.forEach(handler => handler(data, producerPeerId));
+      }
+    });
+    
+    dataConsumer.on('transportclose', () => {
+      state.dataConsumers.delete(dataConsumer.id);
+    });
+    
+    log(`Consuming data channel '${label}' from peer ${producerPeerId}`);
+  } catch (error) {
+    console.error(`Error consuming data producer ${dataProducerId}:`, error);
+  }
+}
+
+/**
+ * Close our data consumers of a remote data channel that went away
+ */
+function removeRemoteDataConsumers(dataProducerId) {
+  state.dataConsumers.forEach(({ dataConsumer, dataProducerId: consumedId }, dataConsumerId) => {
+    if (consumedId === dataProducerId) {
+      dataConsumer.close();
+      state.dataConsumers.delete(dataConsumerId);
+    }
+  });
+}
+
+/**
+ * Open (or get) one of our data channels
+ * Every peer in the room receives what we send on it
+ * @param {string} label - Channel name; receivers register handlers by label
+ * @param {Object} options - { ordered, maxRetransmits, maxPacketLifeTime, protocol }
+ * @returns {Promise<DataProducer>}
+ */
+async function openDataChannel(label, options = {}) {
+  if (state.dataProducers.has(label)) {
+    return state.dataProducers.get(label);
+  }
+  
+  if (!state.sendTransport) {
+    throw new Error('Not connected to a room');
+  }
+  
+  const dataProducer = await state.sendTransport.produceData({ label, ...options });
+  state.dataProducers.set(label, dataProducer);
+  
+  dataProducer.on('transportclose', () => {
+    state.dataProducers.delete(label);
+  });
+  
+  log(`Data channel '${label}' opened:`, dataProducer.id);
+  
+  return dataProducer;
+}
+
+/**
+ * Send data (string, Blob, ArrayBuffer or ArrayBufferView) on one of our data channels
+ */
+async function sendData(label, data) {
+  const dataProducer = await openDataChannel(label);
+  
+  if (dataProducer.readyState !== 'open') {
+    await new Promise((resolve, reject) => {
+      dataProducer.once('open', resolve);
+      dataProducer.once('error', reject);
+    });
+  }
+  
+  dataProducer.send(data);
+}
+
+/**
+ * Close one of our data channels
+ */
+async function closeDataChannel(label) {
+  const dataProducer = state.dataProducers.get(label);
+  if (!dataProducer) return;
+  
+  state.dataProducers.delete(label);
+  dataProducer.close();
+  
+  try {
+    await request('closeDataProducer', { dataProducerId: dataProducer.id });
+  } catch (error) {
+    console.error(`Error closing data channel '${label}':`, error);
+  }
+}
+
+/**
+ * Register a handler for data received on channels with the given label
+ * @param {Function} handler - Called with (data, peerId)
+ * @returns {Function} Unregisters the handler
+ */
+function onData(label, handler) {
+  if (!state.dataMessageHandlers.has(label)) {
+    state.dataMessageHandlers.set(label, new Set());
+  }
+  state.dataMessageHandlers.get(label).add(handler);
+  
+  return () => state.dataMessageHandlers.get(label).delete(handler);
+}
+
+/**
+ * Data channel API for apps built on this client (cursors, game state, ...)
+ */
+window.dataChannels = {
+  open: openDataChannel,
+  send: sendData,
+  close: closeDataChannel,
+  onData
+};
+
+/**
+ * Allow files to be dropped on an element (chat panel, video tiles)
+ */
+function allowFileDrop(e) {
+  if (!e.dataTransfer.types.includes('Files')) return;
+  
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'copy';
+  e.currentTarget.classList.add('drop-target');
+}
+
+/**
+ * Send files to one peer, or to everyone in the room
+ * @param {FileList} files
+ * @param {string} toPeerId - Recipient (undefined = everyone)
+ */
+function sendFiles(files, toPeerId) {
+  Array.from(files).forEach(file => {
+    sendFile(file, toPeerId).catch(error => {
+      console.error(`Error sending file ${file.name}:`, error);
+      showNotification(`Failed to send ${file.name}: ${error.message}`, 'error');
+    });
+  });
+}
+
+/**
+ * Announce a file to the server and open a data channel for it
+ * Sending starts on 'fileTransferReady', once every recipient consumes the channel
+ */
+async function sendFile(file, toPeerId) {
+  if (!state.sendTransport) {
+    throw new Error('Not connected to a room');
+  }
+  
+  const data = await file.arrayBuffer();
+  const sha256 = await hashFile(data);
+  
+  const { transferId, chunkSize, maxBitrate } = await request('startFileTransfer', {
+    name: file.name,
+    size: file.size,
+    mimeType: file.type,
+    sha256,
+    toPeerId
+  });
+  
+  const transfer = {
+    transferId,
+    outgoing: true,
+    name: file.name,
+    size: file.size,
+    toPeerId,
+    data,
+    chunkSize,
+    maxBitrate,
+    dataProducer: null,
+    bytes: 0,
+    paused: false,
+    resume: null, // Resolves the wait while paused
+    ended: false
+  };
+  
+  state.fileTransfers.set(transferId, transfer);
+  addFileTransferItem(transfer);
+  
+  transfer.dataProducer = await state.sendTransport.produceData({
+    ordered: true,
+    label: `file-${transferId}`,
+    protocol: 'file',
+    appData: { transferId }
+  });
+  
+  // The server may have told us to start before the data channel was ready here
+  if (transfer.readyToSend) {
+    startSendingFile(transferId);
+  }
+}
+
+/**
+ * SHA-256 of a file as hex, checked by the receivers once they have it all
+ */
+async function hashFile(data) {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Send a file in chunks, paced below the server's data rate limit
+ * and waiting whenever the data channel buffer fills up
+ */
+async function startSendingFile(transferId) {
+  const transfer = state.fileTransfers.get(transferId);
+  if (!transfer || transfer.ended) return;
+  
+  if (!transfer.dataProducer) {
+    transfer.readyToSend = true;
+    return;
+  }
+  
+  const { dataProducer, data, chunkSize } = transfer;
+  
+  // Stay under the limit, the server closes channels that go over it
+  const bytesPerSecond = transfer.maxBitrate * 0.8 / 8;
+  const bufferLimit = chunkSize * 16;
+  dataProducer.bufferedAmountLowThreshold = chunkSize * 4;
+  
+  try {
+    if (dataProducer.readyState !== 'open') {
+      await new Promise((resolve, reject) => {
+        dataProducer.once('open', resolve);
+        dataProducer.once('error', reject);
+      });
+    }
+    
+    let windowStart = Date.now();
+    let windowBytes = 0;
+    
+    while (transfer.bytes < transfer.size && !transfer.ended) {
+      if (transfer.paused) {
+        await new Promise(resolve => { transfer.resume = resolve; });
+        windowStart = Date.now();
+        windowBytes = 0;
+        continue;
+      }
+      
+      if (dataProducer.bufferedAmount > bufferLimit) {
+        await new Promise(resolve => dataProducer.once('bufferedamountlow', resolve));
+        continue;
+      }
+      
+      const chunk = data.slice(transfer.bytes, transfer.bytes + chunkSize);
+      dataProducer.send(chunk);
+      transfer.bytes += chunk.byteLength;
+      windowBytes += chunk.byteLength;
+      
+      updateFileTransferItem(transfer, transfer.bytes < transfer.size ? null : 'Waiting for confirmation...');
+      
+      const ahead = windowBytes / bytesPerSecond * 1000 - (Date.now() - windowStart);
+      if (ahead > 0) {
+        await new Promise(resolve => setTimeout(resolve, ahead));
+      }
+    }
+  } catch (error) {
+    console.error(`Error sending file ${transfer.name}:`, error);
+    await cancelFileTransfer(transferId);
+  }
+}
+
+/**
+ * Pause or resume sending one of our files
+ */
+async function toggleFileTransferPaused(transferId) {
+  const transfer = state.fileTransfers.get(transferId);
+  if (!transfer || transfer.ended) return;
+  
+  transfer.paused = !transfer.paused;
+  
+  if (!transfer.paused && transfer.resume) {
+    transfer.resume();
+    transfer.resume = null;
+  }
+  
+  updateFileTransferItem(transfer, transfer.paused ? 'Paused' : null);
+  
+  try {
+    await request('setFileTransferPaused', { transferId, paused: transfer.paused });
+  } catch (error) {
+    console.error('Error pausing file transfer:', error);
+  }
+}
+
+/**
+ * Stop sending one of our files; the server tells everyone with 'fileTransferEnded'
+ */
+async function cancelFileTransfer(transferId) {
+  const transfer = state.fileTransfers.get(transferId);
+  if (!transfer || transfer.ended) return;
+  
+  if (!transfer.outgoing) {
+    // Receivers just drop the file and report it as not received
+    transfer.ended = true;
+    transfer.chunks = [];
+    updateFileTransferItem(transfer, 'Cancelled');
+    state.fileTransfers.delete(transferId);
+    await request('fileTransferReceived', { transferId, ok: false }).catch(() => {});
+    return;
+  }
+  
+  try {
+    await request('cancelFileTransfer', { transferId });
+  } catch (error) {
+    console.error('Error cancelling file transfer:', error);
+  }
+}
+
+/**
+ * A peer is sending us a file; its data channel arrives through 'newDataProducer'
+ */
+function addIncomingFileTransfer(payload) {
+  const transfer = {
+    ...payload,
+    outgoing: false,
+    chunks: [],
+    bytes: 0,
+    ended: false
+  };
+  
+  state.fileTransfers.set(payload.transferId, transfer);
+  addFileTransferItem(transfer);
+  
+  if (document.getElementById('chatPanel').style.display === 'none') {
+    setUnreadChatMessages(state.unreadChatMessages + 1);
+  }
+}
+
+/**
+ * Collect a chunk of an incoming file; once complete, check its hash and offer it for download
+ */
+async function receiveFileChunk(transferId, data) {
+  const transfer = state.fileTransfers.get(transferId);
+  if (!transfer || transfer.ended) return;
+  
+  transfer.chunks.push(data);
+  transfer.bytes += data.byteLength;
+  updateFileTransferItem(transfer);
+  
+  if (transfer.bytes < transfer.size) return;
+  
+  transfer.ended = true;
+  
+  const blob = new Blob(transfer.chunks, { type: transfer.mimeType || 'application/octet-stream' });
+  transfer.chunks = [];
+  
+  const ok = transfer.bytes === transfer.size &&
+    await hashFile(await blob.arrayBuffer()) === transfer.sha256;
+  
+  if (ok) {
+    transfer.url = URL.createObjectURL(blob);
+    updateFileTransferItem(transfer, 'Received');
+  } else {
+    updateFileTransferItem(transfer, 'Failed: file is corrupted');
+  }
+  
+  try {
+    await request('fileTransferReceived', { transferId, ok });
+  } catch (error) {
+    console.error('Error confirming file transfer:', error);
+  }
+}
+
+function setIncomingFileTransferPaused(payload) {
+  const transfer = state.fileTransfers.get(payload.transferId);
+  if (!transfer || transfer.ended) return;
+  
+  updateFileTransferItem(transfer, payload.paused ? 'Paused by sender' : null);
+}
+
+/**
+ * The server ended a transfer (completed, cancelled or aborted)
+ */
+function finishFileTransfer(payload) {
+  const { transferId, status, reason } = payload;
+  const transfer = state.fileTransfers.get(transferId);
+  if (!transfer) return;
+  
+  state.fileTransfers.delete(transferId);
+  
+  if (transfer.outgoing) {
+    transfer.ended = true;
+    transfer.data = null;
+    if (transfer.resume) transfer.resume();
+    if (transfer.dataProducer) transfer.dataProducer.close();
+    
+    updateFileTransferItem(transfer, status === 'completed' ? 'Sent' : `${capitalize(status)}${reason ? `: ${reason}` : ''}`);
+    return;
+  }
+  
+  // Receivers already know how it went for them once they have the whole file
+  if (transfer.ended) return;
+  
+  transfer.ended = true;
+  transfer.chunks = [];
+  updateFileTransferItem(transfer, `${capitalize(status)}${reason ? `: ${reason}` : ''}`);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Show a file transfer in the chat (progress, pause/cancel, download link)
+ * File names come from other users, so they're set as text, never as HTML
+ */
+function addFileTransferItem(transfer) {
+  const item = document.createElement('div');
+  item.className = 'chat-message file-transfer';
+  item.classList.toggle('own', transfer.outgoing);
+  item.classList.toggle('direct', !!transfer.toPeerId);
+  item.dataset.transferId = transfer.transferId;
+  
+  const header = document.createElement('div');
+  header.className = 'chat-message-header';
+  
+  const sender = document.createElement('span');
+  sender.className = 'chat-sender';
+  if (transfer.outgoing) {
+    const recipient = transfer.toPeerId && state.remotePeers.get(transfer.toPeerId);
+    sender.textContent = transfer.toPeerId
+      ? `You → ${recipient ? recipient.displayName : 'participant'} (private)`
+      : 'You';
+  } else {
+    sender.textContent = transfer.toPeerId ? `${transfer.displayName} → You (private)` : transfer.displayName;
+  }
+  header.appendChild(sender);
+  
+  const body = document.createElement('div');
+  body.className = 'chat-text';
+  
+  const name = document.createElement('div');
+  name.className = 'file-name';
+  name.textContent = `📎 ${transfer.name} (${formatFileSize(transfer.size)})`;
+  
+  const progress = document.createElement('progress');
+  progress.max = transfer.size;
+  progress.value = 0;
+  
+  const status = document.createElement('div');
+  status.className = 'file-status';
+  status.textContent = transfer.outgoing ? 'Waiting for recipients...' : 'Receiving...';
+  
+  const actions = document.createElement('div');
+  actions.className = 'file-actions';
+  
+  if (transfer.outgoing) {
+    const pauseBtn = document.createElement('button');
+    pauseBtn.className = 'btn btn-secondary btn-small file-pause';
+    pauseBtn.textContent = 'Pause';
+    pauseBtn.addEventListener('click', () => toggleFileTransferPaused(transfer.transferId));
+    actions.appendChild(pauseBtn);
+  }
+  
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'btn btn-secondary btn-small file-cancel';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', () => cancelFileTransfer(transfer.transferId));
+  actions.appendChild(cancelBtn);
+  
+  body.append(name, progress, status, actions);
+  item.append(header, body);
+  
+  const chatMessages = document.getElementById('chatMessages');
+  chatMessages.appendChild(item);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+/**
+ * Update a file transfer's progress and status in the chat
+ * @param {string} statusText - New status (null = show the progress)
+ */
+function updateFileTransferItem(transfer, statusText = null) {
+  const item = document.querySelector(`.file-transfer[data-transfer-id="${transfer.transferId}"]`);
+  if (!item) return;
+  
+  item.querySelector('progress').value = transfer.bytes;
+  item.querySelector('.file-status').textContent = statusText ||
+    `${formatFileSize(transfer.bytes)} of ${formatFileSize(transfer.size)}`;
+  
+  const pauseBtn = item.querySelector('.file-pause');
+  if (pauseBtn) {
+    pauseBtn.textContent = transfer.paused ? 'Resume' : 'Pause';
+  }
+  
+  if (!transfer.ended) return;
+  
+  item.querySelector('.file-actions').replaceChildren();
+  
+  if (transfer.url) {
+    const link = document.createElement('a');
+    link.href = transfer.url;
+    link.download = transfer.name;
+    link.textContent = 'Download';
+    item.querySelector('.file-actions').appendChild(link);
+  }
+}
+
+/**
+ * Start receiving and displaying remote media from consumed producer
+ * Creates consumer, attaches to video element, and resumes playback
+ */
+async function startReceivingRemoteMedia(payload) {
+  const { consumerId, producerId, producerPeerId, kind, source, producerPaused, type, rtpParameters } = payload;
+  
+  log(`Consuming ${kind} (${source}) from peer ${producerPeerId}`);
+  
+  // Create consumer
+  const consumer = await state.recvTransport.consume({
+    id: consumerId,
+    producerId,
+    kind,
+    rtpParameters
+  });
+  
+  // Store consumer
+  state.consumers.set(consumerId, {
+    consumer,
+    producerId,
+    producerPeerId,
+    kind,
+    source,
+    type,                     // 'simple', 'simulcast' or 'svc'
+    preferredSpatialLayer: null
+  });
+  
+  // Get or create remote peer info
+  if (!state.remotePeers.has(producerPeerId)) {
+    applyRemotePeerInfo({ peerId: producerPeerId });
+  }
+  
+  const remotePeer = state.remotePeers.get(producerPeerId);
+  remotePeer.consumers.set(source, consumer);
+  
+  // Create video element for remote peer (screen shares get their own large tile)
+  if (source === 'screen') {
+    addRemoteScreenShare(producerPeerId, consumer.track);
+  } else {
+    addRemoteVideo(producerPeerId, consumer.track, kind);
+  }
+  
+  // Producer may already be paused (e.g. peer joined muted)
+  setRemoteProducerPaused({ peerId: producerPeerId, source }, producerPaused);
+  
+  // Resume consumer
+  await request('resumeConsumer', { consumerId });
+  log('Consumer resumed:', consumerId);
+  
+  // Pull the layer matching the tile this video ends up in
+  await updatePreferredLayers();
+  
+  consumer.on('transportclose', () => {
+    log(`Consumer transport closed for peer ${producerPeerId}`);
+  });
+}
+
+/**
+ * Remove the media of a remote producer that was closed
+ */
+function removeClosedRemoteProducer(payload) {
+  const { peerId, producerId, source } = payload;
+  log(`Producer ${producerId} (${source}) of peer ${peerId} closed`);
+  
+  // One of ours, closed by a moderator
+  if (peerId === state.peerId) {
+    closeLocalProducerByServer(payload);
+    return;
+  }
+  
+  state.consumers.forEach((consumerData, consumerId) => {
+    if (consumerData.producerId === producerId) {
+      removeRemoteConsumer(consumerId);
+    }
+  });
+}
+
+/**
+ * Close one of our consumers and drop its track from the peer's tile
+ * (or the whole screen share tile). Safe to call for an unknown consumer.
+ */
+function removeRemoteConsumer(consumerId) {
+  const consumerData = state.consumers.get(consumerId);
+  if (!consumerData) return;
+  
+  const { consumer, producerPeerId, source } = consumerData;
+  log(`Removing consumer ${consumerId} (${source}) of peer ${producerPeerId}`);
+  
+  consumer.close();
+  state.consumers.delete(consumerId);
+  
+  const remotePeer = state.remotePeers.get(producerPeerId);
+  if (remotePeer) {
+    remotePeer.consumers.delete(source);
+    remotePeer.pausedSources.delete(source);
+    updateRemoteMediaStatus(remotePeer);
+  }
+  
+  if (source === 'screen') {
+    removeRemoteScreenShare(producerPeerId);
+  } else {
+    const videoElement = document.getElementById(`video-${producerPeerId}`);
+    if (videoElement && videoElement.srcObject) {
+      videoElement.srcObject.removeTrack(consumer.track);
+    }
+  }
+}
+
+/**
+ * Server tells us the producer behind one of our consumers paused or resumed
+ */
+function setConsumerProducerPaused(payload, paused) {
+  const consumerData = state.consumers.get(payload.consumerId);
+  if (!consumerData) return;
+  
+  setRemoteProducerPaused({
+    peerId: consumerData.producerPeerId,
+    source: consumerData.source
+  }, paused);
+}
+
+/**
+ * Track that a remote peer paused or resumed one of its producers
+ * and show it on their tile
+ */
+function setRemoteProducerPaused(payload, paused) {
+  const { peerId, source } = payload;
+  
+  // One of ours, paused by a moderator
+  if (peerId === state.peerId) {
+    setLocalProducerPausedByServer(payload, paused);
+    return;
+  }
+  
+  const remotePeer = state.remotePeers.get(peerId);
+  if (!remotePeer) return;
+  
+  if (paused) {
+    remotePeer.pausedSources.add(source);
+  } else {
+    remotePeer.pausedSources.delete(source);
   }
+  
+  log(`Peer ${peerId} ${paused ? 'paused' : 'resumed'} ${source}`);
+  updateRemoteMediaStatus(remotePeer);
 }
 
 /**
- * Confirm producer was created successfully on server
- * Server acknowledges it's receiving our media stream
+ * Show a remote peer's mute indicator and, with the camera off, an avatar placeholder
  */
-function confirmProducerCreated(payload) {
-  const { producerId, kind } = payload;
-  log(`${kind} producer confirmed:`, producerId);
+function updateRemoteMediaStatus(remotePeer) {
+  const videoContainer = document.getElementById(`peer-${remotePeer.id}`);
+  if (!videoContainer) return;
+  
+  const audioMuted = remotePeer.pausedSources.has('microphone');
+  const cameraPaused = remotePeer.pausedSources.has('camera');
+  
+  // Camera not forwarded to us because of last N
+  const notForwarded = state.forwardedPeerIds !== null &&
+    !state.forwardedPeerIds.includes(remotePeer.id) &&
+    remotePeer.consumers.has('camera');
+  
+  const videoOff = cameraPaused || notForwarded;
+  
+  const status = [];
+  if (audioMuted) status.push('🔇 Muted');
+  if (cameraPaused) status.push('📷 Off');
+  else if (notForwarded) status.push('⏸ Video paused');
+  
+  const statusEl = videoContainer.querySelector('.video-status');
+  statusEl.textContent = status.join(' ');
+  statusEl.style.display = status.length > 0 ? '' : 'none';
+  
+  videoContainer.classList.toggle('video-off', videoOff);
 }
 
 /**
- * Track new peer that joined the room
- * Adds peer to local state for future producer consumption
+ * Pin a remote peer in the spotlight (click on their tile); clicking again unpins
+ * While nobody is pinned the spotlight follows the active speaker
  */
-function trackNewPeerJoined(payload) {
-  const { peerId } = payload;
-  log('New peer joined:', peerId);
+async function toggleSpotlight(peerId) {
+  state.pinnedPeerId = state.pinnedPeerId === peerId ? null : peerId;
+  await updateSpotlight();
+}
+
+/**
+ * Server reports a new dominant speaker
+ */
+async function setActiveSpeaker(peerId) {
+  log('Active speaker:', peerId);
   
-  state.remotePeers.set(peerId, {
-    id: peerId,
-    consumers: new Map()
-  });
+  document.querySelectorAll('.video-container.active-speaker')
+    .forEach(container => container.classList.remove('active-speaker'));
   
-  updatePeerCount(state.remotePeers.size + 1);
-  showNotification(`New participant joined`, 'info');
+  const tile = getPeerTile(peerId);
+  if (tile) {
+    tile.classList.add('active-speaker');
+  }
+  
+  state.activeSpeakerPeerId = peerId;
+  await updateSpotlight();
 }
 
 /**
- * Request to consume newly available producer from another peer
- * Triggered when another peer starts sharing their camera/mic
+ * Show the pinned peer, or else the active remote speaker, in the large tile
  */
-async function requestToConsumeNewProducer(payload) {
-  const { peerId, producerId, kind } = payload;
-  log(`New ${kind} producer from peer ${peerId}:`, producerId);
+async function updateSpotlight() {
+  const activeSpeaker = state.activeSpeakerPeerId !== state.peerId ? state.activeSpeakerPeerId : null;
+  const spotlightPeerId = state.pinnedPeerId || activeSpeaker;
   
-  // Request to consume this producer
-  sendMessage('consume', {
-    producerId,
-    rtpCapabilities: state.device.rtpCapabilities
+  if (spotlightPeerId === state.spotlightPeerId) return;
+  
+  const previousPeerId = state.spotlightPeerId;
+  state.spotlightPeerId = spotlightPeerId;
+  
+  [previousPeerId, spotlightPeerId].forEach(id => {
+    const videoContainer = id && document.getElementById(`peer-${id}`);
+    if (videoContainer) {
+      videoContainer.classList.toggle('spotlight', id === spotlightPeerId);
+    }
   });
+  
+  await updatePreferredLayers();
 }
 
 /**
- * Start receiving and displaying remote media from consumed producer
- * Creates consumer, attaches to video element, and resumes playback
+ * Server changed which peers' cameras it forwards to us (last N)
+ * Peers left out get a placeholder until they speak again
  */
-async function startReceivingRemoteMedia(payload) {
-  const { consumerId, producerId, producerPeerId, kind, rtpParameters } = payload;
+function applyLastNSelection(payload) {
+  const { lastN, forwardedPeerIds } = payload;
+  log(`Last N (${lastN}) forwarded peers:`, forwardedPeerIds);
   
-  log(`Consuming ${kind} from peer ${producerPeerId}`);
+  state.forwardedPeerIds = forwardedPeerIds;
+  state.remotePeers.forEach(remotePeer => updateRemoteMediaStatus(remotePeer));
+}
+
+/**
+ * Highlight the tiles of everyone currently speaking
+ * @param {Array} levels - [{ peerId, volume }] of the loudest peers, empty on silence
+ */
+function updateSpeakingIndicators(levels) {
+  const speakingPeerIds = new Set(levels.map(({ peerId }) => peerId));
   
-  // Create consumer
-  const consumer = await state.recvTransport.consume({
-    id: consumerId,
-    producerId,
-    kind,
-    rtpParameters
-  });
+  document.querySelectorAll('.video-container.speaking')
+    .forEach(container => container.classList.remove('speaking'));
   
-  // Store consumer
-  state.consumers.set(consumerId, {
-    consumer,
-    producerId,
-    producerPeerId,
-    kind
+  speakingPeerIds.forEach(peerId => {
+    const tile = getPeerTile(peerId);
+    if (tile) {
+      tile.classList.add('speaking');
+    }
   });
-  
-  // Get or create remote peer info
-  if (!state.remotePeers.has(producerPeerId)) {
-    state.remotePeers.set(producerPeerId, {
-      id: producerPeerId,
-      consumers: new Map()
-    });
+}
+
+/**
+ * Tile of a peer: ours for our own peer id, otherwise the remote peer's
+ */
+function getPeerTile(peerId) {
+  if (peerId === state.peerId) {
+    return document.getElementById('localVideoContainer');
+  }
+  return document.getElementById(`peer-${peerId}`);
+}
+
+/**
+ * Pick the spatial layer each remote camera should be forwarded in
+ * Spotlighted tile and screen shares get the highest layer, other tiles
+ * get a lower one the more tiles share the grid
+ */
+function getPreferredSpatialLayer(consumerData) {
+  if (consumerData.source === 'screen' || consumerData.producerPeerId === state.spotlightPeerId) {
+    return MAX_SPATIAL_LAYER;
   }
   
-  const remotePeer = state.remotePeers.get(producerPeerId);
-  remotePeer.consumers.set(kind, consumer);
-  
-  // Create video element for remote peer
-  addRemoteVideo(producerPeerId, consumer.track, kind);
-  
-  // Resume consumer
-  sendMessage('resumeConsumer', { consumerId });
+  if (state.spotlightPeerId) {
+    return 0;
+  }
   
-  consumer.on('transportclose', () => {
-    log(`Consumer transport closed for peer ${producerPeerId}`);
-  });
+  const tileCount = state.remotePeers.size;
+  if (tileCount <= 2) return MAX_SPATIAL_LAYER;
+  if (tileCount <= 5) return 1;
+  return 0;
+}
+
+/**
+ * Ask the server to forward the preferred layer of every layered video consumer
+ * Only consumers whose preferred layer changed are updated
+ */
+async function updatePreferredLayers() {
+  for (const [consumerId, consumerData] of state.consumers) {
+    if (consumerData.kind !== 'video') continue;
+    if (consumerData.type !== 'simulcast' && consumerData.type !== 'svc') continue;
+    
+    const spatialLayer = getPreferredSpatialLayer(consumerData);
+    if (spatialLayer === consumerData.preferredSpatialLayer) continue;
+    
+    consumerData.preferredSpatialLayer = spatialLayer;
+    
+    try {
+      await request('setConsumerPreferredLayers', { consumerId, spatialLayer });
+      log(`Consumer ${consumerId} set to spatial layer ${spatialLayer}`);
+    } catch (error) {
+      console.error(`Error setting layers for consumer ${consumerId}:`, error);
+    }
+  }
 }
 
 /**
@@ -568,14 +2575,107 @@ function cleanupDisconnectedPeer(payload) {
   const { peerId } = payload;
   log('Peer left:', peerId);
   
+  const remotePeer = state.remotePeers.get(peerId);
+  
   // Remove video element
   removeRemoteVideo(peerId);
   
   // Clean up state
   state.remotePeers.delete(peerId);
+  updateChatRecipients();
+  if (state.pinnedPeerId === peerId) {
+    state.pinnedPeerId = null;
+  }
+  if (state.activeSpeakerPeerId === peerId) {
+    state.activeSpeakerPeerId = null;
+  }
   
   updatePeerCount(state.remotePeers.size + 1);
-  showNotification('A participant left', 'info');
+  updateSpotlight();
+  updatePreferredLayers();
+  showNotification(`${remotePeer ? remotePeer.displayName : 'A participant'} left`, 'info');
+}
+
+/**
+ * Remove media of a peer whose server-side worker crashed
+ * The peer stays in the room; its media comes back through 'newProducer'
+ */
+function clearRestartingPeerMedia(payload) {
+  const { peerId } = payload;
+  log('Peer media restarting:', peerId);
+  
+  state.consumers.forEach(({ consumer, producerPeerId }, consumerId) => {
+    if (producerPeerId === peerId) {
+      consumer.close();
+      state.consumers.delete(consumerId);
+    }
+  });
+  
+  const remotePeer = state.remotePeers.get(peerId);
+  if (remotePeer) {
+    remotePeer.consumers.clear();
+  }
+  
+  removeRemoteVideo(peerId);
+}
+
+/**
+ * Rebuild transports and producers after our server-side router was recreated
+ * Happens when the mediasoup worker hosting our router crashed
+ */
+async function rebuildMediaAfterRouterRestart(payload) {
+  const { existingProducers } = payload;
+  
+  log('Router restarted, rebuilding media...');
+  showLoading('Reconnecting media...');
+  
+  // Everything tied to the old router is gone on the server
+  state.consumers.forEach(({ consumer }) => consumer.close());
+  state.consumers.clear();
+  state.producers.clear();
+  state.dataConsumers.clear();
+  
+  // Our data channels are reopened on the new send transport
+  const dataChannelLabels = Array.from(state.dataProducers.keys());
+  state.dataProducers.clear();
+  updateScreenShareButton(false);
+  
+  if (state.sendTransport) {
+    state.sendTransport.close();
+    state.sendTransport = null;
+  }
+  
+  if (state.recvTransport) {
+    state.recvTransport.close();
+    state.recvTransport = null;
+  }
+  
+  state.remotePeers.forEach((peer) => {
+    peer.consumers.clear();
+    removeRemoteVideo(peer.id);
+  });
+  
+  state.pendingConsumers = existingProducers || [];
+  
+  // Viewers only receive media
+  if (state.role === 'viewer') {
+    await createTransport('recv');
+    return;
+  }
+  
+  // Closing the producers stopped our tracks, so capture them again
+  await getUserMedia();
+  state.isVideoEnabled = true;
+  state.isAudioEnabled = true;
+  updateVideoButton(true);
+  updateAudioButton(true);
+  
+  // Same flow as joining: send transport, produce, recv transport, consume
+  await createTransport('send');
+  
+  for (const label of dataChannelLabels) {
+    await openDataChannel(label).catch(error => console.error(`Error reopening data channel '${label}':`, error));
+  }
 }
 
 /**
@@ -592,13 +2692,71 @@ function addRemoteVideo(peerId, track, kind) {
     
     videoContainer.innerHTML = `
       <video id="video-${peerId}" autoplay playsinline></video>
+      <div class="video-placeholder">
+        <img class="placeholder-avatar" alt="" style="display: none;">
+        <span class="placeholder-initial"></span>
+      </div>
       <div class="video-overlay">
-        <span class="participant-name">Participant ${peerId.slice(-4)}</span>
+        <span class="participant-info">
+          <img class="participant-avatar" alt="" style="display: none;">
+          <span class="participant-name"></span>
+          <span class="participant-role"></span>
+        </span>
         <span class="video-status"></span>
       </div>
+      <div class="moderator-controls">
+        <button class="moderator-btn" data-action="muteAudio" title="Mute microphone">🔇</button>
+        <button class="moderator-btn" data-action="askToUnmute" title="Ask to unmute">✋</button>
+        <button class="moderator-btn" data-action="muteVideo" title="Turn off camera">📷</button>
+        <button class="moderator-btn" data-action="stopMedia" title="Stop all media">⏹️</button>
+        <button class="moderator-btn" data-action="kick" title="Remove from room">⛔</button>
+        <button class="moderator-btn host-only" data-action="ban" title="Ban from room. ${describeBanScope()}">🚫</button>
+        <select class="role-select host-only" title="Role">
+          <option value="host">Host</option>
+          <option value="moderator">Moderator</option>
+          <option value="participant">Participant</option>
+          <option value="viewer">Viewer</option>
+        </select>
+      </div>
     `;
     
     document.getElementById('videoGrid').appendChild(videoContainer);
+    
+    // Moderator controls (shown by CSS to hosts and moderators); clicks must
+    // not reach the tile's spotlight handler
+    const moderatorControls = videoContainer.querySelector('.moderator-controls');
+    moderatorControls.addEventListener('click', (e) => e.stopPropagation());
+    
+    // Files dropped on a tile go to that peer only
+    videoContainer.addEventListener('dragover', allowFileDrop);
+    videoContainer.addEventListener('dragleave', () => videoContainer.classList.remove('drop-target'));
+    videoContainer.addEventListener('drop', (e) => {
+      e.preventDefault();
+      videoContainer.classList.remove('drop-target');
+      sendFiles(e.dataTransfer.files, peerId);
+    });
+    moderatorControls.querySelectorAll('.moderator-btn').forEach(btn => {
+      btn.addEventListener('click', () => moderatePeer(peerId, btn.dataset.action));
+    });
+    moderatorControls.querySelector('.role-select').addEventListener('change', (e) => {
+      changePeerRole(peerId, e.target.value);
+    });
+    
+    // Click a tile to spotlight it
+    videoContainer.addEventListener('click', () => toggleSpotlight(peerId));
+    
+    if (peerId === state.spotlightPeerId) {
+      videoContainer.classList.add('spotlight');
+    }
+    if (peerId === state.activeSpeakerPeerId) {
+      videoContainer.classList.add('active-speaker');
+    }
+    
+    const remotePeer = state.remotePeers.get(peerId);
+    if (remotePeer) {
+      updateRemotePeerTile(remotePeer);
+      updateRemoteMediaStatus(remotePeer);
+    }
   }
   
   const videoElement = document.getElementById(`video-${peerId}`);
@@ -621,53 +2779,288 @@ function addRemoteVideo(peerId, track, kind) {
 }
 
 /**
- * Remove remote video element
+ * Show a remote peer's name and avatar on their tile (if the tile exists)
+ * Names come from other users, so they're set as text, never as HTML
+ */
+function updateRemotePeerTile(remotePeer) {
+  const videoContainer = document.getElementById(`peer-${remotePeer.id}`);
+  if (!videoContainer) return;
+  
+  videoContainer.querySelector('.participant-name').textContent = remotePeer.displayName;
+  
+  // Badge for anyone who isn't a regular participant
+  const roleLabels = { host: 'Host', moderator: 'Moderator', viewer: 'Viewer' };
+  videoContainer.querySelector('.participant-role').textContent = roleLabels[remotePeer.role] || '';
+  videoContainer.querySelector('.role-select').value = remotePeer.role;
+  videoContainer.classList.toggle('protected', !canModeratePeer(remotePeer));
+  
+  const screenContainer = document.getElementById(`screen-${remotePeer.id}`);
+  if (screenContainer) {
+    screenContainer.querySelector('.participant-name').textContent = `${remotePeer.displayName}'s screen`;
+  }
+  
+  videoContainer.querySelector('.placeholder-initial').textContent =
+    remotePeer.displayName.charAt(0).toUpperCase();
+  
+  const { avatarUrl } = remotePeer.metadata;
+  const hasAvatar = typeof avatarUrl === 'string' && /^https?:\/\//.test(avatarUrl);
+  
+  videoContainer.querySelectorAll('.participant-avatar, .placeholder-avatar').forEach(avatar => {
+    if (hasAvatar) {
+      avatar.src = avatarUrl;
+      avatar.style.display = '';
+    } else {
+      avatar.removeAttribute('src');
+      avatar.style.display = 'none';
+    }
+  });
+  
+  const placeholderInitial = videoContainer.querySelector('.placeholder-initial');
+  placeholderInitial.style.display = hasAvatar ? 'none' : '';
+}
+
+/**
+ * Add a remote screen share in a dedicated large tile at the top of the grid
+ */
+function addRemoteScreenShare(peerId, track) {
+  let screenContainer = document.getElementById(`screen-${peerId}`);
+  
+  if (!screenContainer) {
+    screenContainer = document.createElement('div');
+    screenContainer.id = `screen-${peerId}`;
+    screenContainer.className = 'video-container screen-share';
+    
+    screenContainer.innerHTML = `
+      <video autoplay playsinline muted></video>
+      <div class="video-overlay">
+        <span class="participant-name"></span>
+        <span class="video-status">Screen</span>
+      </div>
+    `;
+    
+    const remotePeer = state.remotePeers.get(peerId);
+    screenContainer.querySelector('.participant-name').textContent =
+      `${remotePeer ? remotePeer.displayName : 'Participant'}'s screen`;
+    
+    const videoGrid = document.getElementById('videoGrid');
+    videoGrid.insertBefore(screenContainer, videoGrid.firstChild);
+  }
+  
+  screenContainer.querySelector('video').srcObject = new MediaStream([track]);
+  log(`Added screen share for peer ${peerId}`);
+}
+
+/**
+ * Remove remote screen share tile
+ */
+function removeRemoteScreenShare(peerId) {
+  const screenContainer = document.getElementById(`screen-${peerId}`);
+  if (screenContainer) {
+    screenContainer.remove();
+  }
+}
+
+/**
+ * Remove remote video element (and the peer's screen share, if any)
  */
 function removeRemoteVideo(peerId) {
   const videoContainer = document.getElementById(`peer-${peerId}`);
   if (videoContainer) {
     videoContainer.remove();
   }
+  
+  removeRemoteScreenShare(peerId);
+}
+
+/**
+ * Show or hide the chat panel
+ */
+function toggleChat() {
+  const chatPanel = document.getElementById('chatPanel');
+  const open = chatPanel.style.display === 'none';
+  
+  chatPanel.style.display = open ? 'flex' : 'none';
+  
+  if (open) {
+    setUnreadChatMessages(0);
+    document.getElementById('chatInput').focus();
+  }
+}
+
+/**
+ * Send the typed chat message to everyone or to the selected participant
+ */
+async function sendChatMessage(e) {
+  e.preventDefault();
+  
+  const chatInput = document.getElementById('chatInput');
+  const text = chatInput.value.trim();
+  if (!text) return;
+  
+  const toPeerId = document.getElementById('chatRecipient').value || undefined;
+  
+  try {
+    const message = await request('chatMessage', { text, toPeerId });
+    chatInput.value = '';
+    addChatMessage(message);
+  } catch (error) {
+    console.error('Error sending chat message:', error);
+    showNotification(`Failed to send message: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Replace the chat with the room's history (e.g. right after joining)
+ */
+function showChatHistory(messages) {
+  document.getElementById('chatMessages').replaceChildren();
+  messages.forEach(message => addChatMessage(message, false));
+  setUnreadChatMessages(0);
+}
+
+/**
+ * Add a chat message to the chat panel
+ * Everything comes from other users, so it's set as text, never as HTML
+ * @param {boolean} countUnread - Count it as unread while the panel is closed
+ */
+function addChatMessage(message, countUnread = true) {
+  const { peerId, displayName, text, timestamp, toPeerId } = message;
+  const isOwn = peerId === state.peerId;
+  
+  const item = document.createElement('div');
+  item.className = 'chat-message';
+  item.classList.toggle('own', isOwn);
+  item.classList.toggle('direct', !!toPeerId);
+  
+  const header = document.createElement('div');
+  header.className = 'chat-message-header';
+  
+  const sender = document.createElement('span');
+  sender.className = 'chat-sender';
+  if (toPeerId) {
+    const recipient = state.remotePeers.get(toPeerId);
+    sender.textContent = isOwn
+      ? `You → ${recipient ? recipient.displayName : 'participant'} (private)`
+      : `${displayName} → You (private)`;
+  } else {
+    sender.textContent = isOwn ? 'You' : displayName;
+  }
+  
+  const time = document.createElement('span');
+  time.className = 'chat-time';
+  time.textContent = new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  
+  const body = document.createElement('div');
+  body.className = 'chat-text';
+  body.textContent = text;
+  
+  header.append(sender, time);
+  item.append(header, body);
+  
+  const chatMessages = document.getElementById('chatMessages');
+  chatMessages.appendChild(item);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+  
+  if (countUnread && !isOwn && document.getElementById('chatPanel').style.display === 'none') {
+    setUnreadChatMessages(state.unreadChatMessages + 1);
+  }
+}
+
+function setUnreadChatMessages(count) {
+  state.unreadChatMessages = count;
+  document.querySelector('#chatBtn .label').textContent = count > 0 ? `Chat (${count})` : 'Chat';
+}
+
+/**
+ * Keep the chat recipient list in sync with the participants
+ */
+function updateChatRecipients() {
+  const select = document.getElementById('chatRecipient');
+  const selected = select.value;
+  
+  const everyone = document.createElement('option');
+  everyone.value = '';
+  everyone.textContent = 'Everyone';
+  
+  const options = Array.from(state.remotePeers.values()).map(remotePeer => {
+    const option = document.createElement('option');
+    option.value = remotePeer.id;
+    option.textContent = remotePeer.displayName;
+    return option;
+  });
+  
+  select.replaceChildren(everyone, ...options);
+  select.value = state.remotePeers.has(selected) ? selected : '';
 }
 
 /**
  * Toggle video on/off
  */
-function toggleVideo() {
+async function toggleVideo() {
   const videoProducer = state.producers.get('video');
   if (!videoProducer) return;
   
   state.isVideoEnabled = !state.isVideoEnabled;
+  updateVideoButton(state.isVideoEnabled);
   
-  if (state.isVideoEnabled) {
-    videoProducer.resume();
-    updateVideoButton(true);
-  } else {
-    videoProducer.pause();
-    updateVideoButton(false);
+  try {
+    await setLocalProducerPaused(videoProducer, !state.isVideoEnabled);
+    log('Video toggled:', state.isVideoEnabled);
+  } catch (error) {
+    console.error('Error toggling video:', error);
+    showNotification(`Failed to toggle video: ${error.message}`, 'error');
+    
+    // Server refused: go back to the previous state
+    state.isVideoEnabled = !state.isVideoEnabled;
+    updateVideoButton(state.isVideoEnabled);
+    setLocalProducerPaused(videoProducer, !state.isVideoEnabled, false);
   }
-  
-  log('Video toggled:', state.isVideoEnabled);
 }
 
 /**
  * Toggle audio on/off
  */
-function toggleAudio() {
+async function toggleAudio() {
   const audioProducer = state.producers.get('audio');
   if (!audioProducer) return;
   
+  if (!state.isAudioEnabled && state.audioLocked) {
+    showNotification('A host muted you. You can unmute when they ask you to.', 'warning');
+    return;
+  }
+  
   state.isAudioEnabled = !state.isAudioEnabled;
+  updateAudioButton(state.isAudioEnabled);
   
-  if (state.isAudioEnabled) {
-    audioProducer.resume();
-    updateAudioButton(true);
+  try {
+    await setLocalProducerPaused(audioProducer, !state.isAudioEnabled);
+    log('Audio toggled:', state.isAudioEnabled);
+  } catch (error) {
+    console.error('Error toggling audio:', error);
+    showNotification(`Failed to toggle audio: ${error.message}`, 'error');
+    
+    // Server refused: go back to the previous state
+    state.isAudioEnabled = !state.isAudioEnabled;
+    updateAudioButton(state.isAudioEnabled);
+    setLocalProducerPaused(audioProducer, !state.isAudioEnabled, false);
+  }
+}
+
+/**
+ * Pause or resume a local producer, and its server-side producer so
+ * other participants are told about it
+ * @param {boolean} notifyServer - false to only change the local producer
+ */
+async function setLocalProducerPaused(producer, paused, notifyServer = true) {
+  if (paused) {
+    producer.pause();
   } else {
-    audioProducer.pause();
-    updateAudioButton(false);
+    producer.resume();
   }
   
-  log('Audio toggled:', state.isAudioEnabled);
+  if (notifyServer) {
+    await request(paused ? 'pauseProducer' : 'resumeProducer', { producerId: producer.id });
+  }
 }
 
 /**
@@ -679,11 +3072,21 @@ function leaveRoom() {
   // Close producers
   state.producers.forEach(producer => producer.close());
   state.producers.clear();
+  updateScreenShareButton(false);
   
   // Close consumers
   state.consumers.forEach(({ consumer }) => consumer.close());
   state.consumers.clear();
   
+  // Data channels close with their transports
+  state.dataProducers.clear();
+  state.dataConsumers.clear();
+  state.fileTransfers.forEach(transfer => {
+    transfer.ended = true;
+    if (transfer.resume) transfer.resume();
+  });
+  state.fileTransfers.clear();
+  
   // Close transports
   if (state.sendTransport) {
     state.sendTransport.close();
@@ -696,20 +3099,30 @@ function leaveRoom() {
   }
   
   // Stop local stream
-  if (state.localStream) {
-    state.localStream.getTracks().forEach(track => track.stop());
-    state.localStream = null;
-  }
+  releaseLocalMedia();
   
   // Clear remote peers
   state.remotePeers.forEach((peer) => {
     removeRemoteVideo(peer.id);
   });
   state.remotePeers.clear();
+  state.spotlightPeerId = null;
+  state.pinnedPeerId = null;
+  state.activeSpeakerPeerId = null;
+  state.forwardedPeerIds = null;
+  document.getElementById('localVideoContainer').classList.remove('speaking', 'active-speaker');
   
   // Reset state
   state.roomId = null;
+  setLocalRole(null);
+  state.audioLocked = false;
+  showChatHistory([]);
+  updateChatRecipients();
+  document.getElementById('chatPanel').style.display = 'none';
+  state.passwordProtected = false;
+  state.lobbyPeers.forEach((lobbyPeer, peerId) => removeLobbyRequest(peerId));
   state.device = null;
+  document.querySelector('#localVideoContainer .participant-name').textContent = 'You';
   
   // Update UI
   document.getElementById('conferenceSection').style.display = 'none';
@@ -758,6 +3171,19 @@ function updateVideoButton(enabled) {
   }
 }
 
+function updateScreenShareButton(sharing) {
+  const btn = document.getElementById('shareScreenBtn');
+  const label = btn.querySelector('.label');
+  
+  if (sharing) {
+    btn.classList.add('active');
+    label.textContent = 'Stop Sharing';
+  } else {
+    btn.classList.remove('active');
+    label.textContent = 'Share Screen';
+  }
+}
+
 function updateAudioButton(enabled) {
   const btn = document.getElementById('toggleAudioBtn');
   const label = btn.querySelector('.label');
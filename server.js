@@ -3,17 +3,54 @@
  * Main server file that initializes mediasoup, HTTP server, and WebSocket signaling
  */
 
+const { spawn } = require('child_process');
+const crypto = require('crypto');
 const express = require('express');
+const fs = require('fs');
 const http = require('http');
+const path = require('path');
+const { promisify } = require('util');
 const WebSocket = require('ws');
+const jwt = require('jsonwebtoken');
 const mediasoup = require('mediasoup');
+const sdpTransform = require('sdp-transform');
 const config = require('./config');
 
 // State management
-let mediasoupWorker = null;
-let mediasoupRouter = null;
+const mediasoupWorkers = []; // Pool of mediasoup workers and their load
 const rooms = new Map(); // Store rooms and their participants
+const pendingRooms = new Map(); // Rooms whose router is still being created
 const peers = new Map(); // Store peer connections
+let authKey = null; // Secret (HS256) or public key (RS256) used to verify access tokens
+let inviteSecret = null; // Secret used to sign room invite links
+let routerRtpCapabilities = null; // Same for every router (they share the codec list)
+const recordingPorts = new Set(); // Local RTP ports taken by recorder processes
+
+const scrypt = promisify(crypto.scrypt);
+
+// Media sources a producer can be tagged with (appData.source)
+const PRODUCER_SOURCES = ['camera', 'microphone', 'screen'];
+
+// Peer roles, from most to least privileged
+// Hosts manage the room, moderators can mute, stop and kick participants,
+// viewers only receive media
+const ROLES = ['host', 'moderator', 'participant', 'viewer'];
+
+// Wrong room passwords a connection may try before joinRoom stops accepting passwords
+const MAX_PASSWORD_ATTEMPTS = 5;
+
+// Longest chat message accepted (characters)
+const MAX_CHAT_MESSAGE_LENGTH = 2000;
+
+// Limits for client-provided peer information
+const MAX_DISPLAY_NAME_LENGTH = 50;
+const MAX_METADATA_SIZE = 1024; // Serialized JSON length
+
+// Per-browser id sent by the client on join (ban key without authentication)
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+// Error codes of WHIP publishers the room refuses (answered with 403)
+const WHIP_REFUSED_CODES = ['banned', 'passwordRequired', 'lobby'];
 
 /**
  * Initialize Express and HTTP server
@@ -26,7 +63,176 @@ async function createHttpServer() {
   
   // Health check endpoint
   app.get('/health', (req, res) => {
-    res.json({ status: 'ok', workers: mediasoupWorker ? 1 : 0 });
+    res.json({ status: 'ok', workers: mediasoupWorkers.length, rooms: rooms.size });
+  });
+  
+  // Lets the client know whether it needs an access token before connecting
+  app.get('/auth/status', (req, res) => {
+    res.json({ required: config.auth.enabled });
+  });
+  
+  // Admin REST API
+  app.use('/api', express.json(), requireAdminKey);
+  
+  // Set (or clear with an empty password) a room password, creating the room if needed
+  app.put('/api/rooms/:roomId/password', async (req, res) => {
+    try {
+      const room = await getOrCreateRoom(req.params.roomId);
+      scheduleRoomClose(room);
+      await setRoomPassword(room, req.body.password);
+      res.json({ roomId: room.id, passwordProtected: !!room.password });
+    } catch (error) {
+      console.error('[API] Error setting room password:', error);
+      res.status(400).json({ error: error.message });
+    }
+  });
+  
+  // Turn a room's lobby on or off, creating the room if needed
+  app.put('/api/rooms/:roomId/lobby', async (req, res) => {
+    try {
+      const room = await getOrCreateRoom(req.params.roomId);
+      scheduleRoomClose(room);
+      await setRoomLobbyEnabled(room, req.body.enabled);
+      res.json({ roomId: room.id, lobbyEnabled: room.lobbyEnabled });
+    } catch (error) {
+      console.error('[API] Error setting room lobby:', error);
+      res.status(400).json({ error: error.message });
+    }
+  });
+  
+  // Create an invite link for a room
+  app.post('/api/rooms/:roomId/invites', (req, res) => {
+    try {
+      const invite = createRoomInvite(req.params.roomId, req.body.expiresIn);
+      res.json({ ...invite, url: buildInviteUrl(req, invite) });
+    } catch (error) {
+      console.error('[API] Error creating invite:', error);
+      res.status(400).json({ error: error.message });
+    }
+  });
+  
+  // List a room's producers (to pick one for an RTP capture)
+  app.get('/api/rooms/:roomId/producers', (req, res) => {
+    const room = rooms.get(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    
+    const producers = [];
+    room.peers.forEach(peerId => {
+      const peer = peers.get(peerId);
+      if (!peer) return;
+      
+      peer.producers.forEach(({ producer, kind, source }) => {
+        producers.push({
+          peerId: peer.id,
+          displayName: peer.displayName,
+          producerId: producer.id,
+          kind,
+          source,
+          paused: producer.paused
+        });
+      });
+    });
+    
+    res.json({ roomId: room.id, producers });
+  });
+  
+  // Start capturing a producer's raw RTP/RTCP to a pcap or rtpdump file
+  app.post('/api/rooms/:roomId/captures', async (req, res) => {
+    const room = rooms.get(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    
+    try {
+      const capture = await startRtpCapture(room, req.body);
+      res.status(201).json(getCaptureInfo(capture));
+    } catch (error) {
+      console.error('[API] Error starting RTP capture:', error);
+      res.status(400).json({ error: error.message });
+    }
+  });
+  
+  // List a room's RTP captures
+  app.get('/api/rooms/:roomId/captures', (req, res) => {
+    const room = rooms.get(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    
+    res.json({ roomId: room.id, captures: Array.from(room.captures.values()).map(getCaptureInfo) });
+  });
+  
+  // Create a plain RTP input (e.g. FFmpeg playing a file) published into the room
+  app.post('/api/rooms/:roomId/rtp-ingests', async (req, res) => {
+    let room;
+    try {
+      room = await getOrCreateRoom(req.params.roomId);
+      const ingest = await createRtpIngest(room, req.body, req.socket.remoteAddress);
+      res.status(201).json(ingest);
+    } catch (error) {
+      if (room) {
+        closeRoomIfUnused(room);
+      }
+      console.error('[API] Error creating RTP ingest:', error);
+      res.status(400).json({ error: error.message });
+    }
+  });
+  
+  // List a room's RTP ingests
+  app.get('/api/rooms/:roomId/rtp-ingests', (req, res) => {
+    const room = rooms.get(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    
+    const ingests = Array.from(room.peers)
+      .map(peerId => peers.get(peerId))
+      .filter(peer => peer && peer.ingest === 'rtp')
+      .map(getRtpIngestInfo);
+    
+    res.json({ roomId: room.id, ingests });
+  });
+  
+  // Stop an RTP ingest and remove it from the room
+  app.delete('/api/rooms/:roomId/rtp-ingests/:ingestId', (req, res) => {
+    const peer = peers.get(req.params.ingestId);
+    if (!peer || peer.ingest !== 'rtp' || peer.roomId !== req.params.roomId) {
+      return res.status(404).json({ error: 'RTP ingest not found' });
+    }
+    
+    console.log(`[RTP Ingest] Removing ${peer.id}`);
+    handlePeerDisconnection(peer.id);
+    res.json({ ingestId: peer.id, closed: true });
+  });
+  
+  // Stop an RTP capture; the reply is sent once its file is complete
+  app.delete('/api/rooms/:roomId/captures/:captureId', async (req, res) => {
+    const room = rooms.get(req.params.roomId);
+    const capture = room && room.captures.get(req.params.captureId);
+    if (!capture) {
+      return res.status(404).json({ error: 'Capture not found' });
+    }
+    
+    await stopRtpCapture(room, capture, 'stopped');
+    res.json(getCaptureInfo(capture));
+  });
+  
+  // WHIP ingest: OBS and other WHIP encoders publish into a room
+  // (https://www.rfc-editor.org/rfc/rfc9725)
+  app.use(['/whip', '/whep'], allowWhipWhepCors);
+  app.post('/whip/:roomId', express.text({ type: 'application/sdp' }), handleWhipPublish);
+  app.delete('/whip/:roomId/:resourceId', handleWhipDelete);
+  
+  // WHEP playback: players and dashboards watch a producer, or a peer's
+  // microphone and camera (?peerId=..., &source=screen for their screen share)
+  app.post('/whep/:roomId/:producerId?', express.text({ type: 'application/sdp' }), handleWhepPlay);
+  app.delete('/whep/:roomId/sessions/:sessionId', handleWhepDelete);
+  
+  // ICE-lite server: all candidates are in the answer, nothing to trickle
+  app.patch(['/whip/:roomId/:resourceId', '/whep/:roomId/sessions/:sessionId'], (req, res) => {
+    res.set('Allow', 'POST, DELETE, OPTIONS').status(405).end();
   });
   
   const httpServer = http.createServer(app);
@@ -48,54 +254,525 @@ async function createMediasoupWorker() {
     logTags: config.mediasoup.worker.logTags
   });
   
+  // Track how busy this worker is so rooms can be placed on the least-loaded one
+  const workerData = {
+    worker,
+    routerCount: 0, // Routers currently living on this worker
+    cpuTime: 0,     // Total CPU time (ms) at the last resource usage poll
+    load: 0         // CPU time (ms) spent during the last poll interval
+  };
+  
   // Log worker resource usage periodically
-  setInterval(async () => {
-    const usage = await worker.getResourceUsage();
-    console.log('[Worker] Resource usage:', usage);
+  const usageInterval = setInterval(async () => {
+    try {
+      const usage = await worker.getResourceUsage();
+      const cpuTime = usage.ru_utime + usage.ru_stime;
+      
+      workerData.load = cpuTime - workerData.cpuTime;
+      workerData.cpuTime = cpuTime;
+      
+      console.log(`[Worker ${worker.pid}] Resource usage:`, usage);
+    } catch (error) {
+      console.error(`[Worker ${worker.pid}] Failed to get resource usage:`, error);
+    }
   }, 30000); // Every 30 seconds
   
-  // Handle worker death
+  // Handle worker death: replace the worker and move its rooms elsewhere
   worker.on('died', (error) => {
-    console.error('[Worker] Died unexpectedly:', error);
-    process.exit(1);
+    clearInterval(usageInterval);
+    console.error(`[Worker ${worker.pid}] Died unexpectedly:`, error);
+    
+    recoverFromWorkerDeath(workerData).catch((recoveryError) => {
+      console.error('[Worker] Recovery failed:', recoveryError);
+      process.exit(1);
+    });
   });
   
   console.log('[Server] mediasoup Worker created (pid:', worker.pid, ')');
   
-  return worker;
+  return workerData;
+}
+
+/**
+ * Create the pool of mediasoup Workers
+ * Spawns config.mediasoup.numWorkers workers so rooms can use several CPU cores
+ */
+async function createMediasoupWorkers() {
+  const { numWorkers } = config.mediasoup;
+  
+  for (let i = 0; i < numWorkers; i++) {
+    mediasoupWorkers.push(await createMediasoupWorker());
+  }
+  
+  console.log(`[Server] ${mediasoupWorkers.length} mediasoup Worker(s) running`);
+}
+
+/**
+ * Pick the least-loaded Worker from the pool
+ * Uses CPU time from the last resource usage poll, then router count as tie-breaker
+ * @param {Array} excludedWorkers - Workers to skip if any other worker is available
+ */
+function getLeastLoadedWorker(excludedWorkers = []) {
+  if (mediasoupWorkers.length === 0) {
+    throw new Error('No mediasoup worker available');
+  }
+  
+  const candidates = mediasoupWorkers.filter(w => !excludedWorkers.includes(w));
+  
+  return (candidates.length > 0 ? candidates : mediasoupWorkers).reduce((best, candidate) => {
+    if (candidate.load !== best.load) {
+      return candidate.load < best.load ? candidate : best;
+    }
+    return candidate.routerCount < best.routerCount ? candidate : best;
+  });
 }
 
 /**
  * Create mediasoup Router
  * Router handles media streams between participants
+ * Each room gets its own router on the least-loaded worker
+ * @param {Object} workerData - Pool entry of the worker to create the router on
  */
-async function createMediasoupRouter() {
+async function createMediasoupRouter(workerData = getLeastLoadedWorker()) {
   console.log('[Server] Creating mediasoup Router...');
   
-  const router = await mediasoupWorker.createRouter({
-    mediaCodecs: config.mediasoup.router.mediaCodecs
+  const router = await workerData.worker.createRouter({
+    mediaCodecs: config.mediasoup.router.mediaCodecs,
+    appData: { workerData }
   });
   
-  console.log('[Server] mediasoup Router created (id:', router.id, ')');
+  workerData.routerCount++;
+  routerRtpCapabilities = routerRtpCapabilities || router.rtpCapabilities;
+  router.observer.on('close', () => {
+    workerData.routerCount--;
+  });
+  
+  console.log(`[Server] mediasoup Router created (id: ${router.id}, worker pid: ${workerData.worker.pid})`);
+  
+  return router;
+}
+
+/**
+ * Get an existing room or create it along with its router
+ * Concurrent callers for the same new room share a single router creation
+ * @param {string} roomId - Room identifier
+ */
+async function getOrCreateRoom(roomId) {
+  if (rooms.has(roomId)) {
+    return rooms.get(roomId);
+  }
+  
+  if (!pendingRooms.has(roomId)) {
+    const roomPromise = createMediasoupRouter()
+      .then(async (router) => {
+        const room = {
+          id: roomId,
+          router,                      // Primary router, created with the room
+          routers: [],                 // All routers of the room (primary first)
+          pipedProducers: new Map(),   // 'producerId:routerId' -> pipeToRouter promise
+          audioLevelObserver: null,    // Reports audio levels (on the primary router)
+          activeSpeakerObserver: null, // Reports the dominant speaker (on the primary router)
+          activeSpeakerPeerId: null,
+          speakerHistory: [],          // Peer ids, most recent speaker first (for last N)
+          lastN: config.room.lastN,    // Camera videos forwarded to each peer (0 = all)
+          password: null,              // { salt, hash } when the room is password protected
+          bans: new Set(),             // Ban keys (see getBanKey) refused until the room closes
+          lobbyEnabled: config.room.lobby, // Hold new peers until a host admits them
+          lobby: new Set(),            // Peer ids waiting to be admitted
+          muteOnJoin: config.room.muteOnJoin, // Host-lock the microphone of new peers
+          chatHistory: [],             // Latest room-wide chat messages (oldest first)
+          fileTransfers: new Map(),    // Ongoing file transfers, by transfer id
+          fileBytes: 0,                // Bytes of all files offered in the room so far
+          recording: null,             // Ongoing recording (see startRoomRecording)
+          captures: new Map(),         // Raw RTP captures (see startRtpCapture), by capture id
+          whepSessions: new Map(),     // WHEP playback sessions, by session id
+          pendingJoins: 0,             // Joins between getOrCreateRoom and room.peers.add
+          closeTimer: null,            // Pending close of a room set up through the admin API
+          peers: new Set()
+        };
+        addRouterToRoom(room, router);
+        
+        try {
+          await createRoomObservers(room);
+        } catch (error) {
+          // The room never makes it into rooms, so nothing else would close its router
+          router.close();
+          throw error;
+        }
+        
+        rooms.set(roomId, room);
+        console.log('[Room] Created new room:', roomId);
+        return room;
+      })
+      .finally(() => {
+        pendingRooms.delete(roomId);
+      });
+    
+    pendingRooms.set(roomId, roomPromise);
+  }
+  
+  return pendingRooms.get(roomId);
+}
+
+/**
+ * Run the part of a join that awaits before the peer is in room.peers
+ * The room counts as in use meanwhile, and is closed afterwards if the
+ * join failed and nobody else is in it
+ * @param {Object} room - Room being joined
+ * @param {Function} join - Async join steps
+ */
+async function runRoomJoin(room, join) {
+  room.pendingJoins++;
+  
+  try {
+    return await join();
+  } finally {
+    room.pendingJoins--;
+    closeRoomIfUnused(room);
+  }
+}
+
+/**
+ * Close a room, its routers and its recording once nothing uses it:
+ * no peers (ingest peers included), nobody in the lobby and no join in progress
+ * Rooms set up through the admin API stay until their close timer fires
+ */
+function closeRoomIfUnused(room) {
+  if (rooms.get(room.id) !== room || room.closeTimer) {
+    return;
+  }
+  
+  if (room.peers.size > 0 || room.lobby.size > 0 || room.pendingJoins > 0) {
+    return;
+  }
+  
+  if (room.recording) {
+    stopRoomRecording(room).catch((error) => {
+      console.error(`[Recording] Failed to stop recording of room ${room.id}:`, error);
+    });
+  }
+  
+  rooms.delete(room.id);
+  room.routers.forEach(router => router.close());
+  console.log('[Room] Deleted empty room:', room.id);
+}
+
+/**
+ * Keep a room created through the admin API for config.room.emptyRoomTimeout,
+ * giving its peers time to arrive, then close it if it is still unused
+ */
+function scheduleRoomClose(room) {
+  clearTimeout(room.closeTimer);
+  
+  room.closeTimer = setTimeout(() => {
+    room.closeTimer = null;
+    closeRoomIfUnused(room);
+  }, config.room.emptyRoomTimeout);
+}
+
+/**
+ * Pick the router a joining peer should be placed on
+ * Fills the room's existing routers first; once they all reach
+ * config.mediasoup.maxPeersPerRouter, adds a router on another worker
+ * @param {Object} room - Room the peer is joining
+ */
+async function getRouterForNewPeer(room) {
+  const { maxPeersPerRouter } = config.mediasoup;
+  
+  const availableRouter = room.routers.find(
+    router => countPeersOnRouter(room, router) < maxPeersPerRouter
+  );
+  
+  if (availableRouter) {
+    return availableRouter;
+  }
+  
+  // Spread the room onto a worker it doesn't use yet (if there is one)
+  const usedWorkers = room.routers.map(router => router.appData.workerData);
+  const router = await createMediasoupRouter(getLeastLoadedWorker(usedWorkers));
+  
+  addRouterToRoom(room, router);
+  
+  console.log(`[Room] Room ${room.id} scaled to ${room.routers.length} routers`);
   
   return router;
 }
 
+/**
+ * Register a router as part of a room
+ * The router is dropped from the room (with its pipes) when it closes,
+ * whether the room closed it or its worker died
+ */
+function addRouterToRoom(room, router) {
+  room.routers.push(router);
+  
+  router.observer.on('close', () => {
+    room.routers = room.routers.filter(r => r !== router);
+    room.pipedProducers.forEach((pipePromise, key) => {
+      if (key.endsWith(`:${router.id}`)) {
+        room.pipedProducers.delete(key);
+      }
+    });
+  });
+}
+
+/**
+ * Count the peers of a room that are placed on the given router
+ */
+function countPeersOnRouter(room, router) {
+  let count = 0;
+  room.peers.forEach(peerId => {
+    const peer = peers.get(peerId);
+    if (peer && peer.router === router) {
+      count++;
+    }
+  });
+  return count;
+}
+
+/**
+ * Make a producer (or data producer) available on another router of the same room
+ * Uses router.pipeToRouter(); the piped producer keeps the original producer id,
+ * so consumers on the target router can consume it by the same id.
+ * Each producer is piped at most once per target router.
+ * @param {Object} room - Room both routers belong to
+ * @param {Producer|DataProducer} producer - Producer living on sourceRouter
+ * @param {Router} sourceRouter - Router the producer was created on
+ * @param {Router} targetRouter - Router the consuming peer lives on
+ * @param {boolean} data - true when piping a data producer
+ */
+async function pipeProducerToRouter(room, producer, sourceRouter, targetRouter, data = false) {
+  const key = `${producer.id}:${targetRouter.id}`;
+  
+  if (!room.pipedProducers.has(key)) {
+    console.log(`[Room] Piping ${data ? 'data producer' : 'producer'} ${producer.id} to router ${targetRouter.id}`);
+    
+    const pipePromise = sourceRouter.pipeToRouter({
+      ...(data ? { dataProducerId: producer.id } : { producerId: producer.id }),
+      router: targetRouter
+    });
+    
+    room.pipedProducers.set(key, pipePromise);
+    
+    // Forget the pipe if it fails so a later consume can retry
+    pipePromise.catch(() => {
+      room.pipedProducers.delete(key);
+    });
+    
+    producer.observer.on('close', () => {
+      room.pipedProducers.delete(key);
+    });
+  }
+  
+  await room.pipedProducers.get(key);
+}
+
+/**
+ * Close routers of a room that no longer have any peers on them
+ * The primary router is kept for as long as the room exists
+ */
+function closeUnusedRouters(room) {
+  room.routers
+    .filter(router => router !== room.router && countPeersOnRouter(room, router) === 0)
+    .forEach(router => {
+      console.log(`[Room] Closing unused router ${router.id} of room ${room.id}`);
+      router.close();
+    });
+}
+
+/**
+ * Create the room's AudioLevelObserver and ActiveSpeakerObserver on its primary router
+ * Registers every audio producer already in the room (used again after the
+ * primary router is recreated following a worker crash)
+ */
+async function createRoomObservers(room) {
+  const { audioLevelObserver, activeSpeakerObserver } = config.mediasoup;
+  
+  room.audioLevelObserver = await room.router.createAudioLevelObserver({
+    maxEntries: audioLevelObserver.maxEntries,
+    threshold: audioLevelObserver.threshold,
+    interval: audioLevelObserver.interval
+  });
+  
+  room.activeSpeakerObserver = await room.router.createActiveSpeakerObserver({
+    interval: activeSpeakerObserver.interval
+  });
+  
+  // Periodic levels of the loudest producers, for speaking indicators
+  room.audioLevelObserver.on('volumes', (volumes) => {
+    const levels = volumes
+      .map(({ producer, volume }) => {
+        const peer = findPeerByProducerId(producer.id);
+        return peer ? { peerId: peer.id, volume } : null;
+      })
+      .filter(Boolean);
+    
+    broadcastToRoom(room, 'audioLevels', { levels });
+  });
+  
+  room.audioLevelObserver.on('silence', () => {
+    broadcastToRoom(room, 'audioLevels', { levels: [] });
+  });
+  
+  // Dominant speaker, for the speaker-focused layout
+  room.activeSpeakerObserver.on('dominantspeaker', ({ producer }) => {
+    const peer = findPeerByProducerId(producer.id);
+    if (!peer || room.activeSpeakerPeerId === peer.id) return;
+    
+    room.activeSpeakerPeerId = peer.id;
+    console.log(`[Room] Active speaker in room ${room.id}:`, peer.id);
+    
+    broadcastToRoom(room, 'activeSpeaker', { peerId: peer.id });
+    
+    // Most recent speaker moves to the front of the last N list
+    room.speakerHistory = [peer.id, ...room.speakerHistory.filter(id => id !== peer.id)];
+    applyLastN(room).catch((error) => {
+      console.error(`[Room] Failed to apply last N in room ${room.id}:`, error);
+    });
+  });
+  
+  for (const peerId of room.peers) {
+    const peer = peers.get(peerId);
+    if (!peer) continue;
+    
+    for (const { producer, kind } of peer.producers.values()) {
+      if (kind === 'audio') {
+        await addProducerToRoomObservers(room, peer, producer);
+      }
+    }
+  }
+}
+
+/**
+ * Register an audio producer with the room's observers
+ * Producers on another router of the room are piped to the primary router first.
+ * Closed producers are removed from the observers by mediasoup.
+ */
+async function addProducerToRoomObservers(room, peer, producer) {
+  if (peer.router !== room.router) {
+    await pipeProducerToRouter(room, producer, peer.router, room.router);
+  }
+  
+  await room.audioLevelObserver.addProducer({ producerId: producer.id });
+  await room.activeSpeakerObserver.addProducer({ producerId: producer.id });
+}
+
+/**
+ * Recover from a mediasoup Worker dying
+ * Spawns a replacement worker, recreates routers of the affected rooms and
+ * asks the affected peers to rebuild their transports and re-produce.
+ * Rooms on healthy workers keep running untouched.
+ * @param {Object} deadWorkerData - Pool entry of the worker that died
+ */
+async function recoverFromWorkerDeath(deadWorkerData) {
+  const index = mediasoupWorkers.indexOf(deadWorkerData);
+  if (index !== -1) {
+    mediasoupWorkers.splice(index, 1);
+  }
+  
+  // Step 1: Replace the dead worker to keep the pool at numWorkers
+  mediasoupWorkers.push(await createMediasoupWorker());
+  
+  // Step 2: Move every affected room and its peers to healthy routers
+  for (const room of rooms.values()) {
+    await recoverRoomFromWorkerDeath(room);
+  }
+}
+
+/**
+ * Recreate the routers of a room that lived on a dead worker
+ * The dead routers were already closed (and dropped from room.routers) by mediasoup
+ */
+async function recoverRoomFromWorkerDeath(room) {
+  const affectedPeers = Array.from(room.peers)
+    .map(peerId => peers.get(peerId))
+    .filter(peer => peer && peer.router && peer.router.closed);
+  
+  if (!room.router.closed && affectedPeers.length === 0) {
+    return;
+  }
+  
+  console.log(`[Room] Recovering room ${room.id} (${affectedPeers.length} affected peer(s))`);
+  
+  // Their transports, producers and consumers died with the router
+  affectedPeers.forEach(peer => {
+    peer.transports.clear();
+    peer.producers.clear();
+    peer.consumers.clear();
+    peer.dataProducers.clear();
+    peer.dataConsumers.clear();
+    peer.router = null;
+  });
+  
+  // File transfers can't resume on new data channels, so end the ones they took part in
+  const affectedPeerIds = new Set(affectedPeers.map(peer => peer.id));
+  Array.from(room.fileTransfers.values()).forEach(transfer => {
+    if (affectedPeerIds.has(transfer.peerId) || Array.from(transfer.recipients).some(id => affectedPeerIds.has(id))) {
+      endFileTransfer(room, transfer, 'aborted', 'Media server restarted');
+    }
+  });
+  
+  // Replace the primary router (and the observers living on it) if it was on the dead worker
+  if (room.router.closed) {
+    if (room.routers.length === 0) {
+      addRouterToRoom(room, await createMediasoupRouter());
+    }
+    room.router = room.routers[0];
+    room.activeSpeakerPeerId = null;
+    await createRoomObservers(room);
+    
+    // The recorder's transports lived on the old router too
+    if (room.recording) {
+      await addRoomProducersToRecording(room);
+    }
+  }
+  
+  // Tell healthy peers that the affected peers' media is gone for now;
+  // it comes back through the usual 'newProducer' once they re-produce.
+  // Their consumers of that media were already dropped on 'producerclose'.
+  room.peers.forEach(peerId => {
+    if (affectedPeerIds.has(peerId)) return;
+    
+    const peer = peers.get(peerId);
+    if (!peer) return;
+    
+    affectedPeers.forEach(affectedPeer => {
+      sendMessage(peer.socket, 'peerRestarting', { peerId: affectedPeer.id });
+    });
+  });
+  
+  // Place affected peers on new routers and ask them to reconnect
+  for (const peer of affectedPeers) {
+    peer.router = await getRouterForNewPeer(room);
+    
+    sendMessage(peer.socket, 'routerRestarted', {
+      roomId: room.id,
+      existingProducers: collectExistingProducers(room, peer.id)
+    });
+  }
+}
+
 /**
  * Create WebRTC Transport for a peer
- * Transport is used to send or receive media
+ * Transport is used to send or receive media, and data when the client
+ * sends its SCTP capabilities
+ * @param {Router} router - Router of the peer's room
  * @param {string} peerId - Unique peer identifier
  * @param {string} direction - 'send' or 'recv'
+ * @param {Object} sctpCapabilities - Client's device.sctpCapabilities (optional)
  */
-async function createWebRtcTransport(peerId, direction) {
+async function createWebRtcTransport(router, peerId, direction, sctpCapabilities) {
   console.log(`[Transport] Creating ${direction} transport for peer:`, peerId);
   
-  const transport = await mediasoupRouter.createWebRtcTransport({
+  const transport = await router.createWebRtcTransport({
     listenIps: config.mediasoup.webRtcTransport.listenIps,
     enableUdp: config.mediasoup.webRtcTransport.enableUdp,
     enableTcp: config.mediasoup.webRtcTransport.enableTcp,
     preferUdp: config.mediasoup.webRtcTransport.preferUdp,
-    initialAvailableOutgoingBitrate: config.mediasoup.webRtcTransport.initialAvailableOutgoingBitrate
+    initialAvailableOutgoingBitrate: config.mediasoup.webRtcTransport.initialAvailableOutgoingBitrate,
+    enableSctp: Boolean(sctpCapabilities),
+    numSctpStreams: sctpCapabilities && sctpCapabilities.numStreams,
+    maxSctpMessageSize: config.mediasoup.webRtcTransport.maxSctpMessageSize
   });
   
   // Handle transport closure
@@ -116,9 +793,10 @@ async function createWebRtcTransport(peerId, direction) {
 /**
  * Get Router RTP Capabilities
  * Clients need this to know what codecs are supported
+ * @param {Object} room - Room whose router the client will connect to
  */
-function getRouterRtpCapabilities() {
-  return mediasoupRouter.rtpCapabilities;
+function getRouterRtpCapabilities(room) {
+  return room.router.rtpCapabilities;
 }
 
 /**
@@ -126,35 +804,70 @@ function getRouterRtpCapabilities() {
  * Handles all communication between clients and server
  */
 function createWebSocketServer(httpServer) {
-  const wss = new WebSocket.Server({ server: httpServer });
+  const wss = new WebSocket.Server({ noServer: true });
+  
+  // Authenticate during the HTTP upgrade so rejected clients never get a peer record
+  httpServer.on('upgrade', (request, socket, head) => {
+    let auth = null;
+    
+    if (config.auth.enabled) {
+      try {
+        auth = authenticateUpgradeRequest(request);
+      } catch (error) {
+        console.warn('[WebSocket] Rejected connection:', error.message);
+        socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+    }
+    
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      wss.emit('connection', ws, request, auth);
+    });
+  });
   
   console.log('[WebSocket] Server initialized');
   
-  wss.on('connection', (socket) => {
+  wss.on('connection', (socket, request, auth) => {
     const peerId = generatePeerId();
-    console.log('[WebSocket] New peer connected:', peerId);
+    console.log('[WebSocket] New peer connected:', peerId, auth ? `(user: ${auth.userId})` : '');
     
     // Initialize peer state
-    peers.set(peerId, {
-      id: peerId,
-      socket: socket,
-      transports: new Map(), // Store send/recv transports
-      producers: new Map(),  // Store media producers
-      consumers: new Map(),  // Store media consumers
-      roomId: null
-    });
+    peers.set(peerId, createPeer(peerId, socket, auth, request.socket.remoteAddress));
     
     // Send peerId to client
     sendMessage(socket, 'connected', { peerId });
     
     // Handle incoming messages
+    // Requests carry an 'id' that is echoed in the reply (or error) so the
+    // client can match responses to requests
     socket.on('message', async (message) => {
+      let data;
+      try {
+        data = JSON.parse(message);
+      } catch (error) {
+        console.error('[WebSocket] Invalid message:', error);
+        sendMessage(socket, 'error', { message: 'Invalid JSON message' });
+        return;
+      }
+      
+      // Requests are { id, type, payload } objects; anything else (null, arrays, ...) is refused
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        sendMessage(socket, 'error', { message: 'Invalid message' });
+        return;
+      }
+      
+      const { id: requestId, type } = data;
+      
       try {
-        const data = JSON.parse(message);
         await routeIncomingMessage(peerId, data);
       } catch (error) {
         console.error('[WebSocket] Error handling message:', error);
-        sendMessage(socket, 'error', { message: error.message });
+        sendMessage(socket, 'error', {
+          request: type,
+          message: error.message,
+          code: error.code // Machine-readable reason, when the client can act on it
+        }, requestId);
       }
     });
     
@@ -172,15 +885,119 @@ function createWebSocketServer(httpServer) {
 }
 
 /**
- * Route incoming WebSocket messages to appropriate handlers
- * Parses message type and delegates to specific handler functions
+ * Create the record of a peer
+ * @param {WebSocket|Object} socket - Signaling socket (a stand-in for ingest peers)
+ * @param {Object} auth - Verified access token claims (null when auth is disabled)
  */
-async function routeIncomingMessage(peerId, data) {
-  const { type, payload } = data;
-  const peer = peers.get(peerId);
-  
-  if (!peer) {
-    console.error('[Message] Peer not found:', peerId);
+function createPeer(peerId, socket, auth, remoteAddress) {
+  return {
+    id: peerId,
+    socket: socket,
+    auth: auth,            // Verified access token claims (null when auth is disabled)
+    remoteAddress,
+    clientId: null,        // Per-browser id sent on join (see getBanKey)
+    ingest: null,          // 'whip' or 'rtp' for media published by an encoder (no WebSocket)
+    role: null,            // One of ROLES, assigned when joining a room
+    audioLocked: false,    // Microphone muted by a host; can't be resumed until they ask
+    failedPasswordAttempts: 0,
+    lobbyRoomId: null,     // Room whose lobby the peer is waiting in
+    transports: new Map(), // Store send/recv transports
+    producers: new Map(),  // Store media producers
+    consumers: new Map(),  // Store media consumers
+    dataProducers: new Map(), // Store data producers (SCTP data channels)
+    dataConsumers: new Map(), // Store data consumers
+    roomId: null,
+    router: null,          // Router of the room this peer is placed on
+    lastN: null,           // Peer's own last N limit (null = use the room's)
+    lastNSelection: undefined, // Last N selection last sent to the client
+    displayName: null,     // Name shown to other participants
+    metadata: {}           // Arbitrary client info (avatar URL, role, ...)
+  };
+}
+
+/**
+ * Load the key used to verify access tokens
+ * HS256 uses the shared secret, RS256 the PEM public key file
+ */
+function loadAuthKey() {
+  const { algorithm, secret, publicKeyFile } = config.auth;
+  
+  if (algorithm === 'HS256') {
+    if (!secret) {
+      throw new Error('config.auth.secret is required for HS256');
+    }
+    return secret;
+  }
+  
+  if (algorithm === 'RS256') {
+    if (!publicKeyFile) {
+      throw new Error('config.auth.publicKeyFile is required for RS256');
+    }
+    return fs.readFileSync(publicKeyFile, 'utf8');
+  }
+  
+  throw new Error(`Unsupported auth algorithm: ${algorithm}`);
+}
+
+/**
+ * Verify the access token of a WebSocket upgrade request (?token=...)
+ * Token claims: sub (user id), name (display name), rooms (allowed room ids
+ * or '*') and role
+ * @returns {Object} Verified claims as { userId, displayName, rooms, role }
+ */
+function authenticateUpgradeRequest(request) {
+  const { searchParams } = new URL(request.url, 'http://localhost');
+  const token = searchParams.get('token');
+  
+  if (!token) {
+    throw new Error('Missing access token');
+  }
+  
+  const claims = jwt.verify(token, authKey, {
+    algorithms: [config.auth.algorithm],
+    issuer: config.auth.issuer,
+    audience: config.auth.audience
+  });
+  
+  if (typeof claims.sub !== 'string' || !claims.sub) {
+    throw new Error('Access token has no subject');
+  }
+  
+  const rooms = claims.rooms === '*' ? '*' : claims.rooms;
+  if (rooms !== '*' && (!Array.isArray(rooms) || !rooms.every(id => typeof id === 'string'))) {
+    throw new Error('Access token has no valid rooms claim');
+  }
+  
+  return {
+    userId: claims.sub,
+    displayName: typeof claims.name === 'string' ? claims.name : null,
+    rooms,
+    role: typeof claims.role === 'string' ? claims.role : null
+  };
+}
+
+/**
+ * Reject a peer trying to use a room its access token doesn't allow
+ */
+function assertRoomAllowed(peer, roomId) {
+  if (!peer.auth || peer.auth.rooms === '*') return;
+  
+  if (!peer.auth.rooms.includes(roomId)) {
+    throw new Error('Not allowed to join this room');
+  }
+}
+
+/**
+ * Route incoming WebSocket messages to appropriate handlers
+ * Parses message type and delegates to specific handler functions
+ * Handlers reply with the request id so the client can correlate the response
+ */
+async function routeIncomingMessage(peerId, data) {
+  const { id: requestId, type, payload = {} } = data;
+  const peer = peers.get(peerId);
+  
+  if (!peer) {
+    console.error('[Message] Peer not found:', peerId);
     return;
   }
   
@@ -188,281 +1005,3508 @@ async function routeIncomingMessage(peerId, data) {
   
   switch (type) {
     case 'getRouterRtpCapabilities':
-      sendRouterCapabilitiesToPeer(peer);
+      await sendRouterCapabilitiesToPeer(peer, payload, requestId);
       break;
       
     case 'joinRoom':
-      await addPeerToRoomAndNotifyOthers(peer, payload);
+      await addPeerToRoomAndNotifyOthers(peer, payload, requestId);
       break;
       
     case 'createTransport':
-      await createTransportAndSendParameters(peer, payload);
+      await createTransportAndSendParameters(peer, payload, requestId);
       break;
       
     case 'connectTransport':
-      await finalizeTransportConnection(peer, payload);
+      await finalizeTransportConnection(peer, payload, requestId);
       break;
       
     case 'produce':
-      await createProducerAndBroadcastToPeers(peer, payload);
+      await createProducerAndBroadcastToPeers(peer, payload, requestId);
+      break;
+      
+    case 'pauseProducer':
+      await setProducerPausedAndNotifyOthers(peer, payload, true, requestId);
+      break;
+      
+    case 'resumeProducer':
+      assertProducerNotLocked(peer, payload.producerId);
+      await setProducerPausedAndNotifyOthers(peer, payload, false, requestId);
+      break;
+      
+    case 'closeProducer':
+      closeProducerAndNotifyOthers(peer, payload, requestId);
       break;
       
     case 'consume':
-      await createConsumerForRemoteProducer(peer, payload);
+      await createConsumerForRemoteProducer(peer, payload, requestId);
+      break;
+      
+    case 'produceData':
+      await createDataProducerAndBroadcastToPeers(peer, payload, requestId);
+      break;
+      
+    case 'consumeData':
+      await createDataConsumerForRemoteDataProducer(peer, payload, requestId);
+      break;
+      
+    case 'closeDataProducer':
+      closeDataProducerAndNotifyOthers(peer, payload, requestId);
+      break;
+      
+    case 'startFileTransfer':
+      startFileTransfer(peer, payload, requestId);
+      break;
+      
+    case 'setFileTransferPaused':
+      setFileTransferPaused(peer, payload, requestId);
+      break;
+      
+    case 'cancelFileTransfer':
+      cancelFileTransfer(peer, payload, requestId);
+      break;
+      
+    case 'fileTransferReceived':
+      confirmFileTransferReceived(peer, payload, requestId);
       break;
       
     case 'resumeConsumer':
-      await resumePausedConsumer(peer, payload);
+      await resumePausedConsumer(peer, payload, requestId);
+      break;
+      
+    case 'setConsumerPreferredLayers':
+      await setConsumerPreferredLayers(peer, payload, requestId);
+      break;
+      
+    case 'setLastN':
+      setPeerLastN(peer, payload, requestId);
+      break;
+      
+    case 'setRoomLastN':
+      setRoomLastN(peer, payload, requestId);
+      break;
+      
+    case 'setRoomPassword':
+      await setRoomPasswordFromPeer(peer, payload, requestId);
+      break;
+      
+    case 'setLobbyEnabled':
+      await setLobbyEnabledFromPeer(peer, payload, requestId);
+      break;
+      
+    case 'admitPeer':
+      await admitPeerFromLobby(peer, payload, requestId);
+      break;
+      
+    case 'denyPeer':
+      denyPeerFromLobby(peer, payload, requestId);
+      break;
+      
+    case 'leaveLobby':
+      leaveLobby(peer, requestId);
+      break;
+      
+    case 'setPeerRole':
+      await setPeerRoleFromHost(peer, payload, requestId);
+      break;
+      
+    case 'mutePeer':
+      await mutePeerAndNotifyOthers(peer, payload, requestId);
+      break;
+      
+    case 'closePeerProducers':
+      closePeerProducersAndNotifyOthers(peer, payload, requestId);
+      break;
+      
+    case 'muteAll':
+      await muteAllAndLock(peer, requestId);
+      break;
+      
+    case 'askToUnmute':
+      askPeersToUnmute(peer, payload, requestId);
+      break;
+      
+    case 'setMuteOnJoin':
+      setMuteOnJoinFromHost(peer, payload, requestId);
+      break;
+      
+    case 'startRecording':
+      await startRecordingFromHost(peer, requestId);
+      break;
+      
+    case 'stopRecording':
+      await stopRecordingFromHost(peer, requestId);
+      break;
+      
+    case 'kickPeer':
+      kickPeerFromRoom(peer, payload, requestId);
+      break;
+      
+    case 'banPeer':
+      banPeerFromRoom(peer, payload, requestId);
+      break;
+      
+    case 'createInvite':
+      createInviteForPeer(peer, payload, requestId);
+      break;
+      
+    case 'chatMessage':
+      sendChatMessage(peer, payload, requestId);
+      break;
+      
+    case 'updatePeerInfo':
+      updatePeerInfoAndNotifyOthers(peer, payload, requestId);
       break;
       
     default:
       console.warn('[Message] Unknown message type:', type);
+      throw new Error(`Unknown message type: ${type}`);
+  }
+}
+
+/**
+ * Send router's RTP capabilities to the requesting peer
+ * Client needs this to initialize their mediasoup Device
+ * Rooms are only created on join, so the capabilities of a room that doesn't
+ * exist yet come from a throwaway router (cached, as all routers share them)
+ */
+async function sendRouterCapabilitiesToPeer(peer, payload, requestId) {
+  const { roomId } = payload;
+  
+  if (!roomId) {
+    throw new Error('Room ID is required');
+  }
+  
+  assertRoomAllowed(peer, roomId);
+  
+  const room = rooms.get(roomId);
+  let rtpCapabilities = room ? getRouterRtpCapabilities(room) : routerRtpCapabilities;
+  
+  if (!rtpCapabilities) {
+    const router = await createMediasoupRouter();
+    rtpCapabilities = router.rtpCapabilities;
+    router.close();
+  }
+  
+  sendMessage(peer.socket, 'routerRtpCapabilities', { rtpCapabilities }, requestId);
+}
+
+/**
+ * Add peer to room and notify all other participants
+ * Also sends list of existing producers so new peer can consume them
+ */
+async function addPeerToRoomAndNotifyOthers(peer, payload, requestId) {
+  const { roomId, displayName, metadata, password, invite, clientId } = payload;
+  
+  console.log(`[Room] Peer ${peer.id} joining room:`, roomId);
+  
+  if (!roomId) {
+    throw new Error('Room ID is required');
+  }
+  
+  assertRoomAllowed(peer, roomId);
+  
+  if (peer.lobbyRoomId) {
+    throw new Error('Already waiting in a lobby');
+  }
+  
+  if (peer.roomId) {
+    throw new Error('Already in a room');
+  }
+  
+  // A name from the access token wins over the one typed by the user
+  const tokenDisplayName = peer.auth && peer.auth.displayName;
+  peer.displayName = sanitizeDisplayName(tokenDisplayName || displayName, peer.id);
+  peer.metadata = sanitizeMetadata(metadata);
+  peer.clientId = CLIENT_ID_PATTERN.test(clientId) ? clientId : null;
+  
+  // Create room if it doesn't exist
+  const room = await getOrCreateRoom(roomId);
+  
+  await runRoomJoin(room, async () => {
+    // The peer may have disconnected while the room was being created
+    if (!isPeerConnected(peer)) {
+      return;
+    }
+    
+    if (room.bans.has(getBanKey(peer))) {
+      throw createSignalingError('You are banned from this room', 'banned');
+    }
+    
+    // Password protected rooms need the password or a valid invite
+    await assertRoomAccess(peer, room, password, invite);
+    
+    if (!isPeerConnected(peer)) {
+      return;
+    }
+    
+    peer.role = getInitialRole(room, peer);
+    
+    // With the lobby on, peers wait until a host admits them (the first
+    // peer in an empty room becomes its host, so it goes straight in)
+    if (room.lobbyEnabled && room.peers.size > 0 && !isRoomHost(peer)) {
+      addPeerToLobbyAndNotifyHosts(room, peer, requestId);
+      return;
+    }
+    
+    await completeRoomJoin(room, peer, requestId);
+  });
+}
+
+/**
+ * Whether a peer is still connected (it leaves the peers map on disconnect)
+ * Checked after every await of a join
+ */
+function isPeerConnected(peer) {
+  return peers.get(peer.id) === peer;
+}
+
+/**
+ * Put a peer in the room and send it everything it needs to start the call
+ * Sent as the joinRoom reply, or as a notification when admitted from the lobby
+ */
+async function completeRoomJoin(room, peer, requestId) {
+  const roomId = room.id;
+  
+  // Get existing peers in the room
+  const existingPeers = Array.from(room.peers).filter(id => id !== peer.id);
+  
+  // Place peer on one of the room's routers
+  const router = await getRouterForNewPeer(room);
+  
+  // Gone while the router was picked: don't add a dead peer to the room
+  if (!isPeerConnected(peer)) {
+    closeUnusedRouters(room);
+    return;
+  }
+  
+  peer.router = router;
+  
+  // Hosts are never muted by the room, nor ingest peers (nobody could unmute them)
+  peer.audioLocked = room.muteOnJoin && !isRoomHost(peer) && !peer.ingest;
+  
+  // Add peer to room
+  room.peers.add(peer.id);
+  room.speakerHistory.push(peer.id);
+  peer.roomId = roomId;
+  
+  // Collect existing peers and their producers
+  const existingPeersInfo = collectExistingProducers(room, peer.id);
+  
+  // Send existing peers and their producers to the new peer
+  sendMessage(peer.socket, 'roomJoined', {
+    roomId,
+    activeSpeakerPeerId: room.activeSpeakerPeerId,
+    lastN: room.lastN,
+    passwordProtected: !!room.password,
+    lobbyEnabled: room.lobbyEnabled,
+    lobby: isRoomHost(peer) ? getLobbyPeersInfo(room) : [],
+    muteOnJoin: room.muteOnJoin,
+    banScope: getBanScope(),
+    audioLocked: peer.audioLocked,
+    chatHistory: room.chatHistory,
+    recording: !!room.recording,
+    self: getPeerInfo(peer),
+    peers: existingPeers.map(id => peers.get(id)).filter(Boolean).map(getPeerInfo),
+    existingProducers: existingPeersInfo
+  }, requestId);
+  
+  // Notify other peers about the new peer
+  broadcastToRoom(room, 'newPeer', getPeerInfo(peer), peer.id);
+  
+  // The join already succeeded (and was answered), so failures are only logged
+  applyLastN(room).catch((error) => {
+    console.error(`[Room] Failed to apply last N in room ${room.id}:`, error);
+  });
+  
+  console.log(`[Room] Peer ${peer.id} joined room ${roomId}. Total peers:`, room.peers.size);
+  if (existingPeersInfo.length > 0) {
+    console.log(`[Room] Sent ${existingPeersInfo.length} existing peer(s) with producers to new peer`);
+  }
+}
+
+/**
+ * Role a peer gets when joining a room
+ * The access token's role wins; otherwise the first peer in the room is its host
+ */
+function getInitialRole(room, peer) {
+  const tokenRole = peer.auth && peer.auth.role;
+  if (ROLES.includes(tokenRole)) {
+    return tokenRole;
+  }
+  
+  // Ingest peers (external encoders) don't count: they never manage the room
+  const isFirstPeer = Array.from(room.peers)
+    .map(id => peers.get(id))
+    .filter(Boolean)
+    .every(roomPeer => roomPeer.ingest);
+  
+  return isFirstPeer ? 'host' : 'participant';
+}
+
+/**
+ * Whether a peer can manage the room (password, lobby, roles, bans)
+ */
+function isRoomHost(peer) {
+  return peer.role === 'host';
+}
+
+/**
+ * Get the room of a peer that must be one of its hosts
+ */
+function getHostedRoom(peer) {
+  const room = rooms.get(peer.roomId);
+  if (!room) {
+    throw new Error('Peer is not in a room');
+  }
+  
+  if (!isRoomHost(peer)) {
+    throw new Error('Only a room host can do this');
+  }
+  
+  return room;
+}
+
+/**
+ * Send a message to every host in the room
+ */
+function sendToRoomHosts(room, type, payload) {
+  room.peers.forEach(peerId => {
+    const peer = peers.get(peerId);
+    if (peer && isRoomHost(peer)) {
+      sendMessage(peer.socket, type, payload);
+    }
+  });
+}
+
+/**
+ * Info about every peer waiting in the room's lobby
+ */
+function getLobbyPeersInfo(room) {
+  return Array.from(room.lobby).map(id => peers.get(id)).filter(Boolean).map(getPeerInfo);
+}
+
+/**
+ * Make a peer wait in the room's lobby and ask the hosts to let it in
+ * Lobby peers are not in room.peers and have no router, so they can't
+ * create transports, produce or consume until admitted
+ */
+function addPeerToLobbyAndNotifyHosts(room, peer, requestId) {
+  room.lobby.add(peer.id);
+  peer.lobbyRoomId = room.id;
+  
+  sendMessage(peer.socket, 'lobbyJoined', { roomId: room.id, inLobby: true, self: getPeerInfo(peer) }, requestId);
+  sendToRoomHosts(room, 'lobbyRequest', getPeerInfo(peer));
+  
+  console.log(`[Lobby] Peer ${peer.id} waiting to join room ${room.id}`);
+}
+
+/**
+ * Take a peer out of the lobby and tell the hosts the request is settled
+ * @param {string} reason - 'admitted', 'denied' or 'left'
+ */
+function removePeerFromLobby(room, peer, reason) {
+  room.lobby.delete(peer.id);
+  peer.lobbyRoomId = null;
+  
+  sendToRoomHosts(room, 'lobbyRequestClosed', { peerId: peer.id, reason });
+  
+  console.log(`[Lobby] Peer ${peer.id} ${reason} (room ${room.id})`);
+}
+
+/**
+ * Get a peer waiting in the lobby of the given room
+ */
+function getLobbyPeer(room, peerId) {
+  const lobbyPeer = peers.get(peerId);
+  if (!lobbyPeer || !room.lobby.has(peerId)) {
+    throw new Error('Peer is not waiting in the lobby');
+  }
+  return lobbyPeer;
+}
+
+/**
+ * Let a waiting peer into the room (host only)
+ */
+async function admitPeerFromLobby(peer, payload, requestId) {
+  const room = getHostedRoom(peer);
+  const lobbyPeer = getLobbyPeer(room, payload.peerId);
+  
+  removePeerFromLobby(room, lobbyPeer, 'admitted');
+  sendMessage(peer.socket, 'peerAdmitted', { peerId: lobbyPeer.id }, requestId);
+  
+  await completeRoomJoin(room, lobbyPeer);
+}
+
+/**
+ * Turn a waiting peer away (host only)
+ */
+function denyPeerFromLobby(peer, payload, requestId) {
+  const room = getHostedRoom(peer);
+  const lobbyPeer = getLobbyPeer(room, payload.peerId);
+  
+  removePeerFromLobby(room, lobbyPeer, 'denied');
+  sendMessage(lobbyPeer.socket, 'lobbyDenied', { roomId: room.id });
+  sendMessage(peer.socket, 'peerDenied', { peerId: lobbyPeer.id }, requestId);
+}
+
+/**
+ * Stop waiting in the lobby (waiting peer gave up)
+ */
+function leaveLobby(peer, requestId) {
+  const room = rooms.get(peer.lobbyRoomId);
+  if (room) {
+    removePeerFromLobby(room, peer, 'left');
+  }
+  peer.lobbyRoomId = null;
+  
+  sendMessage(peer.socket, 'lobbyLeft', {}, requestId);
+}
+
+/**
+ * Turn the lobby on or off; turning it off lets everyone waiting in
+ */
+async function setRoomLobbyEnabled(room, enabled) {
+  if (typeof enabled !== 'boolean') {
+    throw new Error('enabled must be a boolean');
+  }
+  
+  room.lobbyEnabled = enabled;
+  broadcastToRoom(room, 'lobbyEnabledChanged', { lobbyEnabled: enabled });
+  
+  console.log(`[Lobby] Lobby ${enabled ? 'enabled' : 'disabled'} for room ${room.id}`);
+  
+  if (!enabled) {
+    for (const peerId of Array.from(room.lobby)) {
+      // Skip peers that left while earlier ones were being admitted
+      const lobbyPeer = peers.get(peerId);
+      if (!lobbyPeer || !room.lobby.has(peerId)) continue;
+      
+      removePeerFromLobby(room, lobbyPeer, 'admitted');
+      await completeRoomJoin(room, lobbyPeer);
+    }
+  }
+}
+
+/**
+ * Turn the lobby of the peer's room on or off (host only)
+ */
+async function setLobbyEnabledFromPeer(peer, payload, requestId) {
+  const room = getHostedRoom(peer);
+  
+  await setRoomLobbyEnabled(room, payload.enabled);
+  sendMessage(peer.socket, 'lobbyEnabledSet', { lobbyEnabled: room.lobbyEnabled }, requestId);
+}
+
+/**
+ * Get a peer in the moderator's room that the moderator may act on
+ * Hosts can act on anyone else; moderators only on participants and viewers
+ */
+function getModeratedPeer(moderator, targetPeerId) {
+  const room = rooms.get(moderator.roomId);
+  if (!room) {
+    throw new Error('Peer is not in a room');
+  }
+  
+  if (moderator.role !== 'host' && moderator.role !== 'moderator') {
+    throw new Error('Only hosts and moderators can do this');
+  }
+  
+  const target = peers.get(targetPeerId);
+  if (!target || target.roomId !== room.id) {
+    throw new Error('Peer not found in this room');
+  }
+  
+  if (target.id === moderator.id) {
+    throw new Error('Cannot moderate yourself');
+  }
+  
+  if (moderator.role !== 'host' && ROLES.indexOf(target.role) <= ROLES.indexOf(moderator.role)) {
+    throw new Error(`A ${moderator.role} cannot moderate a ${target.role}`);
+  }
+  
+  return { room, target };
+}
+
+/**
+ * Force-pause another peer's producers (hosts and moderators)
+ * The peer is told through the usual producerPaused notification and can
+ * resume them itself
+ * @param {Object} payload - { peerId, kind } where kind ('audio'/'video') is optional
+ */
+async function mutePeerAndNotifyOthers(peer, payload, requestId) {
+  const { peerId, kind } = payload;
+  const { target } = getModeratedPeer(peer, peerId);
+  
+  for (const [producerId, producerData] of target.producers) {
+    if (kind && producerData.kind !== kind) continue;
+    if (producerData.producer.paused) continue;
+    
+    await setProducerPausedAndNotifyOthers(target, { producerId }, true);
+  }
+  
+  console.log(`[Moderation] ${peer.id} muted ${kind || 'all'} media of ${target.id}`);
+  
+  sendMessage(peer.socket, 'peerMuted', { peerId, kind }, requestId);
+}
+
+/**
+ * Close another peer's producers (hosts and moderators)
+ * @param {Object} payload - { peerId, source } where source ('camera', 'screen', ...) is optional
+ */
+function closePeerProducersAndNotifyOthers(peer, payload, requestId) {
+  const { peerId, source } = payload;
+  const { target } = getModeratedPeer(peer, peerId);
+  
+  closePeerProducers(target, source);
+  
+  console.log(`[Moderation] ${peer.id} closed ${source || 'all'} producers of ${target.id}`);
+  
+  sendMessage(peer.socket, 'peerProducersClosed', { peerId, source }, requestId);
+}
+
+/**
+ * Close a peer's producers (all of them, or those of one source)
+ */
+function closePeerProducers(peer, source) {
+  Array.from(peer.producers).forEach(([producerId, producerData]) => {
+    if (!source || producerData.source === source) {
+      closeProducerAndNotifyOthers(peer, { producerId });
+    }
+  });
+}
+
+/**
+ * Refuse to resume a host-locked microphone
+ */
+function assertProducerNotLocked(peer, producerId) {
+  const producerData = peer.producers.get(producerId);
+  
+  if (producerData && producerData.kind === 'audio' && peer.audioLocked) {
+    throw createSignalingError('A host muted your microphone', 'audioLocked');
+  }
+}
+
+/**
+ * Lock or unlock a peer's microphone and tell the peer
+ */
+function setPeerAudioLocked(peer, locked) {
+  if (peer.audioLocked === locked) return;
+  
+  peer.audioLocked = locked;
+  sendMessage(peer.socket, 'audioLockChanged', { locked });
+}
+
+/**
+ * Pause every audio producer in the room except the hosts' and lock those
+ * microphones until a host asks the peer to unmute (host only)
+ */
+async function muteAllAndLock(peer, requestId) {
+  const room = getHostedRoom(peer);
+  
+  for (const peerId of room.peers) {
+    const otherPeer = peers.get(peerId);
+    if (!otherPeer || isRoomHost(otherPeer)) continue;
+    
+    setPeerAudioLocked(otherPeer, true);
+    
+    for (const [producerId, producerData] of otherPeer.producers) {
+      if (producerData.kind === 'audio' && !producerData.producer.paused) {
+        await setProducerPausedAndNotifyOthers(otherPeer, { producerId }, true);
+      }
+    }
+  }
+  
+  console.log(`[Moderation] ${peer.id} muted everyone in room ${room.id}`);
+  
+  sendMessage(peer.socket, 'allMuted', {}, requestId);
+}
+
+/**
+ * Unlock microphones and ask their owners to unmute (hosts and moderators)
+ * The peer decides whether to unmute; its microphone is never resumed from here
+ * @param {Object} payload - { peerId }, or {} to ask every locked peer
+ */
+function askPeersToUnmute(peer, payload, requestId) {
+  const { peerId } = payload;
+  
+  let targets;
+  if (peerId) {
+    targets = [getModeratedPeer(peer, peerId).target];
+  } else {
+    const room = getHostedRoom(peer);
+    targets = Array.from(room.peers).map(id => peers.get(id)).filter(p => p && p.audioLocked);
+  }
+  
+  targets.forEach(target => {
+    setPeerAudioLocked(target, false);
+    sendMessage(target.socket, 'unmuteRequested', { peerId: peer.id, displayName: peer.displayName });
+  });
+  
+  console.log(`[Moderation] ${peer.id} asked ${peerId || 'everyone'} to unmute`);
+  
+  sendMessage(peer.socket, 'unmuteAsked', { peerId }, requestId);
+}
+
+/**
+ * Turn "mute on join" on or off for the peer's room (host only)
+ * Applies to peers joining from now on
+ */
+function setMuteOnJoinFromHost(peer, payload, requestId) {
+  const room = getHostedRoom(peer);
+  
+  if (typeof payload.enabled !== 'boolean') {
+    throw new Error('enabled must be a boolean');
+  }
+  
+  room.muteOnJoin = payload.enabled;
+  
+  sendMessage(peer.socket, 'muteOnJoinSet', { muteOnJoin: room.muteOnJoin }, requestId);
+  broadcastToRoom(room, 'muteOnJoinChanged', { muteOnJoin: room.muteOnJoin }, peer.id);
+}
+
+/**
+ * Remove another peer from the room (hosts and moderators)
+ * The peer is told why, then torn down like a disconnected peer
+ */
+function kickPeerFromRoom(peer, payload, requestId) {
+  const { target } = getModeratedPeer(peer, payload.peerId);
+  
+  removePeerFromRoom(target, 'kicked');
+  
+  console.log(`[Moderation] ${peer.id} kicked ${target.id}`);
+  
+  sendMessage(peer.socket, 'peerKicked', { peerId: target.id }, requestId);
+}
+
+/**
+ * Remove another peer and refuse it until the room closes (host only)
+ */
+function banPeerFromRoom(peer, payload, requestId) {
+  const room = getHostedRoom(peer);
+  const { target } = getModeratedPeer(peer, payload.peerId);
+  
+  room.bans.add(getBanKey(target));
+  removePeerFromRoom(target, 'banned');
+  
+  console.log(`[Moderation] ${peer.id} banned ${target.id} from room ${room.id}`);
+  
+  sendMessage(peer.socket, 'peerBanned', { peerId: target.id }, requestId);
+}
+
+/**
+ * Tell a peer it was removed, release its media and close its connection
+ * @param {string} reason - 'kicked' or 'banned'
+ */
+function removePeerFromRoom(peer, reason) {
+  sendMessage(peer.socket, 'removedFromRoom', { roomId: peer.roomId, reason });
+  
+  handlePeerDisconnection(peer.id);
+  peer.socket.close();
+}
+
+/**
+ * What a ban applies to (peer ids change on every connection):
+ * - the user id of authenticated peers
+ * - without authentication, the browser id the client sent on join, or the
+ *   IP address when config.room.banByAddress is on (which also refuses
+ *   everyone else sharing that address)
+ * Peers without either (ingest peers, clients that sent no id) are only
+ * banned for their current connection.
+ */
+function getBanKey(peer) {
+  if (peer.auth) {
+    return `user:${peer.auth.userId}`;
+  }
+  
+  if (config.room.banByAddress) {
+    return `address:${peer.remoteAddress}`;
+  }
+  
+  return peer.clientId ? `client:${peer.clientId}` : `peer:${peer.id}`;
+}
+
+/**
+ * What bans cover, for the client to tell hosts: 'account', 'address' or 'browser'
+ */
+function getBanScope() {
+  if (config.auth.enabled) {
+    return 'account';
+  }
+  
+  return config.room.banByAddress ? 'address' : 'browser';
+}
+
+/**
+ * Change another peer's role (host only)
+ */
+async function setPeerRoleFromHost(peer, payload, requestId) {
+  const { peerId, role } = payload;
+  const room = getHostedRoom(peer);
+  const { target } = getModeratedPeer(peer, peerId);
+  
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role: ${role}`);
+  }
+  
+  setPeerRole(room, target, role);
+  
+  sendMessage(peer.socket, 'peerRoleSet', { peerId, role }, requestId);
+}
+
+/**
+ * Apply a role change and tell everyone in the room
+ * New hosts get the waiting lobby requests; viewers lose their producers
+ */
+function setPeerRole(room, peer, role) {
+  const previousRole = peer.role;
+  peer.role = role;
+  
+  console.log(`[Room] Peer ${peer.id} is now ${role} (was ${previousRole}) in room ${room.id}`);
+  
+  broadcastToRoom(room, 'peerRoleChanged', { peerId: peer.id, role });
+  
+  if (role === 'host' && previousRole !== 'host') {
+    getLobbyPeersInfo(room).forEach(info => sendMessage(peer.socket, 'lobbyRequest', info));
+    setPeerAudioLocked(peer, false);
+  }
+  
+  if (role === 'viewer') {
+    closePeerProducers(peer);
+  }
+}
+
+/**
+ * Check that a peer may enter a password protected room
+ * A valid invite for the room skips the password. Errors carry a code
+ * ('passwordRequired', 'invalidPassword') so the client can prompt for it.
+ */
+async function assertRoomAccess(peer, room, password, invite) {
+  if (!room.password) return;
+  
+  if (invite) {
+    verifyRoomInvite(invite, room.id);
+    return;
+  }
+  
+  if (!password) {
+    throw createSignalingError('This room requires a password', 'passwordRequired');
+  }
+  
+  if (peer.failedPasswordAttempts >= MAX_PASSWORD_ATTEMPTS) {
+    throw new Error('Too many wrong passwords');
+  }
+  
+  if (!(await checkRoomPassword(room, password))) {
+    peer.failedPasswordAttempts++;
+    throw createSignalingError('Wrong room password', 'invalidPassword');
+  }
+}
+
+/**
+ * Set or clear (empty password) a room's password
+ * Only a salted scrypt hash of the password is kept
+ */
+async function setRoomPassword(room, password) {
+  if (password === undefined || password === null || password === '') {
+    room.password = null;
+    console.log(`[Room] Password removed from room ${room.id}`);
+    return;
+  }
+  
+  if (typeof password !== 'string') {
+    throw new Error('Password must be a string');
+  }
+  
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 32);
+  
+  room.password = { salt, hash };
+  console.log(`[Room] Password set for room ${room.id}`);
+}
+
+/**
+ * Compare a password with the room's password hash in constant time
+ */
+async function checkRoomPassword(room, password) {
+  if (typeof password !== 'string') return false;
+  
+  const hash = await scrypt(password, room.password.salt, 32);
+  return crypto.timingSafeEqual(hash, room.password.hash);
+}
+
+/**
+ * Set or clear the password of the peer's room (host only)
+ */
+async function setRoomPasswordFromPeer(peer, payload, requestId) {
+  const room = getHostedRoom(peer);
+  
+  await setRoomPassword(room, payload.password);
+  
+  const notification = { passwordProtected: !!room.password };
+  
+  sendMessage(peer.socket, 'roomPasswordChanged', notification, requestId);
+  broadcastToRoom(room, 'roomPasswordChanged', notification, peer.id);
+}
+
+/**
+ * Create an invite for the peer's room, to share with people who don't know the password
+ */
+function createInviteForPeer(peer, payload, requestId) {
+  if (!peer.roomId) {
+    throw new Error('Peer is not in a room');
+  }
+  
+  const invite = createRoomInvite(peer.roomId, payload.expiresIn);
+  
+  sendMessage(peer.socket, 'inviteCreated', invite, requestId);
+}
+
+/**
+ * Create a signed, expiring invite for a room
+ * Invites are HS256 JWTs signed with the invite secret: { typ: 'invite', room, exp }
+ * @param {number} expiresIn - Lifetime in seconds (defaults to config.room.inviteTtl)
+ */
+function createRoomInvite(roomId, expiresIn = config.room.inviteTtl) {
+  if (!Number.isInteger(expiresIn) || expiresIn <= 0 || expiresIn > config.room.maxInviteTtl) {
+    throw new Error(`expiresIn must be between 1 and ${config.room.maxInviteTtl} seconds`);
+  }
+  
+  const token = jwt.sign({ typ: 'invite', room: roomId }, inviteSecret, {
+    algorithm: 'HS256',
+    expiresIn
+  });
+  
+  return {
+    roomId,
+    token,
+    expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+  };
+}
+
+/**
+ * Check that an invite is genuine, not expired and for the given room
+ */
+function verifyRoomInvite(invite, roomId) {
+  let claims;
+  try {
+    claims = jwt.verify(invite, inviteSecret, { algorithms: ['HS256'] });
+  } catch (error) {
+    throw createSignalingError(`Invalid invite: ${error.message}`, 'invalidInvite');
+  }
+  
+  if (claims.typ !== 'invite' || claims.room !== roomId) {
+    throw createSignalingError('Invite is not valid for this room', 'invalidInvite');
+  }
+}
+
+/**
+ * Build the link that opens the client with the room and invite filled in
+ */
+function buildInviteUrl(req, invite) {
+  const params = new URLSearchParams({ room: invite.roomId, invite: invite.token });
+  return `${req.protocol}://${req.get('host')}/?${params}`;
+}
+
+/**
+ * Collect the producers of every other peer in the room
+ * Returned list is grouped by peer, peers without producers are skipped
+ * @param {Object} room - Room to collect producers from
+ * @param {string} excludedPeerId - Peer asking for the list
+ */
+function collectExistingProducers(room, excludedPeerId) {
+  const existingPeersInfo = [];
+  
+  room.peers.forEach(existingPeerId => {
+    if (existingPeerId === excludedPeerId) return;
+    
+    const existingPeer = peers.get(existingPeerId);
+    if (existingPeer) {
+      const producers = [];
+      existingPeer.producers.forEach(({ producer, kind, source }) => {
+        producers.push({
+          producerId: producer.id,
+          kind: kind,
+          source,
+          paused: producer.paused
+        });
+      });
+      
+      const dataProducers = [];
+      existingPeer.dataProducers.forEach(({ dataProducer, label, protocol, recipients }) => {
+        if (recipients && !recipients.has(excludedPeerId)) return;
+        dataProducers.push({ dataProducerId: dataProducer.id, label, protocol });
+      });
+      
+      if (producers.length > 0 || dataProducers.length > 0) {
+        existingPeersInfo.push({
+          ...getPeerInfo(existingPeer),
+          producers: producers,
+          dataProducers: dataProducers
+        });
+      }
+    }
+  });
+  
+  return existingPeersInfo;
+}
+
+/**
+ * Create WebRTC transport (send or recv) and send connection parameters to peer
+ * Transport is the WebRTC connection endpoint on the server side
+ */
+async function createTransportAndSendParameters(peer, payload, requestId) {
+  const { direction, sctpCapabilities } = payload; // 'send' or 'recv'
+  
+  if (!peer.router) {
+    throw new Error('Peer is not in a room');
+  }
+  
+  const transport = await createWebRtcTransport(peer.router, peer.id, direction, sctpCapabilities);
+  
+  // Store transport
+  peer.transports.set(transport.id, { transport, direction });
+  
+  // Send transport parameters to client
+  sendMessage(peer.socket, 'transportCreated', {
+    transportId: transport.id,
+    iceParameters: transport.iceParameters,
+    iceCandidates: transport.iceCandidates,
+    dtlsParameters: transport.dtlsParameters,
+    sctpParameters: transport.sctpParameters, // undefined without SCTP
+    direction
+  }, requestId);
+}
+
+/**
+ * Finalize transport connection with DTLS parameters from client
+ * Completes the WebRTC handshake process
+ */
+async function finalizeTransportConnection(peer, payload, requestId) {
+  const { transportId, dtlsParameters } = payload;
+  
+  const transportData = peer.transports.get(transportId);
+  if (!transportData) {
+    throw new Error('Transport not found');
+  }
+  
+  await transportData.transport.connect({ dtlsParameters });
+  
+  sendMessage(peer.socket, 'transportConnected', { transportId }, requestId);
+}
+
+/**
+ * Create producer to receive media from peer and broadcast availability to others
+ * Server-side producer receives media stream from this peer's camera/microphone
+ */
+async function createProducerAndBroadcastToPeers(peer, payload, requestId) {
+  const { transportId, kind, rtpParameters, appData = {} } = payload;
+  
+  const transportData = peer.transports.get(transportId);
+  if (!transportData) {
+    throw new Error('Transport not found');
+  }
+  
+  if (peer.role === 'viewer') {
+    throw new Error('Viewers cannot publish media');
+  }
+  
+  // What the producer carries: camera/microphone by default, or a screen share
+  const source = appData.source || (kind === 'audio' ? 'microphone' : 'camera');
+  if (!PRODUCER_SOURCES.includes(source)) {
+    throw new Error(`Invalid producer source: ${source}`);
+  }
+  
+  // A host-locked microphone starts paused
+  const paused = kind === 'audio' && peer.audioLocked;
+  
+  const producer = await transportData.transport.produce({
+    kind,
+    rtpParameters,
+    paused,
+    appData: { source }
+  });
+  
+  // Store producer
+  peer.producers.set(producer.id, { producer, kind, source });
+  
+  console.log(`[Producer] Created ${kind} (${source}) producer for peer ${peer.id}:`, producer.id);
+  
+  // Notify client
+  sendMessage(peer.socket, 'produced', {
+    producerId: producer.id,
+    kind,
+    source,
+    paused
+  }, requestId);
+  
+  // Notify other peers in the room that new media is available
+  const room = rooms.get(peer.roomId);
+  if (room) {
+    // Speaker detection is best effort: a failure here must not fail the produce
+    if (kind === 'audio') {
+      await addProducerToRoomObservers(room, peer, producer).catch((error) => {
+        console.error(`[Room] Failed to observe audio producer ${producer.id}:`, error);
+      });
+    }
+    
+    broadcastToRoom(room, 'newProducer', {
+      ...getPeerInfo(peer),
+      producerId: producer.id,
+      kind,
+      source
+    }, peer.id);
+    
+    if (room.recording) {
+      await addProducerToRecording(room, peer, producer).catch((error) => {
+        console.error(`[Recording] Failed to record producer ${producer.id}:`, error);
+      });
+    }
+  }
+  
+  return producer;
+}
+
+/**
+ * Pause or resume one of the peer's producers on the server
+ * A paused producer stops forwarding media to every consumer; other peers
+ * are notified so they can show a mute indicator or an avatar
+ * @param {boolean} paused - true to pause, false to resume
+ */
+async function setProducerPausedAndNotifyOthers(peer, payload, paused, requestId) {
+  const { producerId } = payload;
+  
+  const producerData = peer.producers.get(producerId);
+  if (!producerData) {
+    throw new Error('Producer not found');
+  }
+  
+  const { producer, kind, source } = producerData;
+  
+  if (paused) {
+    await producer.pause();
+  } else {
+    await producer.resume();
+  }
+  
+  const type = paused ? 'producerPaused' : 'producerResumed';
+  console.log(`[Producer] ${paused ? 'Paused' : 'Resumed'} ${kind} (${source}) producer for peer ${peer.id}:`, producerId);
+  
+  const notification = { peerId: peer.id, producerId, kind, source };
+  
+  sendMessage(peer.socket, type, notification, requestId);
+  
+  const room = rooms.get(peer.roomId);
+  if (room) {
+    broadcastToRoom(room, type, notification, peer.id);
+  }
+}
+
+/**
+ * Close one of the peer's producers (e.g. when a screen share stops)
+ * Consumers of the producer are closed by mediasoup; other peers are
+ * notified so they can remove the media from their UI
+ */
+function closeProducerAndNotifyOthers(peer, payload, requestId) {
+  const { producerId } = payload;
+  
+  const producerData = peer.producers.get(producerId);
+  if (!producerData) {
+    throw new Error('Producer not found');
+  }
+  
+  const { producer, kind, source } = producerData;
+  
+  producer.close();
+  peer.producers.delete(producerId);
+  
+  console.log(`[Producer] Closed ${kind} (${source}) producer for peer ${peer.id}:`, producerId);
+  
+  const notification = { peerId: peer.id, producerId, kind, source };
+  
+  sendMessage(peer.socket, 'producerClosed', notification, requestId);
+  
+  const room = rooms.get(peer.roomId);
+  if (room) {
+    broadcastToRoom(room, 'producerClosed', notification, peer.id);
+  }
+}
+
+/**
+ * Create consumer to send remote producer's media to requesting peer
+ * Server-side consumer forwards another peer's stream to this peer
+ */
+async function createConsumerForRemoteProducer(peer, payload, requestId) {
+  const { producerId, rtpCapabilities } = payload;
+  
+  // Find the producer
+  const producerPeer = findPeerByProducerId(producerId);
+  
+  // Only media of the peer's own room can be consumed
+  if (!producerPeer || !peer.roomId || producerPeer.roomId !== peer.roomId) {
+    throw new Error('Producer not found');
+  }
+  
+  const { producer, source } = producerPeer.producers.get(producerId);
+  
+  const room = rooms.get(peer.roomId);
+  if (!room || !peer.router) {
+    throw new Error('Peer is not in a room');
+  }
+  
+  // Producer lives on another router of the room: pipe it to ours first
+  if (producerPeer.router !== peer.router) {
+    await pipeProducerToRouter(room, producer, producerPeer.router, peer.router);
+  }
+  
+  // Check if router can consume
+  if (!peer.router.canConsume({ producerId, rtpCapabilities })) {
+    throw new Error('Cannot consume');
+  }
+  
+  // Get recv transport
+  const recvTransport = Array.from(peer.transports.values())
+    .find(t => t.direction === 'recv');
+  
+  if (!recvTransport) {
+    throw new Error('Recv transport not found');
+  }
+  
+  // Create consumer
+  const consumer = await recvTransport.transport.consume({
+    producerId,
+    rtpCapabilities,
+    paused: true // Start paused
+  });
+  
+  // Store consumer
+  const consumerData = {
+    consumer,
+    producerId,
+    producerPeerId: producerPeer.id,
+    kind: consumer.kind,
+    source,
+    clientResumed: false, // Client asked to resume it (it has set up the track)
+    lastNPaused: false    // Held paused because the producer peer is outside last N
+  };
+  
+  if (isLastNConsumer(consumerData)) {
+    const forwardedPeerIds = getForwardedPeerIds(room, peer);
+    consumerData.lastNPaused = forwardedPeerIds !== null && !forwardedPeerIds.includes(producerPeer.id);
+  }
+  
+  peer.consumers.set(consumer.id, consumerData);
+  
+  watchConsumerLifecycle(peer, consumer, producerId);
+  
+  console.log(`[Consumer] Created consumer for peer ${peer.id}:`, consumer.id);
+  
+  // Send consumer parameters to client
+  sendMessage(peer.socket, 'consumed', {
+    consumerId: consumer.id,
+    producerId,
+    producerPeerId: producerPeer.id,
+    kind: consumer.kind,
+    source,
+    producerPaused: consumer.producerPaused,
+    type: consumer.type, // 'simple', 'simulcast' or 'svc'
+    rtpParameters: consumer.rtpParameters
+  }, requestId);
+}
+
+/**
+ * Create a data producer for one of the peer's data channels and announce it
+ * Data flows over SCTP on the send transport, next to the peer's media
+ */
+async function createDataProducerAndBroadcastToPeers(peer, payload, requestId) {
+  const { transportId, sctpStreamParameters, label = '', protocol = '', appData = {} } = payload;
+  
+  const transportData = peer.transports.get(transportId);
+  if (!transportData) {
+    throw new Error('Transport not found');
+  }
+  
+  const room = rooms.get(peer.roomId);
+  if (!room) {
+    throw new Error('Peer is not in a room');
+  }
+  
+  // Data channels carrying a file belong to a transfer started with startFileTransfer
+  let transfer = null;
+  if (appData.transferId) {
+    transfer = room.fileTransfers.get(appData.transferId);
+    if (!transfer || transfer.peerId !== peer.id || transfer.dataProducerId) {
+      throw new Error('File transfer not found');
+    }
+  }
+  
+  const dataProducer = await transportData.transport.produceData({
+    sctpStreamParameters,
+    label,
+    protocol,
+    appData
+  });
+  
+  // Only the transfer's recipients may consume a file (null = everyone in the room)
+  const recipients = transfer ? transfer.recipients : null;
+  const dataProducerData = { dataProducer, label, protocol, recipients };
+  
+  peer.dataProducers.set(dataProducer.id, dataProducerData);
+  
+  dataProducer.on('transportclose', () => {
+    peer.dataProducers.delete(dataProducer.id);
+  });
+  
+  if (transfer) {
+    transfer.dataProducerId = dataProducer.id;
+  }
+  
+  watchDataProducerThroughput(peer, dataProducerData, transfer);
+  
+  console.log(`[DataProducer] Created data producer '${label}' for peer ${peer.id}:`, dataProducer.id);
+  
+  sendMessage(peer.socket, 'dataProduced', { dataProducerId: dataProducer.id, label, protocol }, requestId);
+  
+  const notification = {
+    ...getPeerInfo(peer),
+    dataProducerId: dataProducer.id,
+    label,
+    protocol
+  };
+  
+  if (recipients) {
+    recipients.forEach(recipientId => {
+      const recipient = peers.get(recipientId);
+      if (recipient) {
+        sendMessage(recipient.socket, 'newDataProducer', notification);
+      }
+    });
+  } else {
+    broadcastToRoom(room, 'newDataProducer', notification, peer.id);
+  }
+}
+
+/**
+ * Keep data channels from crowding out media
+ * Polls the data producer's byte count; a channel sending faster than
+ * config.dataChannels.maxBitrate (with some slack for bursts) is closed,
+ * and so is a file channel sending more than the file's declared size
+ */
+function watchDataProducerThroughput(peer, dataProducerData, transfer) {
+  const { dataProducer } = dataProducerData;
+  const { maxBitrate, checkInterval } = config.dataChannels;
+  let lastBytes = 0;
+  
+  const timer = setInterval(async () => {
+    let stats;
+    try {
+      [stats] = await dataProducer.getStats();
+    } catch (error) {
+      return; // Closed meanwhile
+    }
+    
+    if (!stats || dataProducer.closed) return;
+    
+    const bitrate = (stats.bytesReceived - lastBytes) * 8 * 1000 / checkInterval;
+    lastBytes = stats.bytesReceived;
+    
+    let reason = null;
+    if (bitrate > maxBitrate * 1.5) {
+      reason = `Data rate limit exceeded (${Math.round(bitrate / 1000)} kbps)`;
+    } else if (transfer && stats.bytesReceived > transfer.size) {
+      reason = 'More data than the declared file size';
+    }
+    
+    if (!reason) return;
+    
+    console.warn(`[DataProducer] Closing data producer ${dataProducer.id} of peer ${peer.id}: ${reason}`);
+    
+    const room = rooms.get(peer.roomId);
+    if (transfer && room && room.fileTransfers.has(transfer.transferId)) {
+      endFileTransfer(room, transfer, 'aborted', reason);
+    } else if (peer.dataProducers.has(dataProducer.id)) {
+      closeDataProducerAndNotifyOthers(peer, { dataProducerId: dataProducer.id, reason });
+    }
+  }, checkInterval);
+  
+  dataProducer.observer.on('close', () => clearInterval(timer));
+}
+
+/**
+ * Announce a file a peer wants to send to the room, or to one peer
+ * Checks the size limits and returns the transfer id; the file itself then
+ * goes over a data channel opened with appData { transferId }. The sender
+ * gets 'fileTransferReady' once every recipient is consuming that channel.
+ * @param {Object} payload - { name, size, mimeType, sha256, toPeerId } (toPeerId optional)
+ */
+function startFileTransfer(peer, payload, requestId) {
+  const { name, size, mimeType = '', sha256, toPeerId } = payload;
+  const { maxFileSize, maxRoomBytes, chunkSize } = config.fileTransfer;
+  
+  const room = rooms.get(peer.roomId);
+  if (!room) {
+    throw new Error('Peer is not in a room');
+  }
+  
+  if (typeof name !== 'string' || !name || name.length > 255) {
+    throw new Error('Invalid file name');
+  }
+  
+  if (!Number.isInteger(size) || size <= 0) {
+    throw new Error('Invalid file size');
+  }
+  
+  if (typeof sha256 !== 'string' || !/^[0-9a-f]{64}$/.test(sha256)) {
+    throw new Error('A SHA-256 hash of the file is required');
+  }
+  
+  if (size > maxFileSize) {
+    throw new Error(`Files can be at most ${maxFileSize} bytes`);
+  }
+  
+  if (room.fileBytes + size > maxRoomBytes) {
+    throw new Error('This room has reached its file transfer limit');
+  }
+  
+  let recipients;
+  if (toPeerId) {
+    const recipient = peers.get(toPeerId);
+    if (!recipient || recipient.roomId !== room.id || recipient.id === peer.id) {
+      throw new Error('Recipient not found in this room');
+    }
+    recipients = [toPeerId];
+  } else {
+    recipients = Array.from(room.peers).filter(id => id !== peer.id);
+  }
+  
+  if (recipients.length === 0) {
+    throw new Error('Nobody to send the file to');
+  }
+  
+  const transfer = {
+    transferId: crypto.randomUUID(),
+    peerId: peer.id,
+    name,
+    size,
+    mimeType: String(mimeType).slice(0, 255),
+    sha256,
+    toPeerId: toPeerId || null,
+    recipients: new Set(recipients),
+    pendingRecipients: new Set(recipients),     // Not consuming the data channel yet
+    unconfirmedRecipients: new Set(recipients), // Haven't reported the result yet
+    dataProducerId: null,
+    ready: false
+  };
+  
+  room.fileTransfers.set(transfer.transferId, transfer);
+  room.fileBytes += size;
+  
+  console.log(`[FileTransfer] Peer ${peer.id} sending '${name}' (${size} bytes) to ${toPeerId || 'the room'}:`, transfer.transferId);
+  
+  sendMessage(peer.socket, 'fileTransferStarted', {
+    transferId: transfer.transferId,
+    chunkSize,
+    maxBitrate: config.dataChannels.maxBitrate
+  }, requestId);
+  
+  const offer = {
+    transferId: transfer.transferId,
+    peerId: peer.id,
+    displayName: peer.displayName,
+    name,
+    size,
+    mimeType: transfer.mimeType,
+    sha256,
+    toPeerId: transfer.toPeerId
+  };
+  
+  recipients.forEach(recipientId => {
+    sendMessage(peers.get(recipientId).socket, 'fileTransferOffered', offer);
+  });
+}
+
+/**
+ * Get a transfer of the peer's room
+ */
+function getFileTransfer(peer, transferId) {
+  const room = rooms.get(peer.roomId);
+  const transfer = room && room.fileTransfers.get(transferId);
+  
+  if (!transfer) {
+    throw new Error('File transfer not found');
+  }
+  
+  return { room, transfer };
+}
+
+/**
+ * Tell the sender to start sending once every recipient consumes the data channel
+ * (data sent before a recipient consumes it would never reach that recipient)
+ */
+function checkFileTransferReady(transfer) {
+  if (transfer.ready || !transfer.dataProducerId || transfer.pendingRecipients.size > 0) return;
+  
+  transfer.ready = true;
+  
+  const sender = peers.get(transfer.peerId);
+  if (sender) {
+    sendMessage(sender.socket, 'fileTransferReady', { transferId: transfer.transferId });
+  }
+}
+
+/**
+ * Pause or resume sending (sender only); recipients are told so they can show it
+ */
+function setFileTransferPaused(peer, payload, requestId) {
+  const { transferId, paused } = payload;
+  const { transfer } = getFileTransfer(peer, transferId);
+  
+  if (transfer.peerId !== peer.id) {
+    throw new Error('Only the sender can pause a file transfer');
+  }
+  
+  transfer.recipients.forEach(recipientId => {
+    const recipient = peers.get(recipientId);
+    if (recipient) {
+      sendMessage(recipient.socket, 'fileTransferPaused', { transferId, paused: !!paused });
+    }
+  });
+  
+  sendMessage(peer.socket, 'fileTransferPausedSet', { transferId, paused: !!paused }, requestId);
+}
+
+/**
+ * Stop a transfer (sender only)
+ */
+function cancelFileTransfer(peer, payload, requestId) {
+  const { room, transfer } = getFileTransfer(peer, payload.transferId);
+  
+  if (transfer.peerId !== peer.id) {
+    throw new Error('Only the sender can cancel a file transfer');
+  }
+  
+  sendMessage(peer.socket, 'fileTransferCancelled', { transferId: transfer.transferId }, requestId);
+  endFileTransfer(room, transfer, 'cancelled', 'Cancelled by the sender');
+}
+
+/**
+ * A recipient got the whole file (ok: hash matched) or gave up on it (ok: false)
+ * The transfer ends once every recipient has reported
+ */
+function confirmFileTransferReceived(peer, payload, requestId) {
+  const { transferId, ok } = payload;
+  const { room, transfer } = getFileTransfer(peer, transferId);
+  
+  if (!transfer.unconfirmedRecipients.delete(peer.id)) {
+    throw new Error('Not a recipient of this file transfer');
+  }
+  
+  console.log(`[FileTransfer] Peer ${peer.id} ${ok ? 'received' : 'did not receive'} file transfer:`, transferId);
+  
+  const sender = peers.get(transfer.peerId);
+  if (sender) {
+    sendMessage(sender.socket, 'fileTransferReceived', { transferId, peerId: peer.id, ok: !!ok });
+  }
+  
+  sendMessage(peer.socket, 'fileTransferReceivedAck', { transferId }, requestId);
+  
+  if (transfer.unconfirmedRecipients.size === 0) {
+    endFileTransfer(room, transfer, 'completed');
+  }
+}
+
+/**
+ * Finish a transfer: close its data channel and tell the sender and recipients
+ * @param {string} status - 'completed', 'cancelled' or 'aborted'
+ */
+function endFileTransfer(room, transfer, status, reason) {
+  room.fileTransfers.delete(transfer.transferId);
+  
+  const sender = peers.get(transfer.peerId);
+  const dataProducerData = sender && sender.dataProducers.get(transfer.dataProducerId);
+  if (dataProducerData) {
+    dataProducerData.dataProducer.close();
+    sender.dataProducers.delete(transfer.dataProducerId);
+  }
+  
+  console.log(`[FileTransfer] File transfer ${transfer.transferId} ${status}`, reason ? `(${reason})` : '');
+  
+  const notification = { transferId: transfer.transferId, status, reason };
+  
+  [transfer.peerId, ...transfer.recipients].forEach(peerId => {
+    const peer = peers.get(peerId);
+    if (peer) {
+      sendMessage(peer.socket, 'fileTransferEnded', notification);
+    }
+  });
+}
+
+/**
+ * Drop a leaving peer from the room's transfers
+ * Transfers it was sending are cancelled; transfers it was receiving go on without it
+ */
+function removePeerFromFileTransfers(room, peerId) {
+  Array.from(room.fileTransfers.values()).forEach(transfer => {
+    if (transfer.peerId === peerId) {
+      endFileTransfer(room, transfer, 'cancelled', 'The sender left');
+      return;
+    }
+    
+    if (!transfer.recipients.delete(peerId)) return;
+    
+    transfer.pendingRecipients.delete(peerId);
+    transfer.unconfirmedRecipients.delete(peerId);
+    
+    if (transfer.recipients.size === 0) {
+      endFileTransfer(room, transfer, 'cancelled', 'All recipients left');
+    } else if (transfer.unconfirmedRecipients.size === 0) {
+      endFileTransfer(room, transfer, 'completed');
+    } else {
+      checkFileTransferReady(transfer);
+    }
+  });
+}
+
+/**
+ * Create a data consumer to deliver another peer's data channel to this peer
+ */
+async function createDataConsumerForRemoteDataProducer(peer, payload, requestId) {
+  const { dataProducerId } = payload;
+  
+  const producerPeer = findPeerByDataProducerId(dataProducerId);
+  if (!producerPeer || !peer.roomId || producerPeer.roomId !== peer.roomId) {
+    throw new Error('Data producer not found');
+  }
+  
+  const { dataProducer, recipients } = producerPeer.dataProducers.get(dataProducerId);
+  
+  const room = rooms.get(peer.roomId);
+  if (!room || !peer.router) {
+    throw new Error('Peer is not in a room');
+  }
+  
+  if (recipients && !recipients.has(peer.id)) {
+    throw new Error('Data producer not found');
+  }
+  
+  // Data producer lives on another router of the room: pipe it to ours first
+  if (producerPeer.router !== peer.router) {
+    await pipeProducerToRouter(room, dataProducer, producerPeer.router, peer.router, true);
+  }
+  
+  const recvTransport = Array.from(peer.transports.values())
+    .find(t => t.direction === 'recv');
+  
+  if (!recvTransport) {
+    throw new Error('Recv transport not found');
+  }
+  
+  if (!recvTransport.transport.sctpParameters) {
+    throw new Error('Recv transport was created without SCTP');
+  }
+  
+  const dataConsumer = await recvTransport.transport.consumeData({ dataProducerId });
+  
+  peer.dataConsumers.set(dataConsumer.id, {
+    dataConsumer,
+    dataProducerId,
+    producerPeerId: producerPeer.id
+  });
+  
+  dataConsumer.on('transportclose', () => {
+    peer.dataConsumers.delete(dataConsumer.id);
+  });
+  
+  dataConsumer.on('dataproducerclose', () => {
+    peer.dataConsumers.delete(dataConsumer.id);
+    sendMessage(peer.socket, 'dataConsumerClosed', { dataConsumerId: dataConsumer.id, dataProducerId });
+  });
+  
+  console.log(`[DataConsumer] Created data consumer for peer ${peer.id}:`, dataConsumer.id);
+  
+  const transfer = dataProducer.appData.transferId && room.fileTransfers.get(dataProducer.appData.transferId);
+  if (transfer) {
+    transfer.pendingRecipients.delete(peer.id);
+    checkFileTransferReady(transfer);
+  }
+  
+  sendMessage(peer.socket, 'dataConsumed', {
+    dataConsumerId: dataConsumer.id,
+    dataProducerId,
+    producerPeerId: producerPeer.id,
+    sctpStreamParameters: dataConsumer.sctpStreamParameters,
+    label: dataConsumer.label,
+    protocol: dataConsumer.protocol,
+    appData: dataProducer.appData
+  }, requestId);
+}
+
+/**
+ * Close one of the peer's data producers
+ * Data consumers of it are closed by mediasoup ('dataConsumerClosed')
+ */
+function closeDataProducerAndNotifyOthers(peer, payload, requestId) {
+  const { dataProducerId, reason } = payload;
+  
+  const dataProducerData = peer.dataProducers.get(dataProducerId);
+  if (!dataProducerData) {
+    throw new Error('Data producer not found');
+  }
+  
+  dataProducerData.dataProducer.close();
+  peer.dataProducers.delete(dataProducerId);
+  
+  console.log(`[DataProducer] Closed data producer for peer ${peer.id}:`, dataProducerId);
+  
+  const notification = { peerId: peer.id, dataProducerId, label: dataProducerData.label, reason };
+  
+  sendMessage(peer.socket, 'dataProducerClosed', notification, requestId);
+  
+  const room = rooms.get(peer.roomId);
+  if (room) {
+    broadcastToRoom(room, 'dataProducerClosed', notification, peer.id);
+  }
+}
+
+/**
+ * Keep the peer's consumer list and UI in sync with the consumer's lifecycle
+ * Notifies the client when the producer behind the consumer closes, pauses,
+ * resumes or changes simulcast/SVC layers
+ */
+function watchConsumerLifecycle(peer, consumer, producerId) {
+  const notification = { consumerId: consumer.id, producerId };
+  
+  consumer.on('transportclose', () => {
+    peer.consumers.delete(consumer.id);
+  });
+  
+  consumer.on('producerclose', () => {
+    console.log(`[Consumer] Producer closed, closing consumer for peer ${peer.id}:`, consumer.id);
+    peer.consumers.delete(consumer.id);
+    sendMessage(peer.socket, 'consumerClosed', notification);
+  });
+  
+  consumer.on('producerpause', () => {
+    sendMessage(peer.socket, 'consumerProducerPaused', notification);
+  });
+  
+  consumer.on('producerresume', () => {
+    sendMessage(peer.socket, 'consumerProducerResumed', notification);
+  });
+  
+  consumer.on('layerschange', (layers) => {
+    sendMessage(peer.socket, 'consumerLayersChanged', { ...notification, layers: layers || null });
+  });
+}
+
+/**
+ * Resume a paused consumer to start media flow
+ * Consumers are created paused and must be explicitly resumed
+ */
+async function resumePausedConsumer(peer, payload, requestId) {
+  const { consumerId } = payload;
+  
+  const consumerData = peer.consumers.get(consumerId);
+  if (!consumerData) {
+    throw new Error('Consumer not found');
+  }
+  
+  consumerData.clientResumed = true;
+  
+  // Outside last N: stays paused until the producer peer speaks again
+  if (!consumerData.lastNPaused) {
+    await consumerData.consumer.resume();
+  }
+  
+  sendMessage(peer.socket, 'consumerResumed', {
+    consumerId,
+    lastNPaused: consumerData.lastNPaused
+  }, requestId);
+}
+
+/**
+ * Whether a consumer is subject to last N (camera video only; audio and
+ * screen shares are always forwarded)
+ */
+function isLastNConsumer(consumerData) {
+  return consumerData.kind === 'video' && consumerData.source === 'camera';
+}
+
+/**
+ * Peers whose camera video is forwarded to the given peer
+ * The N most recent speakers (peers that never spoke follow in join order)
+ * @returns {Array|null} Peer ids, or null when last N is disabled for this peer
+ */
+function getForwardedPeerIds(room, peer) {
+  const lastN = peer.lastN !== null ? peer.lastN : room.lastN;
+  
+  if (!lastN) {
+    return null;
+  }
+  
+  return room.speakerHistory.filter(id => id !== peer.id).slice(0, lastN);
+}
+
+/**
+ * Enforce last N for every peer of the room
+ * Pauses camera consumers of peers outside each peer's last N on the server,
+ * resumes the ones back inside, and tells clients which peers are forwarded
+ */
+async function applyLastN(room) {
+  for (const peerId of room.peers) {
+    const peer = peers.get(peerId);
+    if (!peer) continue;
+    
+    const forwardedPeerIds = getForwardedPeerIds(room, peer);
+    
+    for (const consumerData of peer.consumers.values()) {
+      if (!isLastNConsumer(consumerData)) continue;
+      
+      const forwarded = forwardedPeerIds === null || forwardedPeerIds.includes(consumerData.producerPeerId);
+      await setConsumerLastNPaused(consumerData, !forwarded);
+    }
+    
+    // Only notify the client when its selection actually changed
+    const selection = forwardedPeerIds === null ? null : forwardedPeerIds.join(',');
+    if (peer.lastNSelection !== selection) {
+      peer.lastNSelection = selection;
+      sendMessage(peer.socket, 'lastNUpdated', {
+        lastN: peer.lastN !== null ? peer.lastN : room.lastN,
+        forwardedPeerIds
+      });
+    }
+  }
+}
+
+/**
+ * Pause or resume a consumer on the server because of last N
+ * Consumers the client hasn't resumed yet are only marked; resumeConsumer honours the mark
+ */
+async function setConsumerLastNPaused(consumerData, paused) {
+  const { consumer } = consumerData;
+  
+  if (consumerData.lastNPaused === paused) return;
+  consumerData.lastNPaused = paused;
+  
+  if (!consumerData.clientResumed || consumer.closed) return;
+  
+  if (paused) {
+    await consumer.pause();
+  } else {
+    await consumer.resume();
+  }
+}
+
+/**
+ * Validate a last N value from a client (non-negative integer, 0 = forward all)
+ */
+function validateLastN(lastN) {
+  if (!Number.isInteger(lastN) || lastN < 0) {
+    throw new Error('lastN must be a non-negative integer');
+  }
+}
+
+/**
+ * Set how many camera videos this peer receives (e.g. lower on mobile)
+ * Pass null to go back to the room's setting
+ */
+function setPeerLastN(peer, payload, requestId) {
+  const { lastN } = payload;
+  
+  if (lastN !== null) {
+    validateLastN(lastN);
+  }
+  
+  peer.lastN = lastN;
+  console.log(`[Peer] Peer ${peer.id} set last N to:`, lastN);
+  
+  const room = rooms.get(peer.roomId);
+  if (room) {
+    applyLastN(room).catch((error) => {
+      console.error(`[Room] Failed to apply last N in room ${room.id}:`, error);
+    });
+  }
+  
+  sendMessage(peer.socket, 'lastNSet', { lastN }, requestId);
+}
+
+/**
+ * Set how many camera videos every peer of the room receives by default
+ * Only hosts can change it
+ */
+function setRoomLastN(peer, payload, requestId) {
+  const { lastN } = payload;
+  
+  const room = getHostedRoom(peer);
+  
+  validateLastN(lastN);
+  
+  room.lastN = lastN;
+  console.log(`[Room] Room ${room.id} last N set to:`, lastN);
+  
+  applyLastN(room).catch((error) => {
+    console.error(`[Room] Failed to apply last N in room ${room.id}:`, error);
+  });
+  
+  sendMessage(peer.socket, 'roomLastNSet', { lastN }, requestId);
+  broadcastToRoom(room, 'roomLastNSet', { lastN }, peer.id);
+}
+
+/**
+ * Send a chat message to the whole room, or directly to one peer
+ * Room-wide messages are kept in the room's chat history (capped at
+ * config.room.chatHistorySize) for peers joining later; direct messages are not stored
+ * @param {Object} payload - { text, toPeerId } where toPeerId is optional
+ */
+function sendChatMessage(peer, payload, requestId) {
+  const { text, toPeerId } = payload;
+  
+  const room = rooms.get(peer.roomId);
+  if (!room) {
+    throw new Error('Peer is not in a room');
+  }
+  
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Message text is required');
+  }
+  
+  if (text.length > MAX_CHAT_MESSAGE_LENGTH) {
+    throw new Error(`Message is longer than ${MAX_CHAT_MESSAGE_LENGTH} characters`);
+  }
+  
+  const message = {
+    messageId: crypto.randomUUID(),
+    peerId: peer.id,
+    displayName: peer.displayName,
+    text: text.trim(),
+    timestamp: Date.now()
+  };
+  
+  if (toPeerId) {
+    const recipient = peers.get(toPeerId);
+    if (!recipient || recipient.roomId !== room.id) {
+      throw new Error('Recipient not found in this room');
+    }
+    
+    message.toPeerId = toPeerId;
+    sendMessage(recipient.socket, 'chatMessage', message);
+  } else {
+    room.chatHistory.push(message);
+    if (room.chatHistory.length > config.room.chatHistorySize) {
+      room.chatHistory.shift();
+    }
+    
+    broadcastToRoom(room, 'chatMessage', message, peer.id);
+  }
+  
+  sendMessage(peer.socket, 'chatMessageSent', message, requestId);
+}
+
+/**
+ * Update a peer's display name and/or metadata mid-call
+ * Fields left out of the payload keep their current value
+ */
+function updatePeerInfoAndNotifyOthers(peer, payload, requestId) {
+  const { displayName, metadata } = payload;
+  
+  if (displayName !== undefined) {
+    if (peer.auth && peer.auth.displayName) {
+      throw new Error('Display name is set by your access token');
+    }
+    peer.displayName = sanitizeDisplayName(displayName, peer.id);
+  }
+  
+  if (metadata !== undefined) {
+    peer.metadata = sanitizeMetadata(metadata);
+  }
+  
+  console.log(`[Peer] Updated info for peer ${peer.id}:`, peer.displayName);
+  
+  sendMessage(peer.socket, 'peerInfoUpdated', getPeerInfo(peer), requestId);
+  
+  const room = rooms.get(peer.roomId);
+  if (room) {
+    broadcastToRoom(room, 'peerInfoUpdated', getPeerInfo(peer), peer.id);
+  }
+}
+
+/**
+ * Choose which simulcast/SVC layers a consumer should forward
+ * Lets clients pull low layers for thumbnails and high layers for the
+ * spotlighted tile; mediasoup falls back to lower layers if bandwidth is short
+ */
+async function setConsumerPreferredLayers(peer, payload, requestId) {
+  const { consumerId, spatialLayer, temporalLayer } = payload;
+  
+  const consumerData = peer.consumers.get(consumerId);
+  if (!consumerData) {
+    throw new Error('Consumer not found');
+  }
+  
+  const { consumer } = consumerData;
+  
+  if (consumer.type !== 'simulcast' && consumer.type !== 'svc') {
+    throw new Error('Consumer has no layers to choose from');
+  }
+  
+  if (!Number.isInteger(spatialLayer) || spatialLayer < 0) {
+    throw new Error('Invalid spatial layer');
+  }
+  
+  if (temporalLayer !== undefined && (!Number.isInteger(temporalLayer) || temporalLayer < 0)) {
+    throw new Error('Invalid temporal layer');
+  }
+  
+  await consumer.setPreferredLayers({ spatialLayer, temporalLayer });
+  
+  sendMessage(peer.socket, 'consumerPreferredLayersSet', {
+    consumerId,
+    preferredLayers: consumer.preferredLayers || null
+  }, requestId);
+}
+
+/**
+ * Start recording the room (hosts only)
+ */
+async function startRecordingFromHost(peer, requestId) {
+  const room = getHostedRoom(peer);
+  
+  if (room.recording) {
+    throw new Error('The room is already being recorded');
+  }
+  
+  const recording = await startRoomRecording(room, peer);
+  
+  const notification = { recordingId: recording.recordingId, startedBy: peer.id };
+  
+  sendMessage(peer.socket, 'recordingStarted', notification, requestId);
+  broadcastToRoom(room, 'recordingStarted', notification, peer.id);
+}
+
+/**
+ * Stop recording the room (hosts only); everyone is told once the files are written
+ */
+async function stopRecordingFromHost(peer, requestId) {
+  const room = getHostedRoom(peer);
+  
+  if (!room.recording) {
+    throw new Error('The room is not being recorded');
+  }
+  
+  if (room.recording.starting) {
+    throw new Error('The recording is still starting');
+  }
+  
+  const recording = await stopRoomRecording(room);
+  
+  const notification = {
+    recordingId: recording.recordingId,
+    stoppedBy: peer.id,
+    files: recording.files.map(file => path.basename(file.file))
+  };
+  
+  sendMessage(peer.socket, 'recordingStopped', notification, requestId);
+  broadcastToRoom(room, 'recordingStopped', notification, peer.id);
+}
+
+/**
+ * Start recording every audio and video producer of the room
+ * Each producer is consumed on a PlainTransport of the primary router and
+ * sent as plain RTP to its own recorder process (FFmpeg by default), which
+ * writes it to a file: Opus to .ogg, VP8/VP9 to .webm, H264 to .mkv.
+ * Producers added later are recorded from then on; a producer that closes
+ * finalizes its file. A recording.json next to the files lists every track
+ * with its start and end time, for syncing them afterwards.
+ * room.recording is set before the first await, so a second start is refused
+ * while this one is still setting up.
+ * @returns {Object} The recording
+ */
+async function startRoomRecording(room, peer) {
+  const recordingId = crypto.randomUUID();
+  const startedAt = new Date();
+  
+  const safeRoomId = room.id.replace(/[^a-zA-Z0-9_-]/g, '_');
+  const directory = path.resolve(
+    config.recording.directory,
+    `${safeRoomId}-${startedAt.toISOString().replace(/[:.]/g, '-')}`
+  );
+  
+  const recording = {
+    recordingId,
+    directory,
+    startedAt,
+    startedBy: peer.id,
+    starting: true,    // Until the directory exists (no tracks are added before)
+    tracks: new Map(), // Producer id -> track being recorded
+    files: []          // Every track recorded so far
+  };
+  room.recording = recording;
+  
+  try {
+    await fs.promises.mkdir(directory, { recursive: true });
+  } catch (error) {
+    if (room.recording === recording) {
+      room.recording = null;
+    }
+    throw error;
+  }
+  
+  recording.starting = false;
+  
+  console.log(`[Recording] Recording room ${room.id} to ${directory}`);
+  
+  await addRoomProducersToRecording(room);
+  
+  return recording;
+}
+
+/**
+ * Record the room's producers that aren't being recorded yet
+ */
+async function addRoomProducersToRecording(room) {
+  for (const peerId of room.peers) {
+    const peer = peers.get(peerId);
+    if (!peer) continue;
+    
+    for (const { producer } of peer.producers.values()) {
+      await addProducerToRecording(room, peer, producer).catch((error) => {
+        console.error(`[Recording] Failed to record producer ${producer.id}:`, error);
+      });
+    }
+  }
+}
+
+/**
+ * Record one producer into its own file
+ */
+async function addProducerToRecording(room, peer, producer) {
+  const { recording } = room;
+  if (!recording || recording.starting || recording.tracks.has(producer.id) || producer.closed) return;
+  
+  const { source } = peer.producers.get(producer.id);
+  
+  if (peer.router !== room.router) {
+    await pipeProducerToRouter(room, producer, peer.router, room.router);
+  }
+  
+  const { listenIp } = config.recording;
+  const rtpPort = allocateRecordingPorts();
+  const rtcpPort = rtpPort + 1;
+  
+  const track = {
+    peerId: peer.id,
+    displayName: peer.displayName,
+    producerId: producer.id,
+    kind: producer.kind,
+    source,
+    file: null,
+    transport: null,
+    consumer: null,
+    process: null,
+    startedAt: new Date(),
+    stoppedAt: null,
+    stopped: null // Resolves once the recorder process has exited
+  };
+  recording.tracks.set(producer.id, track);
+  
+  try {
+    track.transport = await room.router.createPlainTransport({
+      listenIp: { ip: listenIp },
+      rtcpMux: false,
+      comedia: false
+    });
+    
+    await track.transport.connect({ ip: listenIp, port: rtpPort, rtcpPort });
+    
+    // Consumed with the router's own capabilities: every codec the room uses is
+    // recordable, and simulcast/SVC video is recorded at its best layer
+    track.consumer = await track.transport.consume({
+      producerId: producer.id,
+      rtpCapabilities: room.router.rtpCapabilities,
+      paused: true
+    });
+    
+    const codec = track.consumer.rtpParameters.codecs[0];
+    const extension = getRecordingFileExtension(codec.mimeType);
+    track.file = path.join(recording.directory, `${peer.id}-${source}-${producer.id}.${extension}`);
+    
+    track.process = spawnRecorder(track, createRecordingSdp(track.consumer, rtpPort, rtcpPort));
+    track.stopped = new Promise(resolve => track.process.once('close', resolve))
+      .finally(() => releaseRecordingPorts(rtpPort));
+  } catch (error) {
+    recording.tracks.delete(producer.id);
+    if (track.transport) track.transport.close();
+    releaseRecordingPorts(rtpPort);
+    throw error;
+  }
+  
+  // The recording was stopped while this track was being set up
+  if (track.stoppedAt) {
+    closeRecordingTrack(track);
+    return;
+  }
+  
+  // The track ends with its producer (or the router, if its worker dies)
+  track.consumer.on('producerclose', () => {
+    stopRecordingTrack(room, track);
+  });
+  track.consumer.on('transportclose', () => {
+    stopRecordingTrack(room, track);
+  });
+  
+  // Give the recorder time to open its ports before media flows
+  setTimeout(async () => {
+    if (track.consumer.closed) return;
+    
+    try {
+      await track.consumer.resume();
+      if (track.kind === 'video') {
+        await track.consumer.requestKeyFrame();
+      }
+    } catch (error) {
+      console.error(`[Recording] Failed to start recording producer ${producer.id}:`, error);
+    }
+  }, config.recording.startDelay);
+  
+  console.log(`[Recording] Recording ${track.kind} (${source}) of peer ${peer.id} to`, track.file);
+}
+
+/**
+ * Stop recording a track and let its recorder finalize the file
+ */
+function stopRecordingTrack(room, track) {
+  const { recording } = room;
+  if (!recording || recording.tracks.get(track.producerId) !== track) {
+    return track.stopped;
+  }
+  
+  recording.tracks.delete(track.producerId);
+  track.stoppedAt = new Date();
+  
+  // Still being set up: addProducerToRecording closes it once ready
+  if (!track.process) return;
+  
+  closeRecordingTrack(track);
+  
+  recording.files.push({
+    peerId: track.peerId,
+    displayName: track.displayName,
+    producerId: track.producerId,
+    kind: track.kind,
+    source: track.source,
+    file: track.file,
+    startedAt: track.startedAt,
+    stoppedAt: track.stoppedAt
+  });
+  
+  console.log(`[Recording] Stopped recording producer ${track.producerId}`);
+  
+  return track.stopped;
+}
+
+/**
+ * Stop sending media to a track's recorder and ask it to finish the file
+ * SIGINT lets FFmpeg write the file trailer; it's killed if it doesn't exit
+ */
+function closeRecordingTrack(track) {
+  if (!track.consumer.closed) track.consumer.close();
+  if (!track.transport.closed) track.transport.close();
+  
+  if (track.process.exitCode === null) {
+    track.process.kill('SIGINT');
+    
+    const killTimer = setTimeout(() => track.process.kill('SIGKILL'), config.recording.stopTimeout);
+    track.stopped.then(() => clearTimeout(killTimer));
+  }
+}
+
+/**
+ * Stop the room's recording, wait for every file to be finalized and write recording.json
+ * @returns {Object} The finished recording
+ */
+async function stopRoomRecording(room) {
+  const { recording } = room;
+  
+  // Nothing was recorded yet (the room closed while the recording started)
+  if (recording.starting) {
+    room.recording = null;
+    return recording;
+  }
+  
+  await Promise.all(
+    Array.from(recording.tracks.values()).map(track => stopRecordingTrack(room, track))
+  );
+  
+  room.recording = null;
+  
+  await fs.promises.writeFile(path.join(recording.directory, 'recording.json'), JSON.stringify({
+    recordingId: recording.recordingId,
+    roomId: room.id,
+    startedAt: recording.startedAt,
+    stoppedAt: new Date(),
+    tracks: recording.files.map(file => ({ ...file, file: path.basename(file.file) }))
+  }, null, 2));
+  
+  console.log(`[Recording] Finished recording of room ${room.id}:`, recording.directory);
+  
+  return recording;
+}
+
+/**
+ * Describe a PlainTransport consumer's RTP stream as SDP for the recorder
+ */
+function createRecordingSdp(consumer, rtpPort, rtcpPort) {
+  const { listenIp } = config.recording;
+  const codec = consumer.rtpParameters.codecs[0];
+  const codecName = codec.mimeType.split('/')[1];
+  
+  const rtpmap = codec.channels > 1
+    ? `${codec.payloadType} ${codecName}/${codec.clockRate}/${codec.channels}`
+    : `${codec.payloadType} ${codecName}/${codec.clockRate}`;
+  
+  const fmtp = Object.entries(codec.parameters || {})
+    .map(([key, value]) => `${key}=${value}`)
+    .join(';');
+  
+  return [
+    'v=0',
+    `o=- 0 0 IN IP4 ${listenIp}`,
+    's=mediasoup recording',
+    `c=IN IP4 ${listenIp}`,
+    't=0 0',
+    `m=${consumer.kind} ${rtpPort} RTP/AVP ${codec.payloadType}`,
+    `a=rtpmap:${rtpmap}`,
+    ...(fmtp ? [`a=fmtp:${codec.payloadType} ${fmtp}`] : []),
+    `a=rtcp:${rtcpPort}`,
+    'a=recvonly',
+    ''
+  ].join('\n');
+}
+
+/**
+ * File type a codec is recorded to (stream copied, not transcoded)
+ */
+function getRecordingFileExtension(mimeType) {
+  switch (mimeType.toLowerCase()) {
+    case 'audio/opus':
+      return 'ogg';
+    case 'video/vp8':
+    case 'video/vp9':
+      return 'webm';
+    default:
+      return 'mkv';
+  }
+}
+
+/**
+ * Start a recorder process reading the SDP from its stdin
+ * The command line is built from config.recording.command, where {file}
+ * is replaced with the output file
+ */
+function spawnRecorder(track, sdp) {
+  const [command, ...args] = config.recording.command.map(arg => arg.replace('{file}', track.file));
+  
+  const recorder = spawn(command, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+  
+  recorder.on('error', (error) => {
+    console.error(`[Recording] Recorder for producer ${track.producerId} failed:`, error.message);
+  });
+  
+  recorder.on('close', (code, signal) => {
+    console.log(`[Recording] Recorder for producer ${track.producerId} exited (${signal || code})`);
+  });
+  
+  // Keep the tail of the recorder's output for when something goes wrong
+  let output = '';
+  recorder.stderr.on('data', (chunk) => {
+    output = (output + chunk).slice(-2000);
+  });
+  recorder.on('close', (code) => {
+    if (code && code !== 255) {
+      console.error(`[Recording] Recorder output for producer ${track.producerId}:\n${output}`);
+    }
+  });
+  
+  recorder.stdin.on('error', () => {}); // The process may exit before reading it
+  recorder.stdin.end(sdp);
+  
+  return recorder;
+}
+
+/**
+ * Reserve an RTP/RTCP port pair for a recorder process
+ * @returns {number} RTP port (RTCP uses the next one)
+ */
+function allocateRecordingPorts() {
+  const { minPort, maxPort } = config.recording;
+  
+  for (let port = minPort; port < maxPort; port += 2) {
+    if (!recordingPorts.has(port)) {
+      recordingPorts.add(port);
+      return port;
+    }
+  }
+  
+  throw new Error('No free recording ports');
+}
+
+function releaseRecordingPorts(rtpPort) {
+  recordingPorts.delete(rtpPort);
+}
+
+/**
+ * Capture a producer's raw RTP (and the RTCP about it) to a file, for
+ * reproducing codec and packet loss problems offline
+ * The producer is consumed on a DirectTransport of its router, so packets
+ * reach Node.js untouched. The capture stops after its duration, once the file
+ * reaches config.capture.maxBytes, when the producer closes, or when stopped
+ * through the API.
+ * @param {Object} options - { producerId, format: 'pcap' | 'rtpdump', duration (seconds) }
+ */
+async function startRtpCapture(room, options = {}) {
+  const { producerId, format = 'pcap', duration = config.capture.maxDuration } = options;
+  
+  const peer = findPeerByProducerId(producerId);
+  if (!peer || peer.roomId !== room.id) {
+    throw new Error('Producer not found in this room');
+  }
+  
+  if (!['pcap', 'rtpdump'].includes(format)) {
+    throw new Error('format must be "pcap" or "rtpdump"');
+  }
+  
+  if (!Number.isFinite(duration) || duration < 1 || duration > config.capture.maxDuration) {
+    throw new Error(`duration must be between 1 and ${config.capture.maxDuration} seconds`);
+  }
+  
+  const { producer, kind, source } = peer.producers.get(producerId);
+  
+  const captureId = crypto.randomUUID();
+  const startedAt = new Date();
+  
+  await fs.promises.mkdir(config.capture.directory, { recursive: true });
+  
+  const file = path.resolve(
+    config.capture.directory,
+    `${peer.id}-${source}-${startedAt.toISOString().replace(/[:.]/g, '-')}.${format}`
+  );
+  
+  const transport = await peer.router.createDirectTransport();
+  
+  let consumer;
+  try {
+    consumer = await transport.consume({
+      producerId,
+      rtpCapabilities: peer.router.rtpCapabilities
+    });
+  } catch (error) {
+    transport.close();
+    throw error;
+  }
+  
+  const capture = {
+    captureId,
+    peerId: peer.id,
+    producerId,
+    kind,
+    source,
+    format,
+    file,
+    startedAt,
+    stoppedAt: null,
+    stopReason: null,
+    packets: 0,
+    bytes: 0,
+    transport,
+    consumer,
+    writer: createCaptureWriter(format, file, startedAt),
+    timer: null
+  };
+  
+  room.captures.set(captureId, capture);
+  
+  const writePacket = (packet, rtcp) => {
+    if (capture.stoppedAt) return;
+    
+    capture.writer.write(packet, rtcp);
+    capture.packets++;
+    capture.bytes += packet.length;
+    
+    if (capture.bytes >= config.capture.maxBytes) {
+      stopRtpCapture(room, capture, 'maxBytes');
+    }
+  };
+  
+  consumer.on('rtp', packet => writePacket(packet, false));
+  transport.on('rtcp', packet => writePacket(packet, true));
+  
+  consumer.on('producerclose', () => stopRtpCapture(room, capture, 'producerClosed'));
+  consumer.on('transportclose', () => stopRtpCapture(room, capture, 'routerClosed'));
+  
+  capture.timer = setTimeout(() => stopRtpCapture(room, capture, 'duration'), duration * 1000);
+  
+  // Start with a key frame so the capture can be decoded
+  if (kind === 'video') {
+    await consumer.requestKeyFrame().catch(() => {});
+  }
+  
+  console.log(`[Capture] Capturing ${kind} (${source}) of peer ${peer.id} to`, file);
+  
+  return capture;
+}
+
+/**
+ * Stop an RTP capture and close its file
+ * @param {string} reason - 'stopped', 'duration', 'maxBytes', 'producerClosed' or 'routerClosed'
+ * @returns {Promise} Resolves once the file is complete
+ */
+function stopRtpCapture(room, capture, reason) {
+  if (capture.stoppedAt) {
+    return capture.writer.closed;
+  }
+  
+  capture.stoppedAt = new Date();
+  capture.stopReason = reason;
+  clearTimeout(capture.timer);
+  
+  if (!capture.transport.closed) {
+    capture.transport.close();
+  }
+  
+  capture.writer.close();
+  
+  console.log(`[Capture] Stopped capture ${capture.captureId} (${reason}): ${capture.packets} packets in`, capture.file);
+  
+  // Stopped captures stay listed for a while so their file can be found
+  setTimeout(() => room.captures.delete(capture.captureId), config.capture.keepStoppedFor * 1000);
+  
+  return capture.writer.closed;
+}
+
+function getCaptureInfo(capture) {
+  return {
+    captureId: capture.captureId,
+    peerId: capture.peerId,
+    producerId: capture.producerId,
+    kind: capture.kind,
+    source: capture.source,
+    format: capture.format,
+    file: capture.file,
+    startedAt: capture.startedAt,
+    stoppedAt: capture.stoppedAt,
+    stopReason: capture.stopReason,
+    packets: capture.packets,
+    bytes: capture.bytes
+  };
+}
+
+/**
+ * Open a capture file and return { write(packet, rtcp), close(), closed }
+ * pcap: raw IPv4/UDP packets from 127.0.0.1 (RTP to port 5004, RTCP to 5005),
+ *   open in Wireshark and use "Decode As... RTP" on those ports
+ * rtpdump: rtptools format (rtpplay, rtpdump), RTCP marked with plen 0
+ */
+function createCaptureWriter(format, file, startedAt) {
+  const stream = fs.createWriteStream(file);
+  const closed = new Promise((resolve) => {
+    stream.on('close', resolve);
+    stream.on('error', (error) => {
+      console.error(`[Capture] Failed to write ${file}:`, error.message);
+      resolve();
+    });
+  });
+  
+  const startMs = startedAt.getTime();
+  
+  if (format === 'pcap') {
+    const header = Buffer.alloc(24);
+    header.writeUInt32LE(0xa1b2c3d4, 0); // Magic (microsecond timestamps)
+    header.writeUInt16LE(2, 4);          // Version 2.4
+    header.writeUInt16LE(4, 6);
+    header.writeUInt32LE(65535, 16);     // Snapshot length
+    header.writeUInt32LE(101, 20);       // LINKTYPE_RAW (packets start with the IP header)
+    stream.write(header);
+  } else {
+    stream.write('#!rtpplay1.0 127.0.0.1/5004\n');
+    
+    const header = Buffer.alloc(16);
+    header.writeUInt32BE(Math.floor(startMs / 1000), 0);  // Start (seconds)
+    header.writeUInt32BE((startMs % 1000) * 1000, 4);     // Start (microseconds)
+    header.writeUInt32BE(0x7f000001, 8);                  // Source address
+    header.writeUInt16BE(5004, 12);                       // Source port
+    stream.write(header);
+  }
+  
+  const write = (packet, rtcp) => {
+    const now = Date.now();
+    
+    if (format === 'pcap') {
+      const ipPacket = wrapInIpv4Udp(packet, rtcp ? 5005 : 5004);
+      
+      const record = Buffer.alloc(16);
+      record.writeUInt32LE(Math.floor(now / 1000), 0);
+      record.writeUInt32LE((now % 1000) * 1000, 4);
+      record.writeUInt32LE(ipPacket.length, 8);
+      record.writeUInt32LE(ipPacket.length, 12);
+      stream.write(Buffer.concat([record, ipPacket]));
+    } else {
+      const record = Buffer.alloc(8);
+      record.writeUInt16BE(packet.length + 8, 0);      // Record length
+      record.writeUInt16BE(rtcp ? 0 : packet.length, 2); // RTP length (0 for RTCP)
+      record.writeUInt32BE(now - startMs, 4);          // Milliseconds since the start
+      stream.write(Buffer.concat([record, packet]));
+    }
+  };
+  
+  return { write, close: () => stream.end(), closed };
+}
+
+/**
+ * Put a packet in a minimal IPv4 + UDP header (127.0.0.1 -> 127.0.0.1) for pcap files
+ */
+function wrapInIpv4Udp(payload, port) {
+  const header = Buffer.alloc(28);
+  
+  // IPv4
+  header.writeUInt8(0x45, 0);                    // Version 4, 20-byte header
+  header.writeUInt16BE(28 + payload.length, 2);  // Total length
+  header.writeUInt8(64, 8);                      // TTL
+  header.writeUInt8(17, 9);                      // Protocol: UDP
+  header.writeUInt32BE(0x7f000001, 12);          // Source 127.0.0.1
+  header.writeUInt32BE(0x7f000001, 16);          // Destination 127.0.0.1
+  
+  let sum = 0;
+  for (let i = 0; i < 20; i += 2) {
+    sum += header.readUInt16BE(i);
+  }
+  while (sum > 0xffff) {
+    sum = (sum & 0xffff) + (sum >>> 16);
+  }
+  header.writeUInt16BE(~sum & 0xffff, 10);       // Header checksum
+  
+  // UDP (checksum 0 = none, allowed over IPv4)
+  header.writeUInt16BE(port, 20);
+  header.writeUInt16BE(port, 22);
+  header.writeUInt16BE(8 + payload.length, 24);
+  
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * CORS for WHIP and WHEP, so browser-based encoders and players work too
+ */
+function allowWhipWhepCors(req, res, next) {
+  res.set({
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Expose-Headers': 'Location'
+  });
+  
+  if (req.method === 'OPTIONS') {
+    res.status(204).end();
+    return;
+  }
+  
+  next();
+}
+
+/**
+ * Check the Bearer token of a WHIP or WHEP request for a room
+ * Accepted: the admin API key, an invite for the room (as created with
+ * 'Invite' or the API), or an access token allowed in the room when
+ * authentication is enabled
+ * @returns {Object} { admin, invite, auth }: whether the token is the admin key,
+ *   the invite it is (or null), and the access token claims (or null)
+ */
+function authenticateWhipWhepRequest(req, roomId) {
+  const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+  if (!match) {
+    throw createSignalingError('Missing Bearer token', 'unauthorized');
+  }
+  
+  const token = match[1];
+  
+  const { adminKey } = config.api;
+  if (adminKey && token.length === adminKey.length &&
+      crypto.timingSafeEqual(Buffer.from(token), Buffer.from(adminKey))) {
+    return { admin: true, invite: null, auth: null };
+  }
+  
+  try {
+    verifyRoomInvite(token, roomId);
+    return { admin: false, invite: token, auth: null };
+  } catch (error) {
+    // Not an invite, maybe an access token
+  }
+  
+  if (config.auth.enabled) {
+    try {
+      const auth = authenticateUpgradeRequest({ url: `/?token=${encodeURIComponent(token)}` });
+      if (auth.rooms === '*' || auth.rooms.includes(roomId)) {
+        return { admin: false, invite: null, auth };
+      }
+    } catch (error) {
+      throw createSignalingError(error.message, 'unauthorized');
+    }
+  }
+  
+  throw createSignalingError('Invalid token for this room', 'unauthorized');
+}
+
+/**
+ * WHIP POST: take an SDP offer, publish its audio/video into the room as a
+ * virtual peer and answer with the SDP of the server side
+ * Room peers see the stream like any other peer's ('newPeer', 'newProducer');
+ * the Location header is the resource to DELETE to stop publishing.
+ */
+async function handleWhipPublish(req, res) {
+  const { roomId } = req.params;
+  
+  if (!req.is('application/sdp') || typeof req.body !== 'string') {
+    return res.status(415).json({ error: 'Expected an application/sdp offer' });
+  }
+  
+  let access;
+  try {
+    access = authenticateWhipWhepRequest(req, roomId);
+  } catch (error) {
+    return res.status(401).json({ error: error.message });
+  }
+  
+  const { auth } = access;
+  if (auth && auth.role === 'viewer') {
+    return res.status(403).json({ error: 'Viewers cannot publish media' });
+  }
+  
+  let offer;
+  try {
+    offer = parseSdpOffer(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  const peer = createIngestPeer('whip', req.query.name || (auth && auth.displayName) || 'WHIP stream', auth, req.socket.remoteAddress);
+  const peerId = peer.id;
+  
+  try {
+    const room = await getOrCreateRoom(roomId);
+    
+    await runRoomJoin(room, async () => {
+      if (room.bans.has(getBanKey(peer))) {
+        throw createSignalingError('You are banned from this room', 'banned');
+      }
+      
+      // Same checks as a WebSocket join; the admin key is trusted with both
+      if (!access.admin) {
+        // An invite as the Bearer token stands in for the password
+        await assertRoomAccess(peer, room, null, access.invite);
+        
+        // An encoder can't wait in the lobby, so only hosts get past it
+        if (room.lobbyEnabled && room.peers.size > 0 && !(auth && auth.role === 'host')) {
+          throw createSignalingError('This room has a lobby: publish with the admin key', 'lobby');
+        }
+      }
+      
+      await completeRoomJoin(room, peer);
+    });
+    
+    const transport = await createWebRtcTransport(peer.router, peerId, 'send');
+    peer.transports.set(transport.id, { transport, direction: 'send' });
+    watchIngestTransport(peer, transport);
+    
+    const answer = await publishWhipOffer(peer, transport, offer);
+    
+    console.log(`[WHIP] Peer ${peerId} publishing ${peer.producers.size} track(s) into room ${roomId}`);
+    
+    res.status(201)
+      .type('application/sdp')
+      .location(`/whip/${encodeURIComponent(roomId)}/${peerId}`)
+      .send(answer);
+  } catch (error) {
+    console.error('[WHIP] Error publishing:', error);
+    handlePeerDisconnection(peerId);
+    res.status(WHIP_REFUSED_CODES.includes(error.code) ? 403 : 400).json({ error: error.message });
+  }
+}
+
+/**
+ * Create the virtual peer of an encoder publishing into a room
+ * It has no WebSocket, so messages sent to it are dropped
+ * @param {string} ingest - 'whip' or 'rtp'
+ */
+function createIngestPeer(ingest, displayName, auth, remoteAddress) {
+  const peerId = generatePeerId();
+  const socket = { readyState: WebSocket.CLOSED, send: () => {}, close: () => {} };
+  
+  const peer = createPeer(peerId, socket, auth, remoteAddress);
+  peer.ingest = ingest;
+  peer.role = 'participant';
+  peer.displayName = sanitizeDisplayName(displayName, peerId);
+  peer.metadata = { ingest };
+  
+  peers.set(peerId, peer);
+  
+  return peer;
+}
+
+/**
+ * WHIP DELETE: stop publishing and remove the virtual peer
+ */
+function handleWhipDelete(req, res) {
+  const { roomId, resourceId } = req.params;
+  
+  const peer = peers.get(resourceId);
+  if (!peer || peer.ingest !== 'whip' || peer.roomId !== roomId) {
+    return res.status(404).json({ error: 'Resource not found' });
+  }
+  
+  try {
+    authenticateWhipWhepRequest(req, roomId);
+  } catch (error) {
+    return res.status(401).json({ error: error.message });
+  }
+  
+  console.log(`[WHIP] Peer ${peer.id} stopped publishing`);
+  handlePeerDisconnection(peer.id);
+  
+  res.status(200).end();
+}
+
+/**
+ * Remove an ingest peer when the router of one of its transports closes (its
+ * worker died): unlike the web client, an encoder can't rebuild its transports
+ * on 'routerRestarted', so it has to publish again
+ */
+function removeIngestPeerOnRouterClose(peer, transport) {
+  transport.on('routerclose', () => {
+    if (isPeerConnected(peer)) {
+      console.log(`[Room] Removing ingest peer ${peer.id}: its router closed`);
+      handlePeerDisconnection(peer.id);
+    }
+  });
+}
+
+/**
+ * Remove an ingest peer whose encoder went away without saying so
+ * (DTLS closed or failed, ICE disconnected for config.whip.disconnectTimeout,
+ * or its router closed)
+ */
+function watchIngestTransport(peer, transport) {
+  let disconnectTimer = null;
+  
+  const remove = (reason) => {
+    clearTimeout(disconnectTimer);
+    if (peers.get(peer.id) === peer) {
+      console.log(`[WHIP] Removing peer ${peer.id}: ${reason}`);
+      handlePeerDisconnection(peer.id);
+    }
+  };
+  
+  transport.on('dtlsstatechange', (dtlsState) => {
+    if (dtlsState === 'failed' || dtlsState === 'closed') {
+      remove(`DTLS ${dtlsState}`);
+    }
+  });
+  
+  transport.on('icestatechange', (iceState) => {
+    clearTimeout(disconnectTimer);
+    if (iceState === 'disconnected') {
+      disconnectTimer = setTimeout(() => remove('ICE disconnected'), config.whip.disconnectTimeout);
+    }
+  });
+  
+  transport.observer.on('close', () => clearTimeout(disconnectTimer));
+  
+  removeIngestPeerOnRouterClose(peer, transport);
+}
+
+/**
+ * Produce every audio/video section of a WHIP offer on the transport and build the answer
+ * Each section gets the first offered codec the router supports; sections
+ * without one (and data channels) are rejected in the answer.
+ * @returns {string} SDP answer
+ */
+async function publishWhipOffer(peer, transport, offer) {
+  const answerMedia = [];
+  let dtlsConnected = false;
+  
+  for (const media of offer.media) {
+    const rtpParameters = (media.type === 'audio' || media.type === 'video') &&
+      ['sendonly', 'sendrecv', undefined].includes(media.direction)
+      ? getOfferedRtpParameters(peer.router, media)
+      : null;
+    
+    if (!rtpParameters) {
+      answerMedia.push(createRejectedMediaSection(media));
+      continue;
+    }
+    
+    // One transport for every section (BUNDLE), connected with the first one's DTLS info
+    if (!dtlsConnected) {
+      await connectTransportFromOffer(transport, offer, media);
+      dtlsConnected = true;
+    }
+    
+    await createProducerAndBroadcastToPeers(peer, {
+      transportId: transport.id,
+      kind: media.type,
+      rtpParameters,
+      appData: { source: media.type === 'audio' ? 'microphone' : 'camera' }
+    });
+    
+    answerMedia.push(createAnswerMediaSection(transport, offer, media, rtpParameters, 'recvonly'));
+  }
+  
+  return writeSdpAnswer(transport, answerMedia);
+}
+
+/**
+ * Parse the SDP offer of a WHIP or WHEP request
+ */
+function parseSdpOffer(sdp) {
+  let offer;
+  try {
+    offer = sdpTransform.parse(sdp);
+  } catch (error) {
+    throw new Error(`Invalid SDP offer: ${error.message}`);
+  }
+  
+  if (!offer.media || offer.media.length === 0) {
+    throw new Error('Invalid SDP offer: no media');
+  }
+  
+  return offer;
+}
+
+/**
+ * DTLS setup (actpass, active or passive) the offer uses for a section
+ */
+function getOfferSetup(offer, media) {
+  return media.setup || offer.setup || 'actpass';
+}
+
+/**
+ * Connect a WebRtcTransport with the DTLS fingerprint of an offer
+ * actpass/active: the remote side is the DTLS client, we answer passive
+ */
+async function connectTransportFromOffer(transport, offer, media) {
+  const fingerprint = media.fingerprint || offer.fingerprint;
+  if (!fingerprint) {
+    throw new Error('Offer has no DTLS fingerprint');
+  }
+  
+  await transport.connect({
+    dtlsParameters: {
+      role: getOfferSetup(offer, media) === 'passive' ? 'server' : 'client',
+      fingerprints: [{ algorithm: fingerprint.type, value: fingerprint.hash }]
+    }
+  });
+}
+
+/**
+ * Answer section rejecting an offered section (port 0)
+ */
+function createRejectedMediaSection(media) {
+  return {
+    type: media.type,
+    port: 0,
+    protocol: media.protocol,
+    payloads: media.payloads,
+    connection: { version: 4, ip: '0.0.0.0' },
+    mid: media.mid,
+    direction: 'inactive'
+  };
+}
+
+/**
+ * Write the SDP answer for a WHIP or WHEP session (ICE-lite, everything bundled)
+ */
+function writeSdpAnswer(transport, answerMedia) {
+  const acceptedMids = answerMedia.filter(media => media.port !== 0).map(media => media.mid);
+  if (acceptedMids.length === 0) {
+    throw new Error('No audio or video the room supports in the offer');
+  }
+  
+  const fingerprint = transport.dtlsParameters.fingerprints.find(fp => fp.algorithm === 'sha-256') ||
+    transport.dtlsParameters.fingerprints[0];
+  
+  return sdpTransform.write({
+    version: 0,
+    origin: {
+      username: '-',
+      sessionId: Date.now(),
+      sessionVersion: 1,
+      netType: 'IN',
+      ipVer: 4,
+      address: '127.0.0.1'
+    },
+    name: '-',
+    timing: { start: 0, stop: 0 },
+    icelite: 'ice-lite',
+    fingerprint: { type: fingerprint.algorithm, hash: fingerprint.value },
+    groups: [{ type: 'BUNDLE', mids: acceptedMids.join(' ') }],
+    msidSemantic: { semantic: 'WMS', token: '*' },
+    media: answerMedia
+  });
+}
+
+/**
+ * Turn an offered audio/video section into producer RTP parameters
+ * @returns {Object} rtpParameters, or null when no offered codec is supported
+ */
+function getOfferedRtpParameters(router, media) {
+  const fmtps = new Map((media.fmtp || []).map(({ payload, config }) => [payload, sdpTransform.parseParams(config)]));
+  
+  const offeredCodecs = (media.rtp || []).map(({ payload, codec, rate, encoding }) => ({
+    mimeType: `${media.type}/${codec}`,
+    payloadType: payload,
+    clockRate: rate,
+    channels: media.type === 'audio' ? Number(encoding) || 1 : undefined,
+    parameters: fmtps.get(payload) || {}
+  }));
+  
+  // First offered codec the router has (H264 must also match packetization-mode)
+  const codec = offeredCodecs.find(offered => router.rtpCapabilities.codecs.some(capability =>
+    capability.mimeType.toLowerCase() === offered.mimeType.toLowerCase() &&
+    capability.clockRate === offered.clockRate &&
+    (media.type !== 'audio' || capability.channels === offered.channels) &&
+    (capability.mimeType.toLowerCase() !== 'video/h264' ||
+      Number(capability.parameters['packetization-mode'] || 0) === Number(offered.parameters['packetization-mode'] || 0))
+  ));
+  
+  if (!codec) return null;
+  
+  const getRtcpFeedback = payloadType => (media.rtcpFb || [])
+    .filter(fb => String(fb.payload) === '*' || Number(fb.payload) === payloadType)
+    .map(fb => ({ type: fb.type, parameter: fb.subtype || '' }));
+  
+  codec.rtcpFeedback = getRtcpFeedback(codec.payloadType);
+  
+  const rtx = offeredCodecs.find(offered =>
+    offered.mimeType.toLowerCase() === `${media.type}/rtx` && offered.parameters.apt === codec.payloadType
+  );
+  
+  // Only header extensions the router understands
+  const headerExtensions = (media.ext || [])
+    .filter(ext => router.rtpCapabilities.headerExtensions.some(capability =>
+      capability.kind === media.type && capability.uri === ext.uri
+    ))
+    .map(ext => ({ uri: ext.uri, id: ext.value }));
+  
+  const ssrcs = media.ssrcs || [];
+  const cnameLine = ssrcs.find(line => line.attribute === 'cname');
+  
+  // Simulcast by rid, otherwise one stream (by SSRC when announced, else by MID)
+  let encodings;
+  const sendRids = (media.rids || []).filter(rid => rid.direction === 'send');
+  if (sendRids.length > 0) {
+    encodings = sendRids.map(rid => ({ rid: String(rid.id) }));
+  } else if (ssrcs.length > 0) {
+    const fidGroup = (media.ssrcGroups || []).find(group => group.semantics === 'FID');
+    const [ssrc, rtxSsrc] = fidGroup
+      ? fidGroup.ssrcs.split(' ').map(Number)
+      : [Number(ssrcs[0].id)];
+    
+    encodings = [rtx && rtxSsrc ? { ssrc, rtx: { ssrc: rtxSsrc } } : { ssrc }];
+  } else {
+    encodings = [{}];
+  }
+  
+  return {
+    mid: media.mid !== undefined ? String(media.mid) : undefined,
+    codecs: rtx ? [codec, { ...rtx, rtcpFeedback: [] }] : [codec],
+    headerExtensions,
+    encodings,
+    rtcp: {
+      cname: cnameLine ? cnameLine.value : undefined,
+      reducedSize: Boolean(media.rtcpRsize)
+    }
+  };
+}
+
+/**
+ * Answer for an accepted section: the RTP we receive (WHIP, 'recvonly') or
+ * send (WHEP, 'sendonly'), plus our ICE and DTLS parameters
+ */
+function createAnswerMediaSection(transport, offer, media, rtpParameters, direction) {
+  const rtp = [];
+  const fmtp = [];
+  const rtcpFb = [];
+  
+  rtpParameters.codecs.forEach(codec => {
+    rtp.push({
+      payload: codec.payloadType,
+      codec: codec.mimeType.split('/')[1],
+      rate: codec.clockRate,
+      encoding: codec.channels > 1 ? codec.channels : undefined
+    });
+    
+    const codecParameters = Object.entries(codec.parameters || {})
+      .map(([key, value]) => `${key}=${value}`)
+      .join(';');
+    if (codecParameters) {
+      fmtp.push({ payload: codec.payloadType, config: codecParameters });
+    }
+    
+    (codec.rtcpFeedback || []).forEach(fb => {
+      rtcpFb.push({ payload: codec.payloadType, type: fb.type, subtype: fb.parameter || undefined });
+    });
+  });
+  
+  const answerMedia = {
+    type: media.type,
+    port: 7,
+    protocol: 'UDP/TLS/RTP/SAVPF',
+    payloads: rtp.map(({ payload }) => payload).join(' '),
+    connection: { version: 4, ip: '127.0.0.1' },
+    rtp,
+    fmtp,
+    rtcpFb,
+    ext: rtpParameters.headerExtensions.map(({ uri, id }) => ({ value: id, uri })),
+    setup: getOfferSetup(offer, media) === 'passive' ? 'active' : 'passive',
+    mid: media.mid,
+    direction,
+    iceUfrag: transport.iceParameters.usernameFragment,
+    icePwd: transport.iceParameters.password,
+    candidates: transport.iceCandidates.map(candidate => ({
+      foundation: candidate.foundation,
+      component: 1,
+      transport: candidate.protocol,
+      priority: candidate.priority,
+      ip: candidate.address || candidate.ip,
+      port: candidate.port,
+      type: candidate.type,
+      tcptype: candidate.tcpType
+    })),
+    endOfCandidates: 'end-of-candidates',
+    rtcpMux: 'rtcp-mux',
+    rtcpRsize: media.rtcpRsize && rtpParameters.rtcp.reducedSize ? 'rtcp-rsize' : undefined
+  };
+  
+  // What we send, so the player can tell the streams apart
+  if (direction === 'sendonly') {
+    const [{ ssrc, rtx }] = rtpParameters.encodings;
+    const { cname } = rtpParameters.rtcp;
+    
+    answerMedia.msid = `${rtpParameters.streamId} ${rtpParameters.trackId}`;
+    answerMedia.ssrcs = [{ id: ssrc, attribute: 'cname', value: cname }];
+    
+    if (rtx) {
+      answerMedia.ssrcs.push({ id: rtx.ssrc, attribute: 'cname', value: cname });
+      answerMedia.ssrcGroups = [{ semantics: 'FID', ssrcs: `${ssrc} ${rtx.ssrc}` }];
+    }
+  }
+  
+  if (rtpParameters.encodings.some(encoding => encoding.rid)) {
+    answerMedia.rids = rtpParameters.encodings.map(({ rid }) => ({ id: rid, direction: 'recv' }));
+    answerMedia.simulcast = { dir1: 'recv', list1: media.simulcast ? media.simulcast.list1 : rtpParameters.encodings.map(({ rid }) => rid).join(';') };
+  }
+  
+  return answerMedia;
+}
+
+/**
+ * WHEP POST: take a player's SDP offer and answer with the media it asked for
+ * Plays /whep/:roomId/:producerId, or a peer's microphone and camera
+ * (?peerId=..., with &source=screen for their screen share). The player
+ * is not a participant: nobody in the room sees it. The Location header is
+ * the resource to DELETE to stop playing.
+ */
+async function handleWhepPlay(req, res) {
+  const { roomId, producerId } = req.params;
+  
+  if (!req.is('application/sdp') || typeof req.body !== 'string') {
+    return res.status(415).json({ error: 'Expected an application/sdp offer' });
+  }
+  
+  let access;
+  try {
+    access = authenticateWhipWhepRequest(req, roomId);
+  } catch (error) {
+    return res.status(401).json({ error: error.message });
+  }
+  
+  const room = rooms.get(roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  
+  // Same checks as a WebSocket join; the admin key is trusted with both
+  if (!access.admin) {
+    const { auth } = access;
+    const player = { id: null, auth, remoteAddress: req.socket.remoteAddress, clientId: null };
+    
+    if (room.bans.has(getBanKey(player))) {
+      return res.status(403).json({ error: 'You are banned from this room' });
+    }
+    
+    // A player can't wait in the lobby, so only hosts get past it
+    if (room.lobbyEnabled && !(auth && auth.role === 'host')) {
+      return res.status(403).json({ error: 'This room has a lobby: play with the admin key' });
+    }
+  }
+  
+  let offer;
+  try {
+    offer = parseSdpOffer(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  let selection;
+  try {
+    selection = selectWhepProducers(room, producerId, req.query);
+  } catch (error) {
+    return res.status(404).json({ error: error.message });
+  }
+  
+  const { producerPeer, producers } = selection;
+  
+  // Consume where the producers live, so nothing needs piping
+  const session = {
+    sessionId: crypto.randomUUID(),
+    producerPeerId: producerPeer.id,
+    router: producerPeer.router,
+    transport: null,
+    consumers: new Map()
+  };
+  const { sessionId } = session;
+  
+  try {
+    session.transport = await createWebRtcTransport(session.router, `whep:${sessionId}`, 'recv');
+    
+    const answer = await playWhepOffer(session, offer, producers);
+    
+    room.whepSessions.set(sessionId, session);
+    watchWhepSession(room, session);
+    
+    console.log(`[WHEP] Session ${sessionId} playing ${session.consumers.size} track(s) of peer ${producerPeer.id}`);
+    
+    res.status(201)
+      .type('application/sdp')
+      .location(`/whep/${encodeURIComponent(roomId)}/sessions/${sessionId}`)
+      .send(answer);
+  } catch (error) {
+    console.error('[WHEP] Error starting playback:', error);
+    if (session.transport) session.transport.close();
+    res.status(400).json({ error: error.message });
   }
 }
 
 /**
- * Send router's RTP capabilities to the requesting peer
- * Client needs this to initialize their mediasoup Device
+ * Producers a WHEP request asks for
+ * @returns {Object} { producerPeer, producers } - producers of one peer (all on its router)
  */
-function sendRouterCapabilitiesToPeer(peer) {
-  const rtpCapabilities = getRouterRtpCapabilities();
-  sendMessage(peer.socket, 'routerRtpCapabilities', { rtpCapabilities });
+function selectWhepProducers(room, producerId, query) {
+  if (producerId) {
+    const producerPeer = findPeerByProducerId(producerId);
+    if (!producerPeer || producerPeer.roomId !== room.id) {
+      throw new Error('Producer not found in this room');
+    }
+    return { producerPeer, producers: [producerPeer.producers.get(producerId).producer] };
+  }
+  
+  const producerPeer = peers.get(query.peerId);
+  if (!producerPeer || producerPeer.roomId !== room.id) {
+    throw new Error('Give a producer id, or a peerId of this room');
+  }
+  
+  const videoSource = query.source === 'screen' ? 'screen' : 'camera';
+  const producers = Array.from(producerPeer.producers.values())
+    .filter(({ source }) => source === 'microphone' || source === videoSource)
+    .map(({ producer }) => producer);
+  
+  if (producers.length === 0) {
+    throw new Error('This peer is not sending any media');
+  }
+  
+  return { producerPeer, producers };
 }
 
 /**
- * Add peer to room and notify all other participants
- * Also sends list of existing producers so new peer can consume them
+ * Consume the producers on the session's transport, one per offered
+ * section of the same kind, and build the answer
+ * @returns {string} SDP answer
  */
-async function addPeerToRoomAndNotifyOthers(peer, payload) {
-  const { roomId } = payload;
-  
-  console.log(`[Room] Peer ${peer.id} joining room:`, roomId);
+async function playWhepOffer(session, offer, producers) {
+  const { transport } = session;
+  const rtpCapabilities = getOfferedRtpCapabilities(offer);
+  const remaining = [...producers];
+  const answerMedia = [];
+  let dtlsConnected = false;
   
-  // Create room if it doesn't exist
-  if (!rooms.has(roomId)) {
-    rooms.set(roomId, {
-      id: roomId,
-      peers: new Set()
+  for (const media of offer.media) {
+    const index = ['recvonly', 'sendrecv', undefined].includes(media.direction)
+      ? remaining.findIndex(producer => producer.kind === media.type)
+      : -1;
+    
+    if (index === -1) {
+      answerMedia.push(createRejectedMediaSection(media));
+      continue;
+    }
+    
+    const [producer] = remaining.splice(index, 1);
+    
+    if (!session.router.canConsume({ producerId: producer.id, rtpCapabilities })) {
+      answerMedia.push(createRejectedMediaSection(media));
+      continue;
+    }
+    
+    if (!dtlsConnected) {
+      await connectTransportFromOffer(transport, offer, media);
+      dtlsConnected = true;
+    }
+    
+    const consumer = await transport.consume({
+      producerId: producer.id,
+      rtpCapabilities,
+      paused: true
     });
-    console.log('[Room] Created new room:', roomId);
+    session.consumers.set(consumer.id, consumer);
+    
+    answerMedia.push(createAnswerMediaSection(transport, offer, media, {
+      ...consumer.rtpParameters,
+      streamId: session.producerPeerId,
+      trackId: consumer.id
+    }, 'sendonly'));
   }
   
-  const room = rooms.get(roomId);
+  const answer = writeSdpAnswer(transport, answerMedia);
   
-  // Get existing peers in the room
-  const existingPeers = Array.from(room.peers).filter(id => id !== peer.id);
+  // Media flows once DTLS is up; start video with a key frame
+  for (const consumer of session.consumers.values()) {
+    await consumer.resume();
+  }
   
-  // Add peer to room
-  room.peers.add(peer.id);
-  peer.roomId = roomId;
+  transport.on('dtlsstatechange', (dtlsState) => {
+    if (dtlsState !== 'connected') return;
+    
+    session.consumers.forEach(consumer => {
+      if (consumer.kind === 'video') {
+        consumer.requestKeyFrame().catch(() => {});
+      }
+    });
+  });
   
-  // Collect existing peers and their producers
-  const existingPeersInfo = [];
-  existingPeers.forEach(existingPeerId => {
-    const existingPeer = peers.get(existingPeerId);
-    if (existingPeer) {
-      const producers = [];
-      existingPeer.producers.forEach(({ producer, kind }) => {
-        producers.push({
-          producerId: producer.id,
-          kind: kind
+  return answer;
+}
+
+/**
+ * Receive capabilities of a WHEP player, from the codecs and header extensions of its offer
+ */
+function getOfferedRtpCapabilities(offer) {
+  const codecs = [];
+  const headerExtensions = [];
+  
+  offer.media
+    .filter(media => media.type === 'audio' || media.type === 'video')
+    .forEach(media => {
+      const fmtps = new Map((media.fmtp || []).map(({ payload, config }) => [payload, sdpTransform.parseParams(config)]));
+      
+      (media.rtp || []).forEach(({ payload, codec, rate, encoding }) => {
+        codecs.push({
+          kind: media.type,
+          mimeType: `${media.type}/${codec}`,
+          preferredPayloadType: payload,
+          clockRate: rate,
+          channels: media.type === 'audio' ? Number(encoding) || 1 : undefined,
+          parameters: fmtps.get(payload) || {},
+          rtcpFeedback: (media.rtcpFb || [])
+            .filter(fb => String(fb.payload) === '*' || Number(fb.payload) === payload)
+            .map(fb => ({ type: fb.type, parameter: fb.subtype || '' }))
         });
       });
       
-      if (producers.length > 0) {
-        existingPeersInfo.push({
-          peerId: existingPeerId,
-          producers: producers
-        });
-      }
+      (media.ext || []).forEach(ext => {
+        headerExtensions.push({ kind: media.type, uri: ext.uri, preferredId: ext.value, direction: 'sendrecv' });
+      });
+    });
+  
+  return { codecs, headerExtensions };
+}
+
+/**
+ * End a WHEP session when its player goes away or all it plays is gone
+ */
+function watchWhepSession(room, session) {
+  const { transport } = session;
+  let disconnectTimer = null;
+  
+  transport.on('dtlsstatechange', (dtlsState) => {
+    if (dtlsState === 'failed' || dtlsState === 'closed') {
+      closeWhepSession(room, session, `DTLS ${dtlsState}`);
     }
   });
   
-  // Send existing peers and their producers to the new peer
-  sendMessage(peer.socket, 'roomJoined', {
-    roomId,
-    peers: existingPeers,
-    existingProducers: existingPeersInfo
+  transport.on('icestatechange', (iceState) => {
+    clearTimeout(disconnectTimer);
+    if (iceState === 'disconnected') {
+      disconnectTimer = setTimeout(() => closeWhepSession(room, session, 'ICE disconnected'), config.whip.disconnectTimeout);
+    }
   });
   
-  // Notify other peers about the new peer
-  existingPeers.forEach(existingPeerId => {
-    const existingPeer = peers.get(existingPeerId);
-    if (existingPeer && existingPeer.socket.readyState === WebSocket.OPEN) {
-      sendMessage(existingPeer.socket, 'newPeer', { peerId: peer.id });
-    }
+  session.consumers.forEach(consumer => {
+    consumer.on('producerclose', () => {
+      session.consumers.delete(consumer.id);
+      if (session.consumers.size === 0) {
+        closeWhepSession(room, session, 'media ended');
+      }
+    });
   });
   
-  console.log(`[Room] Peer ${peer.id} joined room ${roomId}. Total peers:`, room.peers.size);
-  if (existingPeersInfo.length > 0) {
-    console.log(`[Room] Sent ${existingPeersInfo.length} existing peer(s) with producers to new peer`);
-  }
+  // The router closed (room closed or worker died)
+  transport.observer.on('close', () => {
+    clearTimeout(disconnectTimer);
+    room.whepSessions.delete(session.sessionId);
+  });
 }
 
-/**
- * Create WebRTC transport (send or recv) and send connection parameters to peer
- * Transport is the WebRTC connection endpoint on the server side
- */
-async function createTransportAndSendParameters(peer, payload) {
-  const { direction } = payload; // 'send' or 'recv'
-  
-  const transport = await createWebRtcTransport(peer.id, direction);
+function closeWhepSession(room, session, reason) {
+  if (!room.whepSessions.delete(session.sessionId)) return;
   
-  // Store transport
-  peer.transports.set(transport.id, { transport, direction });
-  
-  // Send transport parameters to client
-  sendMessage(peer.socket, 'transportCreated', {
-    transportId: transport.id,
-    iceParameters: transport.iceParameters,
-    iceCandidates: transport.iceCandidates,
-    dtlsParameters: transport.dtlsParameters,
-    direction
-  });
+  console.log(`[WHEP] Closing session ${session.sessionId}: ${reason}`);
+  session.transport.close();
 }
 
 /**
- * Finalize transport connection with DTLS parameters from client
- * Completes the WebRTC handshake process
+ * WHEP DELETE: stop playing
  */
-async function finalizeTransportConnection(peer, payload) {
-  const { transportId, dtlsParameters } = payload;
+function handleWhepDelete(req, res) {
+  const { roomId, sessionId } = req.params;
   
-  const transportData = peer.transports.get(transportId);
-  if (!transportData) {
-    throw new Error('Transport not found');
+  const room = rooms.get(roomId);
+  const session = room && room.whepSessions.get(sessionId);
+  if (!session) {
+    return res.status(404).json({ error: 'Resource not found' });
   }
   
-  await transportData.transport.connect({ dtlsParameters });
+  try {
+    authenticateWhipWhepRequest(req, roomId);
+  } catch (error) {
+    return res.status(401).json({ error: error.message });
+  }
   
-  sendMessage(peer.socket, 'transportConnected', { transportId });
+  closeWhepSession(room, session, 'stopped by the player');
+  res.status(200).end();
 }
 
 /**
- * Create producer to receive media from peer and broadcast availability to others
- * Server-side producer receives media stream from this peer's camera/microphone
+ * Publish plain RTP into a room (intro videos, hold music, test patterns)
+ * A virtual peer gets one PlainTransport per kind; the sender's address is
+ * learned from its first packet (comedia), so a local FFmpeg can simply send
+ * to the returned ports. Its audio and video appear through 'newProducer'
+ * like any participant's.
+ * @param {Object} options - { name, audio, video }, where audio/video are
+ *   true or { payloadType, ssrc } (video also takes codec: 'VP8', 'VP9' or 'H264')
+ * @returns {Object} Ports and RTP settings to send with (see getRtpIngestInfo)
  */
-async function createProducerAndBroadcastToPeers(peer, payload) {
-  const { transportId, kind, rtpParameters } = payload;
+async function createRtpIngest(room, options = {}, remoteAddress) {
+  const { name = 'RTP stream', audio = false, video = false } = options;
   
-  const transportData = peer.transports.get(transportId);
-  if (!transportData) {
-    throw new Error('Transport not found');
+  if (!audio && !video) {
+    throw new Error('Ask for audio, video or both');
   }
   
-  const producer = await transportData.transport.produce({
-    kind,
-    rtpParameters
-  });
-  
-  // Store producer
-  peer.producers.set(producer.id, { producer, kind });
-  
-  console.log(`[Producer] Created ${kind} producer for peer ${peer.id}:`, producer.id);
-  
-  // Notify client
-  sendMessage(peer.socket, 'produced', {
-    producerId: producer.id,
-    kind
-  });
+  const peer = createIngestPeer('rtp', name, null, remoteAddress);
   
-  // Notify other peers in the room that new media is available
-  if (peer.roomId) {
-    const room = rooms.get(peer.roomId);
-    if (room) {
-      room.peers.forEach(otherPeerId => {
-        if (otherPeerId !== peer.id) {
-          const otherPeer = peers.get(otherPeerId);
-          if (otherPeer && otherPeer.socket.readyState === WebSocket.OPEN) {
-            sendMessage(otherPeer.socket, 'newProducer', {
-              peerId: peer.id,
-              producerId: producer.id,
-              kind
-            });
-          }
-        }
-      });
+  try {
+    await runRoomJoin(room, () => completeRoomJoin(room, peer));
+    
+    if (audio) {
+      await createRtpIngestProducer(peer, 'audio', audio === true ? {} : audio);
+    }
+    
+    if (video) {
+      await createRtpIngestProducer(peer, 'video', video === true ? {} : video);
     }
+  } catch (error) {
+    handlePeerDisconnection(peer.id);
+    throw error;
   }
+  
+  console.log(`[RTP Ingest] ${peer.id} publishing into room ${room.id}`);
+  
+  return getRtpIngestInfo(peer);
 }
 
 /**
- * Create consumer to send remote producer's media to requesting peer
- * Server-side consumer forwards another peer's stream to this peer
+ * Create the PlainTransport and producer for one kind of an RTP ingest
  */
-async function createConsumerForRemoteProducer(peer, payload) {
-  const { producerId, rtpCapabilities } = payload;
-  
-  // Find the producer
-  let producerPeer = null;
-  let producer = null;
-  
-  for (const [peerId, p] of peers.entries()) {
-    if (p.producers.has(producerId)) {
-      producerPeer = p;
-      producer = p.producers.get(producerId).producer;
-      break;
-    }
-  }
+async function createRtpIngestProducer(peer, kind, options) {
+  const defaults = config.rtpIngest[kind];
+  const mimeType = `${kind}/${options.codec || defaults.codec}`;
+  const payloadType = options.payloadType || defaults.payloadType;
+  const ssrc = options.ssrc || crypto.randomInt(1, 0xffffffff);
   
-  if (!producer) {
-    throw new Error('Producer not found');
+  const capability = peer.router.rtpCapabilities.codecs.find(codec =>
+    codec.mimeType.toLowerCase() === mimeType.toLowerCase()
+  );
+  if (!capability) {
+    throw new Error(`Unsupported ${kind} codec: ${mimeType}`);
   }
   
-  // Check if router can consume
-  if (!mediasoupRouter.canConsume({ producerId, rtpCapabilities })) {
-    throw new Error('Cannot consume');
+  if (!Number.isInteger(payloadType) || payloadType < 96 || payloadType > 127) {
+    throw new Error('payloadType must be between 96 and 127');
   }
   
-  // Get recv transport
-  const recvTransport = Array.from(peer.transports.values())
-    .find(t => t.direction === 'recv');
-  
-  if (!recvTransport) {
-    throw new Error('Recv transport not found');
+  if (!Number.isInteger(ssrc) || ssrc < 1 || ssrc > 0xffffffff) {
+    throw new Error('ssrc must be a 32-bit unsigned integer');
   }
   
-  // Create consumer
-  const consumer = await recvTransport.transport.consume({
-    producerId,
-    rtpCapabilities,
-    paused: true // Start paused
+  const transport = await peer.router.createPlainTransport({
+    listenIp: config.rtpIngest.listenIp,
+    rtcpMux: false,
+    comedia: true
   });
+  peer.transports.set(transport.id, { transport, direction: 'send' });
+  removeIngestPeerOnRouterClose(peer, transport);
   
-  // Store consumer
-  peer.consumers.set(consumer.id, {
-    consumer,
-    producerId,
-    producerPeerId: producerPeer.id
+  const producer = await createProducerAndBroadcastToPeers(peer, {
+    transportId: transport.id,
+    kind,
+    rtpParameters: {
+      codecs: [{
+        mimeType: capability.mimeType,
+        payloadType,
+        clockRate: capability.clockRate,
+        channels: capability.channels,
+        parameters: capability.parameters,
+        rtcpFeedback: kind === 'video' ? [{ type: 'nack', parameter: '' }, { type: 'nack', parameter: 'pli' }] : []
+      }],
+      encodings: [{ ssrc }]
+    },
+    appData: { source: kind === 'audio' ? 'microphone' : 'camera' }
   });
   
-  console.log(`[Consumer] Created consumer for peer ${peer.id}:`, consumer.id);
-  
-  // Send consumer parameters to client
-  sendMessage(peer.socket, 'consumed', {
-    consumerId: consumer.id,
-    producerId,
-    producerPeerId: producerPeer.id,
-    kind: consumer.kind,
-    rtpParameters: consumer.rtpParameters
-  });
+  transport.appData.rtpIngest = {
+    kind,
+    producerId: producer.id,
+    mimeType: capability.mimeType,
+    clockRate: capability.clockRate,
+    channels: capability.channels,
+    payloadType,
+    ssrc
+  };
 }
 
 /**
- * Resume a paused consumer to start media flow
- * Consumers are created paused and must be explicitly resumed
+ * Where and how to send RTP to an ingest
  */
-async function resumePausedConsumer(peer, payload) {
-  const { consumerId } = payload;
-  
-  const consumerData = peer.consumers.get(consumerId);
-  if (!consumerData) {
-    throw new Error('Consumer not found');
-  }
+function getRtpIngestInfo(peer) {
+  const info = { ingestId: peer.id, peerId: peer.id, roomId: peer.roomId, displayName: peer.displayName };
   
-  await consumerData.consumer.resume();
+  peer.transports.forEach(({ transport }) => {
+    const { kind, ...rtp } = transport.appData.rtpIngest;
+    
+    info[kind] = {
+      ...rtp,
+      ip: config.rtpIngest.listenIp.announcedIp || transport.tuple.localAddress,
+      port: transport.tuple.localPort,
+      rtcpPort: transport.rtcpTuple && transport.rtcpTuple.localPort
+    };
+  });
   
-  sendMessage(peer.socket, 'consumerResumed', { consumerId });
+  return info;
 }
 
 /**
@@ -479,11 +4523,19 @@ function handlePeerDisconnection(peerId) {
     transport.close();
   });
   
+  // Stop waiting in a lobby
+  const lobbyRoom = rooms.get(peer.lobbyRoomId);
+  if (lobbyRoom) {
+    removePeerFromLobby(lobbyRoom, peer, 'left');
+  }
+  
   // Remove from room
   if (peer.roomId) {
     const room = rooms.get(peer.roomId);
     if (room) {
       room.peers.delete(peerId);
+      room.speakerHistory = room.speakerHistory.filter(id => id !== peerId);
+      removePeerFromFileTransfers(room, peerId);
       
       // Notify other peers
       room.peers.forEach(otherPeerId => {
@@ -493,10 +4545,35 @@ function handlePeerDisconnection(peerId) {
         }
       });
       
-      // Delete room if empty
+      if (room.activeSpeakerPeerId === peerId) {
+        room.activeSpeakerPeerId = null;
+      }
+      
+      // The room always keeps a host: when the last one leaves, the peer
+      // that has been in the room the longest takes over
+      const remainingPeers = Array.from(room.peers).map(id => peers.get(id)).filter(peer => peer && !peer.ingest);
+      if (isRoomHost(peer) && remainingPeers.length > 0 && !remainingPeers.some(isRoomHost)) {
+        setPeerRole(room, remainingPeers[0], 'host');
+      }
+      
+      // Nobody is left to admit the peers still waiting (ingest peers can't)
+      if (remainingPeers.length === 0) {
+        room.lobby.forEach(lobbyPeerId => {
+          const lobbyPeer = peers.get(lobbyPeerId);
+          lobbyPeer.lobbyRoomId = null;
+          sendMessage(lobbyPeer.socket, 'lobbyDenied', { roomId: room.id, reason: 'The meeting has ended' });
+        });
+        room.lobby.clear();
+      }
+      
+      // Close the room if empty
       if (room.peers.size === 0) {
-        rooms.delete(peer.roomId);
-        console.log('[Room] Deleted empty room:', peer.roomId);
+        closeRoomIfUnused(room);
+      } else {
+        closeUnusedRouters(room);
+        applyLastN(room).catch((error) => {
+          console.error(`[Room] Failed to apply last N in room ${room.id}:`, error);
+        });
       }
     }
   }
@@ -507,11 +4584,134 @@ function handlePeerDisconnection(peerId) {
 
 /**
  * Helper: Send message to client
+ * Pass the request id when replying to a client request; server-initiated
+ * notifications are sent without one
  */
-function sendMessage(socket, type, payload) {
+function sendMessage(socket, type, payload, requestId) {
   if (socket.readyState === WebSocket.OPEN) {
-    socket.send(JSON.stringify({ type, payload }));
+    const message = requestId !== undefined ? { id: requestId, type, payload } : { type, payload };
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Helper: Express middleware protecting the admin REST API
+ * Expects 'Authorization: Bearer <config.api.adminKey>'; the API is disabled without a key
+ */
+function requireAdminKey(req, res, next) {
+  const { adminKey } = config.api;
+  
+  if (!adminKey) {
+    res.status(403).json({ error: 'Admin API is disabled' });
+    return;
+  }
+  
+  const expected = Buffer.from(`Bearer ${adminKey}`);
+  const received = Buffer.from(req.get('authorization') || '');
+  
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+  
+  next();
+}
+
+/**
+ * Helper: Error with a machine-readable code sent to the client in the error reply
+ */
+function createSignalingError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Helper: Send message to every peer in a room
+ * @param {Object} room - Room to broadcast to
+ * @param {string} type - Message type
+ * @param {Object} payload - Message payload
+ * @param {string} excludedPeerId - Peer that should not receive the message (optional)
+ */
+function broadcastToRoom(room, type, payload, excludedPeerId) {
+  room.peers.forEach(peerId => {
+    if (peerId === excludedPeerId) return;
+    
+    const peer = peers.get(peerId);
+    if (peer) {
+      sendMessage(peer.socket, type, payload);
+    }
+  });
+}
+
+/**
+ * Helper: Find the peer owning a producer
+ * Piped producers keep the original producer id, so this works for them too
+ */
+function findPeerByProducerId(producerId) {
+  for (const peer of peers.values()) {
+    if (peer.producers.has(producerId)) {
+      return peer;
+    }
+  }
+  return null;
+}
+
+/**
+ * Helper: Find the peer owning a data producer
+ */
+function findPeerByDataProducerId(dataProducerId) {
+  for (const peer of peers.values()) {
+    if (peer.dataProducers.has(dataProducerId)) {
+      return peer;
+    }
+  }
+  return null;
+}
+
+/**
+ * Helper: Public information about a peer shared with the rest of the room
+ */
+function getPeerInfo(peer) {
+  return {
+    peerId: peer.id,
+    role: peer.role,
+    displayName: peer.displayName,
+    metadata: peer.metadata
+  };
+}
+
+/**
+ * Helper: Validate a display name, falling back to a name derived from the peer ID
+ */
+function sanitizeDisplayName(displayName, peerId) {
+  const name = typeof displayName === 'string' ? displayName.trim() : '';
+  
+  if (!name) {
+    return `Participant ${peerId.slice(-4)}`;
+  }
+  
+  return name.slice(0, MAX_DISPLAY_NAME_LENGTH);
+}
+
+/**
+ * Helper: Validate peer metadata
+ * Must be a plain JSON object and small enough to relay to every peer
+ */
+function sanitizeMetadata(metadata) {
+  if (metadata === undefined || metadata === null) {
+    return {};
+  }
+  
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new Error('Metadata must be an object');
+  }
+  
+  if (JSON.stringify(metadata).length > MAX_METADATA_SIZE) {
+    throw new Error(`Metadata must be at most ${MAX_METADATA_SIZE} bytes`);
   }
+  
+  return metadata;
 }
 
 /**
@@ -530,19 +4730,26 @@ async function main() {
     console.log('Starting mediasoup Video Conference Server');
     console.log('='.repeat(60));
     
-    // Step 1: Create mediasoup worker
-    mediasoupWorker = await createMediasoupWorker();
+    // Step 0: Load the access token key (fails fast on a bad auth config)
+    if (config.auth.enabled) {
+      authKey = loadAuthKey();
+      console.log(`[Server] Access tokens required (${config.auth.algorithm})`);
+    }
+    
+    // Invite links stop working on restart unless a fixed secret is configured
+    inviteSecret = config.room.inviteSecret || crypto.randomBytes(32).toString('hex');
     
-    // Step 2: Create mediasoup router
-    mediasoupRouter = await createMediasoupRouter();
+    // Step 1: Create mediasoup worker pool
+    // Routers are created per room on the least-loaded worker
+    await createMediasoupWorkers();
     
-    // Step 3: Create HTTP server
+    // Step 2: Create HTTP server
     const httpServer = await createHttpServer();
     
-    // Step 4: Create WebSocket server
+    // Step 3: Create WebSocket server
     createWebSocketServer(httpServer);
     
-    // Step 5: Start listening
+    // Step 4: Start listening
     httpServer.listen(config.httpServer.listenPort, config.httpServer.listenIp, () => {
       console.log('='.repeat(60));
       console.log(`[Server] HTTP server listening on http://${config.httpServer.listenIp}:${config.httpServer.listenPort}`);